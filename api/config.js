@@ -0,0 +1,143 @@
+import { PAYLOAD_VERSIONS } from './payload.js';
+import { MIN_INTERVAL_MINUTES, validateSchedule } from './schedule.js';
+import { validateDigest, DIGEST_GROUPS, MAX_DIGEST_TWEETS } from './digest.js';
+import { validateScoring, scoringConfig } from './scoring.js';
+import { validateGrouping, groupingConfig } from './grouping.js';
+
+// ============================================
+// Account settings
+// ============================================
+// Every field PUT /api/config takes, with the check its value must pass. Errors are keyed
+// by field, so the dashboard can show each one next to its input. Fields that are fine one
+// by one but not together (a schedule that never runs, say) report under "schedule" or
+// "digest".
+export const SCHEDULE_FIELDS = ['schedule_cron', 'schedule_interval_minutes', 'schedule_timezone',
+                                'quiet_hours_start', 'quiet_hours_end'];
+
+export const DIGEST_FIELDS = ['digest_enabled', 'digest_times', 'digest_group_by', 'digest_max_tweets'];
+
+export const OPENCLAW_MODES = ['next-heartbeat', 'now'];
+
+// The most X returns per page
+export const MAX_TWEETS_PER_POLL = 100;
+
+// Kept in revisions as changes only, never restored by a rollback
+export const CREDENTIAL_FIELDS = ['x_client_id', 'x_client_secret', 'access_token', 'refresh_token'];
+
+export const REDACTED = '[redacted]';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const optional = check => value => (value === null || value === '' ? null : check(value));
+
+const text = max => value => (typeof value === 'string' && value.length <= max
+  ? null
+  : `must be text of at most ${max} characters`);
+
+const wholeNumber = (min, max = Infinity) => value => {
+  if (Number.isInteger(value) && value >= min && value <= max) return null;
+  return max === Infinity ? `must be a whole number of at least ${min}` : `must be a whole number from ${min} to ${max}`;
+};
+
+const oneOf = values => value => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`);
+
+const boolean = value => (typeof value === 'boolean' ? null : 'must be true or false');
+
+const time = value => (typeof value === 'string' && TIME_PATTERN.test(value) ? null : 'must be HH:MM');
+
+const URL_ERROR = 'must be an http:// or https:// URL';
+
+function url(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) ? null : URL_ERROR;
+  } catch {
+    return URL_ERROR;
+  }
+}
+
+export const CONFIG_FIELDS = {
+  name: value => (typeof value === 'string' && value.trim() && value.length <= 100
+    ? null
+    : 'must be a name of 1 to 100 characters'),
+  x_client_id: optional(text(200)),
+  x_client_secret: optional(text(500)),
+  access_token: optional(text(2000)),
+  refresh_token: optional(text(2000)),
+  webhook_url: optional(url),
+  webhook_payload_version: oneOf(PAYLOAD_VERSIONS),
+  webhook_include_message: boolean,
+  max_tweets_per_poll: wholeNumber(1, MAX_TWEETS_PER_POLL),
+  openclaw_mode: oneOf(OPENCLAW_MODES),
+  archive_retention_days: wholeNumber(1),
+  scoring: validateScoring,
+  grouping: validateGrouping,
+  message_template_id: optional(wholeNumber(1)),
+  schedule_cron: optional(text(200)),
+  schedule_interval_minutes: optional(wholeNumber(MIN_INTERVAL_MINUTES)),
+  schedule_timezone: text(100),
+  quiet_hours_start: optional(time),
+  quiet_hours_end: optional(time),
+  digest_enabled: boolean,
+  digest_times: value => (Array.isArray(value) && value.length > 0 && value.every(t => TIME_PATTERN.test(t))
+    ? null
+    : 'must be a list of HH:MM times'),
+  digest_group_by: oneOf(DIGEST_GROUPS),
+  digest_max_tweets: wholeNumber(1, MAX_DIGEST_TWEETS)
+};
+
+// Returns { field: error } for an update of the account in current, empty when it's valid
+export function validateConfig(updates, current) {
+  const errors = {};
+  for (const [field, value] of Object.entries(updates)) {
+    const error = CONFIG_FIELDS[field] ? CONFIG_FIELDS[field](value) : 'is not a setting';
+    if (error) errors[field] = error;
+  }
+  
+  const merged = { ...current, ...updates };
+  const checkTogether = fields => fields.some(f => updates[f] !== undefined) && !fields.some(f => errors[f]);
+  if (checkTogether(SCHEDULE_FIELDS)) {
+    const error = validateSchedule(merged);
+    if (error) errors.schedule = error;
+  }
+  if (checkTogether(DIGEST_FIELDS)) {
+    const error = validateDigest(merged);
+    if (error) errors.digest = error;
+  }
+  return errors;
+}
+
+// ============================================
+// Revisions
+// ============================================
+// Each saved change keeps what changed (secrets only say whether they were set) and the
+// settings it left behind, credentials aside, which is what a rollback restores.
+// Unset scoring and grouping count as their defaults on both: null wouldn't pass validation
+// when rolled back to, and going from unset to the defaults changes nothing.
+const FIELD_DEFAULTS = { scoring: scoringConfig, grouping: groupingConfig };
+
+function fieldValue(config, field) {
+  return FIELD_DEFAULTS[field] ? FIELD_DEFAULTS[field](config[field]) : config[field] ?? null;
+}
+
+export function configDiff(before, after, secretFields) {
+  const changes = {};
+  for (const field of Object.keys(CONFIG_FIELDS)) {
+    const from = fieldValue(before, field);
+    const to = fieldValue(after, field);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    
+    changes[field] = secretFields.includes(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  }
+  return changes;
+}
+
+export function configSnapshot(config) {
+  const snapshot = {};
+  for (const field of Object.keys(CONFIG_FIELDS)) {
+    if (CREDENTIAL_FIELDS.includes(field)) continue;
+    snapshot[field] = fieldValue(config, field);
+  }
+  return snapshot;
+}
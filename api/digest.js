@@ -0,0 +1,76 @@
+import { CronExpressionParser } from 'cron-parser';
+
+// ============================================
+// Digests
+// ============================================
+// In digest mode polls don't deliver: the tweets they keep wait in digest_queue until one
+// of the account's digest_times ("HH:MM", every day in schedule_timezone), when they go
+// out as a single batch of at most digest_max_tweets, split into sections.
+export const DIGEST_GROUPS = [
+  'author',  // one section per author, busiest first
+  'topic'    // one section per hashtag, tweets without one go under their source
+];
+
+export const DEFAULT_DIGEST_TIMES = ['08:00', '18:00'];
+export const MAX_DIGEST_TWEETS = 500;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function validateDigest(digest) {
+  const times = digest.digest_times || [];
+  if (!Array.isArray(times) || times.length === 0) return 'digest_times must be a list of HH:MM times';
+  const bad = times.find(t => !TIME_PATTERN.test(t));
+  if (bad !== undefined) return `digest_times must be HH:MM, got ${bad}`;
+  
+  if (digest.digest_group_by && !DIGEST_GROUPS.includes(digest.digest_group_by)) {
+    return `digest_group_by must be one of: ${DIGEST_GROUPS.join(', ')}`;
+  }
+  const max = digest.digest_max_tweets;
+  if (max !== undefined && max !== null && (!Number.isInteger(max) || max < 1 || max > MAX_DIGEST_TWEETS)) {
+    return `digest_max_tweets must be a whole number from 1 to ${MAX_DIGEST_TWEETS}`;
+  }
+  return null;
+}
+
+// First digest time strictly after `after`
+export function nextDigest(config, after) {
+  const runs = (config.digest_times || []).map(time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const expression = CronExpressionParser.parse(`${minutes} ${hours} * * *`, {
+      currentDate: after,
+      tz: config.schedule_timezone || 'UTC'
+    });
+    return expression.next().toDate();
+  });
+  return runs.length > 0 ? new Date(Math.min(...runs)) : null;
+}
+
+// Best tweets first when they were scored, newest first otherwise. Returns the ones that
+// make the cut and how many were left out.
+export function capDigest(tweets, max) {
+  const sorted = [...tweets].sort((a, b) =>
+    (b.score ?? -Infinity) - (a.score ?? -Infinity) || (BigInt(b.id) > BigInt(a.id) ? 1 : -1)
+  );
+  return { tweets: sorted.slice(0, max), omitted: Math.max(0, sorted.length - max) };
+}
+
+function topic(tweet) {
+  const hashtag = tweet.entities?.hashtags?.[0]?.tag || (tweet.text || '').match(/#(\w+)/)?.[1];
+  return hashtag ? `#${hashtag.toLowerCase()}` : tweet.source?.name || 'Timeline';
+}
+
+// [{ title, tweets }], biggest section first, ties in order of appearance
+export function digestSections(tweets, groupBy, authors = {}) {
+  const sections = new Map();
+  for (const tweet of tweets) {
+    const title = groupBy === 'topic'
+      ? topic(tweet)
+      : `@${authors[tweet.author_id]?.username || tweet.author_id}`;
+    if (!sections.has(title)) sections.set(title, []);
+    sections.get(title).push(tweet);
+  }
+  
+  return [...sections.entries()]
+    .map(([title, list]) => ({ title, tweets: list }))
+    .sort((a, b) => b.tweets.length - a.tweets.length);
+}
@@ -0,0 +1,131 @@
+// ============================================
+// Duplicate and thread grouping
+// ============================================
+// Collapses tweets that tell the same story into one entry of the batch: tweets from the
+// same thread (conversation_id), tweets sharing a link, and tweets whose normalized text
+// is similar enough. The similarity is the Jaccard index of their word sets, so a lower
+// threshold groups more aggressively.
+export const DEFAULT_GROUPING = {
+  enabled: false,
+  threads: true,
+  links: true,
+  similarity: 0.75  // null to skip the text comparison
+};
+
+// Texts with fewer words than this are never compared, "gm" is not a story
+const MIN_WORDS = 4;
+
+// Tracking parameters dropped before comparing links
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|ref_src|s|t)$/;
+
+export function groupingConfig(grouping) {
+  return { ...DEFAULT_GROUPING, ...grouping };
+}
+
+export function validateGrouping(grouping) {
+  if (!grouping || typeof grouping !== 'object' || Array.isArray(grouping)) return 'grouping must be an object';
+  for (const field of ['enabled', 'threads', 'links']) {
+    if (grouping[field] !== undefined && typeof grouping[field] !== 'boolean') return `${field} must be true or false`;
+  }
+  if (grouping.similarity !== undefined && grouping.similarity !== null &&
+      (typeof grouping.similarity !== 'number' || grouping.similarity <= 0 || grouping.similarity > 1)) {
+    return 'similarity must be a number above 0 and up to 1';
+  }
+  return null;
+}
+
+export function normalizeUrl(value) {
+  try {
+    const url = new URL(value);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+    }
+    return `${url.hostname}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+  } catch {
+    return null;
+  }
+}
+
+// Links the tweet points to. t.co wraps every link differently, so only the expanded
+// URLs from the tweet's entities count.
+function tweetLinks(tweet) {
+  return new Set((tweet.entities?.urls || [])
+    .map(u => normalizeUrl(u.unwound_url || u.expanded_url))
+    .filter(url => url && !/^(x|twitter)\.com\/\w+\/status\/\d+\/(photo|video)\//.test(url)));
+}
+
+function words(text) {
+  const list = (text || '').toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#]\w+/g, ' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w.length > 1);
+  return list.length >= MIN_WORDS ? new Set(list) : null;
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const w of a) {
+    if (b.has(w)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Returns the entries of the batch in their original order. An entry that stands for
+// several tweets is its first tweet (or the thread's first post) with a group attached:
+// { reason: 'thread' | 'duplicate', count, tweet_ids, authors }
+export function groupTweets(tweets, grouping, authors = {}) {
+  if (!grouping.enabled || tweets.length < 2) return tweets;
+  
+  const parent = tweets.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const [ra, rb] = [find(a), find(b)];
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  
+  const links = tweets.map(tweetLinks);
+  const texts = tweets.map(t => (grouping.similarity ? words(t.text) : null));
+  
+  for (let i = 0; i < tweets.length; i++) {
+    for (let j = i + 1; j < tweets.length; j++) {
+      const sameThread = grouping.threads && tweets[i].conversation_id &&
+        tweets[i].conversation_id === tweets[j].conversation_id;
+      const sharedLink = grouping.links && [...links[i]].some(url => links[j].has(url));
+      const similar = texts[i] && texts[j] && similarity(texts[i], texts[j]) >= grouping.similarity;
+      if (sameThread || sharedLink || similar) union(i, j);
+    }
+  }
+  
+  const groups = new Map();
+  tweets.forEach((tweet, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(tweet);
+  });
+  
+  return [...groups.values()].map(members => {
+    if (members.length === 1) return members[0];
+    
+    const conversation = members[0].conversation_id;
+    const thread = !!conversation && members.every(t => t.conversation_id === conversation);
+    const lead = (thread && members.find(t => t.id === conversation)) || members[0];
+    const authorIds = [...new Set(members.map(t => t.author_id))];
+    
+    return {
+      ...lead,
+      group: {
+        reason: thread ? 'thread' : 'duplicate',
+        count: members.length,
+        tweet_ids: members.map(t => t.id),
+        authors: authorIds.map(id => ({
+          id,
+          username: authors[id]?.username || null,
+          name: authors[id]?.name || null
+        }))
+      }
+    };
+  });
+}
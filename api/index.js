@@ -1,275 +1,1895 @@
 import http from 'http';
-import pg from 'pg';
 import crypto from 'crypto';
+import { applyRules, validateRule } from './rules.js';
+import { buildPayload, buildDigestPayload, tweetUrl, DEFAULT_TEMPLATE, templateContext,
+  sampleBatch } from './payload.js';
+import { validateSink, sinkRules, sendToSink } from './sinks.js';
+import { validateSchedule, nextRun, skipQuietHours, upcomingRuns } from './schedule.js';
+import { validateSource, sourceLabel, needsUserId, sourceEndpoint, sourceRequest } from './sources.js';
+import { scoringConfig, rankTweets, TOP_N } from './scoring.js';
+import { groupingConfig, groupTweets } from './grouping.js';
+import { nextDigest, capDigest, digestSections } from './digest.js';
+import { validateTemplate, renderTemplate } from './templates.js';
+import { log, withLogContext, logContext, correlationId } from './logger.js';
+import { counter, gauge, histogram, renderMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { openStorage } from './storage/index.js';
+import { CONFIG_FIELDS, SCHEDULE_FIELDS, DIGEST_FIELDS, validateConfig, configDiff, configSnapshot } from './config.js';
 
-const { Pool } = pg;
 const PORT = process.env.PORT || 3000;
 const DATABASE_URL = process.env.DATABASE_URL;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'postgres';
+const SQLITE_PATH = process.env.SQLITE_PATH || './data/timeline-watcher.db';
+const X_API_URL = process.env.X_API_URL || 'https://api.twitter.com';
+const X_AUTHORIZE_URL = process.env.X_AUTHORIZE_URL || 'https://twitter.com/i/oauth2/authorize';
+const OAUTH_REDIRECT_URI = process.env.OAUTH_REDIRECT_URI;
+const OAUTH_SCOPES = 'tweet.read users.read offline.access';
+const DASHBOARD_URL = process.env.DASHBOARD_URL;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || (DASHBOARD_URL ? new URL(DASHBOARD_URL).origin : ''))
+  .split(',').map(o => o.trim()).filter(Boolean);
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 168;
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const ENCRYPTION_KEY_PREVIOUS = (process.env.ENCRYPTION_KEY_PREVIOUS || '')
+  .split(',').map(k => k.trim()).filter(Boolean);
+const ALLOW_PLAINTEXT_SECRETS = process.env.ALLOW_PLAINTEXT_SECRETS === '1';
 
-let pool = null;
-let pollInterval = null;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 12;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60;
+const TIMELINE_MAX_PAGES = parseInt(process.env.TIMELINE_MAX_PAGES) || 10;
+const SCHEDULER_TICK_MS = 30000;
+const PREVIEW_DEFAULT_RUNS = 5;
+const PREVIEW_MAX_RUNS = 20;
+const JOB_STALE_MINUTES = 15;
+const JOB_RETENTION_DAYS = 7;
+const SEEN_TWEETS_RETENTION_DAYS = 7;
+const EVENT_RETENTION_DAYS = 7;
+const WEBHOOK_RETRY_MAX_SECONDS = 60 * 60;
+const WEBHOOK_SECRET_GRACE_HOURS = 24;
+const FILE_SINK_DIR = process.env.FILE_SINK_DIR || './data';
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Account columns that are encrypted at rest
+const SECRET_FIELDS = ['x_client_secret', 'access_token', 'refresh_token', 'webhook_secret', 'webhook_secret_previous'];
+const SINK_SECRET_FIELDS = ['secret'];
+
+let storage = null;
+
+// ============================================
+// Metrics
+// ============================================
+const pollsTotal = counter('polls_total', 'Polls by account and outcome', ['account', 'outcome']);
+const pollDuration = histogram('poll_duration_seconds', 'Poll duration by account and outcome', ['account', 'outcome']);
+const tweetsFound = counter('tweets_found_total', 'Tweets returned by X', ['account']);
+const tweetsNew = counter('tweets_new_total', 'Tweets not seen before', ['account']);
+const tweetsDelivered = counter('tweets_delivered_total', 'Tweets in deliveries that went through', ['account', 'sink_type']);
+const deliveriesTotal = counter('deliveries_total', 'Delivery attempts by sink type and outcome', ['account', 'sink_type', 'outcome']);
+const deliveryDuration = histogram('delivery_duration_seconds', 'Time to send a delivery', ['sink_type', 'outcome']);
+const tokenRefreshes = counter('token_refreshes_total', 'X API token refreshes by outcome', ['account', 'outcome']);
+const rateLimitRemaining = gauge('x_rate_limit_remaining', 'Requests left in the current X API window', ['account', 'endpoint']);
 
 // ============================================
 // Database
 // ============================================
+// Every table goes through storage (see storage/index.js), in Postgres or in SQLite as
+// STORAGE_DRIVER says. Starting the API brings the schema up to date: on Postgres with the
+// migrations in migrations/ (see migrate.js), on SQLite with the schema in storage/sqlite.js.
+async function connectDb() {
+  storage = await openStorage(STORAGE_DRIVER, { url: DATABASE_URL, file: SQLITE_PATH });
+}
+
 async function initDb() {
-  pool = new Pool({ 
-    connectionString: DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
+  await connectDb();
+  await storage.init();
+  
+  await encryptPlaintextSecrets();
+  await ensureWebhookSecrets();
+  
+  log.info('Database initialized');
+}
+
+// Encrypts secrets stored before encryption was enabled. Without a key the API only
+// starts when plaintext secrets were asked for explicitly.
+async function encryptPlaintextSecrets() {
+  if (!ENCRYPTION_KEY) {
+    if (!ALLOW_PLAINTEXT_SECRETS) {
+      throw new Error('ENCRYPTION_KEY is not set, set it or ALLOW_PLAINTEXT_SECRETS=1 to store secrets in plaintext');
+    }
+    log.warn('ENCRYPTION_KEY is not set and ALLOW_PLAINTEXT_SECRETS=1, secrets are stored in plaintext');
+    return;
+  }
+  
+  const count = await rewriteSecrets(value => value && !isEncrypted(value) ? encryptSecret(value) : null);
+  if (count > 0) log.info('Encrypted plaintext secrets', { count });
+}
+
+// Replaces every stored secret for which transform returns a new value
+async function rewriteSecrets(transform) {
+  const accounts = await storage.listAccounts();
+  const tables = [
+    { fields: SECRET_FIELDS, rows: accounts, write: (row, updates) => writeConfig(row.id, updates) },
+    {
+      fields: SINK_SECRET_FIELDS,
+      rows: (await Promise.all(accounts.map(a => storage.listSinks(a.id)))).flat(),
+      write: (row, updates) => storage.updateSink(row.account_id, row.id, updates)
+    }
+  ];
+  let count = 0;
+  
+  for (const { fields, rows, write } of tables) {
+    for (const row of rows) {
+      const updates = {};
+      for (const field of fields) {
+        const value = transform(row[field]);
+        if (value) updates[field] = value;
+      }
+      if (Object.keys(updates).length === 0) continue;
+      
+      await write(row, updates);
+      count += Object.keys(updates).length;
+    }
+  }
+  
+  return count;
+}
+
+// Accounts created before webhook signing get their first secret
+async function ensureWebhookSecrets() {
+  for (const account of await storage.listAccounts()) {
+    if (!account.webhook_secret) await updateConfig(account.id, { webhook_secret: generateWebhookSecret() });
+  }
+}
+
+// Re-wraps every data key with the current ENCRYPTION_KEY
+async function rotateKeys() {
+  if (!ENCRYPTION_KEY) throw new Error('ENCRYPTION_KEY is not set');
+  await initDb();
+  
+  const count = await rewriteSecrets(value => isEncrypted(value) ? rewrapSecret(value) : null);
+  log.info('Re-encrypted secrets', { count, key_id: keyId(deriveKey(ENCRYPTION_KEY)) });
+  await storage.close();
+}
+
+// Migrations are how the Postgres schema evolves; SQLite applies its own when the API starts
+async function connectMigrations() {
+  if (STORAGE_DRIVER !== 'postgres') {
+    throw new Error(`Migrations are for Postgres, the ${STORAGE_DRIVER} schema is brought up to date when the API starts`);
+  }
+  await connectDb();
+}
+
+// npm run migrate [-- <version>]: applies the pending migrations, only up to <version> if given
+async function migrateCommand() {
+  const to = process.argv[3] === undefined ? Infinity : parseInt(process.argv[3]);
+  if (Number.isNaN(to)) throw new Error('The version to migrate to must be a number');
+  
+  await connectMigrations();
+  const applied = await storage.migrate({ to });
+  if (applied.length === 0) log.info('No pending migrations');
+  await storage.close();
+}
+
+// npm run migrate:rollback [-- <steps>]: reverts the last migration, or the last <steps>
+async function rollbackCommand() {
+  const steps = process.argv[3] === undefined ? 1 : parseInt(process.argv[3]);
+  if (!(steps >= 1)) throw new Error('The number of migrations to roll back must be at least 1');
+  
+  await connectMigrations();
+  const reverted = await storage.rollbackMigrations({ steps });
+  if (reverted.length === 0) log.info('No migrations to roll back');
+  await storage.close();
+}
+
+// npm run migrate:status: one line per migration, for people rather than log collectors
+async function migrationStatusCommand() {
+  await connectMigrations();
+  for (const m of await storage.migrationStatus()) {
+    const state = m.appliedAt ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+    const missing = m.missing ? ' (no file, the database is newer than this code)' : '';
+    process.stdout.write(`${String(m.version).padStart(3, '0')}  ${m.name.padEnd(32)} ${state}${missing}\n`);
+  }
+  await storage.close();
+}
+
+async function ensureAdmin() {
+  if (await storage.countAdminUsers() > 0) return;
+  
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    log.warn('No admin user exists. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+    return;
+  }
+  
+  await storage.createAdminUser(ADMIN_USERNAME, await hashPassword(ADMIN_PASSWORD));
+  log.info('Created admin user', { username: ADMIN_USERNAME });
+}
+
+async function listAccounts() {
+  return storage.listAccounts();
+}
+
+// Legacy /api/* routes act on the oldest account
+async function getDefaultAccountId() {
+  const [account] = await storage.listAccounts();
+  return account?.id || null;
+}
+
+async function createAccount(name) {
+  return storage.createAccount({
+    name: name || 'New account',
+    webhook_secret: encryptSecret(generateWebhookSecret())
   });
+}
+
+async function deleteAccount(accountId) {
+  await storage.deleteAccount(accountId);
+}
+
+async function getConfig(accountId) {
+  const config = await storage.getAccount(accountId);
+  if (!config) return null;
+  for (const field of SECRET_FIELDS) {
+    if (config[field]) config[field] = decryptSecret(config[field]);
+  }
+  return config;
+}
+
+async function updateConfig(accountId, updates) {
+  const encrypted = { ...updates };
+  for (const field of SECRET_FIELDS) {
+    if (encrypted[field]) encrypted[field] = encryptSecret(encrypted[field]);
+  }
+  await writeConfig(accountId, encrypted);
+}
+
+// The given fields that are set, the rest of the body is ignored
+function pick(body, fields) {
+  return Object.fromEntries(fields.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+}
+
+async function listRules(accountId) {
+  return storage.listRules(accountId);
+}
+
+const RULE_FIELDS = ['name', 'action', 'type', 'metric', 'value', 'enabled', 'position'];
+
+async function createRule(accountId, rule) {
+  return storage.createRule(accountId, pick(rule, RULE_FIELDS));
+}
+
+async function updateRule(accountId, ruleId, rule) {
+  return storage.updateRule(accountId, ruleId, pick(rule, RULE_FIELDS));
+}
+
+async function deleteRule(accountId, ruleId) {
+  return storage.deleteRule(accountId, ruleId);
+}
+
+async function listSinks(accountId) {
+  return (await storage.listSinks(accountId)).map(decryptSink);
+}
+
+async function getSink(accountId, sinkId) {
+  const sink = await storage.getSink(accountId, sinkId);
+  return sink ? decryptSink(sink) : null;
+}
+
+function decryptSink(sink) {
+  for (const field of SINK_SECRET_FIELDS) {
+    if (sink[field]) sink[field] = decryptSecret(sink[field]);
+  }
+  return sink;
+}
+
+const SINK_FIELDS = ['name', 'type', 'enabled', 'config', 'secret', 'filter'];
+
+function sinkFields(sink) {
+  const fields = pick(sink, SINK_FIELDS);
+  for (const field of SINK_SECRET_FIELDS) {
+    if (fields[field] !== undefined) fields[field] = fields[field] ? encryptSecret(fields[field]) : null;
+  }
+  return fields;
+}
+
+async function createSink(accountId, sink) {
+  return decryptSink(await storage.createSink(accountId, sinkFields(sink)));
+}
+
+async function updateSink(accountId, sinkId, sink) {
+  const updated = await storage.updateSink(accountId, sinkId, sinkFields(sink));
+  return updated ? decryptSink(updated) : null;
+}
+
+async function deleteSink(accountId, sinkId) {
+  return storage.deleteSink(accountId, sinkId);
+}
+
+// Don't expose secrets
+function publicSink(sink) {
+  const { secret, ...rest } = sink;
+  return { ...rest, hasSecret: !!secret };
+}
+
+async function listSources(accountId) {
+  return storage.listSources(accountId);
+}
+
+async function getSource(accountId, sourceId) {
+  return storage.getSource(accountId, sourceId);
+}
+
+const SOURCE_FIELDS = ['name', 'type', 'value', 'enabled', ...SCHEDULE_FIELDS];
+
+async function createSource(accountId, source) {
+  return storage.createSource(accountId, pick(source, SOURCE_FIELDS));
+}
+
+// A different list, user or query starts over from its newest tweets
+async function updateSource(accountId, sourceId, source) {
+  const existing = await getSource(accountId, sourceId);
+  if (!existing) return null;
+  const changed = existing.type !== source.type || (existing.value ?? null) !== (source.value ?? null);
+  return storage.updateSource(accountId, sourceId, {
+    ...pick(source, SOURCE_FIELDS),
+    ...(changed && { since_id: null, target_id: null })
+  });
+}
+
+async function deleteSource(accountId, sourceId) {
+  if (!(await storage.deleteSource(accountId, sourceId))) return false;
+  await storage.forgetSource(accountId, sourceId);
+  return true;
+}
+
+// Empty schedule fields from the dashboard mean "not set"
+function sourceBody(body) {
+  const source = { ...body };
+  for (const f of SCHEDULE_FIELDS) {
+    if (source[f] === '') source[f] = null;
+  }
+  return source;
+}
+
+function publicSource(source) {
+  return {
+    id: source.id,
+    name: source.name,
+    label: sourceLabel(source),
+    type: source.type,
+    value: source.value,
+    enabled: source.enabled,
+    sinceId: source.since_id,
+    schedule: describeSchedule(source),
+    createdAt: source.created_at
+  };
+}
+
+// The account's home timeline acts as a source whose cursor and schedule live in accounts
+function homeSource(config) {
+  return { ...config, id: null, type: 'home', name: null, enabled: true };
+}
+
+async function listTemplates(accountId) {
+  return storage.listTemplates(accountId);
+}
+
+async function getTemplate(accountId, templateId) {
+  return storage.getTemplate(accountId, templateId);
+}
+
+async function createTemplate(accountId, template) {
+  return storage.createTemplate(accountId, { name: template.name, body: template.body });
+}
+
+async function updateTemplate(accountId, templateId, template) {
+  return storage.updateTemplate(accountId, templateId, { name: template.name, body: template.body });
+}
+
+async function deleteTemplate(accountId, templateId) {
+  return storage.deleteTemplate(accountId, templateId);
+}
+
+function checkTemplate(config, template) {
+  if (!template.name || !String(template.name).trim()) return 'name is required';
+  return validateTemplate(template.body, templateContext(sampleBatch(config)));
+}
+
+// Body of the template a sink renders its message with, null for the built-in format
+function sinkTemplate(config, sink, templates) {
+  const templateId = sink.id === null ? config.message_template_id : sink.config.template_id;
+  return templates.find(t => t.id === templateId)?.body || null;
+}
+
+// The newest batch that went out (its kept tweets, from the archive), so templates can be
+// previewed against real data; the sample batch until there is one
+async function lastBatch(config) {
+  const pollId = await storage.lastBatchPollId(config.id);
+  const poll = pollId && await storage.getPoll(config.id, pollId);
+  if (!poll) return { ...sampleBatch(config), digest: null, sections: null, sample: true };
   
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS config (
-      id INTEGER PRIMARY KEY DEFAULT 1,
-      x_client_id TEXT,
-      x_client_secret TEXT,
-      access_token TEXT,
-      refresh_token TEXT,
-      token_expires_at TIMESTAMPTZ,
-      webhook_url TEXT,
-      poll_interval_hours INTEGER DEFAULT 6,
-      max_tweets_per_poll INTEGER DEFAULT 50,
-      openclaw_mode TEXT DEFAULT 'next-heartbeat',
-      created_at TIMESTAMPTZ DEFAULT NOW(),
-      updated_at TIMESTAMPTZ DEFAULT NOW(),
-      CHECK (id = 1)
-    )
-  `);
+  const authors = {};
+  const tweets = (await storage.listKeptTweets(config.id, poll.id)).map(row => {
+    authors[row.author_id] = { id: row.author_id, username: row.author_username, name: row.author_name };
+    return {
+      id: row.tweet_id,
+      author_id: row.author_id,
+      text: row.text,
+      created_at: row.tweeted_at?.toISOString() || null,
+      lang: row.lang,
+      conversation_id: row.conversation_id,
+      public_metrics: row.public_metrics,
+      ...(row.score !== null && { score: row.score })
+    };
+  });
+  const source = poll.source_id ? await getSource(config.id, poll.source_id) : homeSource(config);
   
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS seen_tweets (
-      tweet_id TEXT PRIMARY KEY,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `);
-  
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS poll_log (
-      id SERIAL PRIMARY KEY,
-      tweets_found INTEGER,
-      tweets_new INTEGER,
-      status TEXT,
-      error TEXT,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    )
-  `);
+  return {
+    config,
+    poll: {
+      id: poll.id,
+      started_at: poll.created_at,
+      tweets_found: poll.tweets_found,
+      tweets_new: poll.tweets_new,
+      tweets_filtered: poll.tweets_filtered
+    },
+    source: source && { id: source.id, type: source.type, name: sourceLabel(source) },
+    tweets: groupTweets(tweets, groupingConfig(config.grouping), authors),
+    authors,
+    sample: false
+  };
+}
+
+async function writeConfig(accountId, updates) {
+  await storage.updateAccount(accountId, updates);
+}
+
+// ============================================
+// Encryption
+// ============================================
+// Envelope encryption: every secret gets its own random data key (AES-256-GCM),
+// and the data key is wrapped with the master key from ENCRYPTION_KEY.
+// Stored as enc:v1:<master key id>:<wrapped data key>:<ciphertext>.
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function masterKeys() {
+  const keys = {};
+  for (const secret of [ENCRYPTION_KEY, ...ENCRYPTION_KEY_PREVIOUS]) {
+    if (!secret) continue;
+    const key = deriveKey(secret);
+    keys[keyId(key)] = key;
+  }
+  return keys;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function unseal(key, sealed) {
+  const buf = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function encryptSecret(plaintext) {
+  if (!ENCRYPTION_KEY) return plaintext;
   
-  // Insert default config if not exists
-  await pool.query(`
-    INSERT INTO config (id) VALUES (1) ON CONFLICT DO NOTHING
-  `);
+  const masterKey = deriveKey(ENCRYPTION_KEY);
+  const dataKey = crypto.randomBytes(32);
+  return ENCRYPTED_PREFIX + [
+    keyId(masterKey),
+    seal(masterKey, dataKey),
+    seal(dataKey, Buffer.from(String(plaintext), 'utf8'))
+  ].join(':');
+}
+
+function unwrapDataKey(value) {
+  const [id, wrappedKey, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const masterKey = masterKeys()[id];
+  if (!masterKey) {
+    throw new Error(`Secret is encrypted with unknown key ${id}, set ENCRYPTION_KEY or ENCRYPTION_KEY_PREVIOUS`);
+  }
+  return { dataKey: unseal(masterKey, wrappedKey), ciphertext };
+}
+
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
   
-  console.log('Database initialized');
+  const { dataKey, ciphertext } = unwrapDataKey(value);
+  return unseal(dataKey, ciphertext).toString('utf8');
+}
+
+function rewrapSecret(value) {
+  const { dataKey, ciphertext } = unwrapDataKey(value);
+  const masterKey = deriveKey(ENCRYPTION_KEY);
+  return ENCRYPTED_PREFIX + [keyId(masterKey), seal(masterKey, dataKey), ciphertext].join(':');
+}
+
+// ============================================
+// Auth
+// ============================================
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, 64, (err, key) => err ? reject(err) : resolve(key));
+});
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
 }
 
-async function getConfig() {
-  const res = await pool.query('SELECT * FROM config WHERE id = 1');
-  return res.rows[0] || {};
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const key = await scrypt(password, Buffer.from(salt, 'hex'));
+  return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
 }
 
-async function updateConfig(updates) {
-  const fields = Object.keys(updates);
-  const values = Object.values(updates);
-  const setClause = fields.map((f, i) => `${f} = $${i + 1}`).join(', ');
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function login(username, password) {
+  const user = await storage.getAdminUser(String(username || ''));
+  // Hash anyway so unknown usernames take as long as wrong passwords
+  const valid = await verifyPassword(String(password || ''), user?.password_hash || `scrypt$00$${'0'.repeat(128)}`);
+  if (!user || !valid) return null;
   
-  await pool.query(
-    `UPDATE config SET ${setClause}, updated_at = NOW() WHERE id = 1`,
-    values
-  );
+  const token = base64url(crypto.randomBytes(32));
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await storage.createSession(hashToken(token), user.id, expiresAt);
+  
+  return { token, expiresAt: expiresAt.toISOString(), username: user.username };
+}
+
+async function authenticate(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) return null;
+  
+  return storage.getSessionUser(hashToken(match[1]));
 }
 
 // ============================================
 // X API
 // ============================================
-async function refreshToken(config) {
-  console.log('Refreshing X API token...');
-  
-  const res = await fetch('https://api.twitter.com/2/oauth2/token', {
+async function requestToken(config, params) {
+  const res = await fetch(`${X_API_URL}/2/oauth2/token`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
       'Authorization': 'Basic ' + Buffer.from(`${config.x_client_id}:${config.x_client_secret}`).toString('base64')
     },
-    body: new URLSearchParams({
-      grant_type: 'refresh_token',
-      refresh_token: config.refresh_token
-    })
+    body: new URLSearchParams(params)
   });
   
-  const data = await res.json();
+  // Proxies and outages answer with HTML error pages, not JSON
+  const data = await res.json().catch(() => ({}));
   
-  if (data.error) {
-    throw new Error(`Token refresh failed: ${data.error_description || data.error}`);
+  if (!res.ok || data.error) {
+    throw new Error(data.error_description || data.error || `Token endpoint responded with ${res.status}`);
   }
   
-  await updateConfig({
+  await updateConfig(config.id, {
     access_token: data.access_token,
     refresh_token: data.refresh_token,
-    token_expires_at: new Date(Date.now() + data.expires_in * 1000).toISOString()
+    token_expires_at: new Date(Date.now() + data.expires_in * 1000).toISOString(),
+    token_error: null
   });
   
-  console.log('Token refreshed');
   return data.access_token;
 }
 
-async function getValidToken(config) {
-  if (!config.access_token) return null;
-  
-  const expiresAt = config.token_expires_at ? new Date(config.token_expires_at) : null;
-  if (expiresAt && expiresAt < new Date(Date.now() + 300000)) {
-    return await refreshToken(config);
+async function refreshToken(config) {
+  log.info('Refreshing X API token', { account: config.name });
+  
+  let token;
+  try {
+    token = await requestToken(config, {
+      grant_type: 'refresh_token',
+      refresh_token: config.refresh_token
+    });
+  } catch (err) {
+    tokenRefreshes.inc({ account: config.name, outcome: 'error' });
+    await updateConfig(config.id, { token_error: err.message });
+    await publishEvent(config.id, 'token.refresh_failed', { error: err.message });
+    throw new Error(`Token refresh failed: ${err.message}`);
+  }
+  
+  tokenRefreshes.inc({ account: config.name, outcome: 'success' });
+  log.info('Token refreshed', { account: config.name });
+  await publishEvent(config.id, 'token.refreshed');
+  return token;
+}
+
+async function getValidToken(config) {
+  if (!config.access_token) return null;
+  
+  const expiresAt = config.token_expires_at ? new Date(config.token_expires_at) : null;
+  if (expiresAt && expiresAt < new Date(Date.now() + 300000)) {
+    return await refreshToken(config);
+  }
+  
+  return config.access_token;
+}
+
+// Every X call goes through here. The x-rate-limit-* headers are stored per account and
+// endpoint, and once a budget is spent no request is made until it resets.
+async function xRequest(accountId, endpoint, token, url) {
+  const blockedUntil = await rateLimitedUntil(accountId, [endpoint]);
+  if (blockedUntil) throw rateLimitError(blockedUntil);
+  
+  const res = await fetch(url, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  await saveRateLimit(accountId, endpoint, res.headers);
+  
+  if (res.status === 429) {
+    const reset = parseInt(res.headers.get('x-rate-limit-reset'));
+    throw rateLimitError(reset ? new Date(reset * 1000) : new Date(Date.now() + 15 * 60 * 1000));
+  }
+  
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const detail = data.detail || data.title;
+    const err = new Error(`X API ${endpoint} responded with ${res.status}${detail ? `: ${detail}` : ''}`);
+    err.status = res.status;
+    throw err;
+  }
+  
+  return data;
+}
+
+function rateLimitError(resetAt) {
+  const err = new Error(`X API rate limit reached, next call allowed at ${resetAt.toISOString()}`);
+  err.status = 429;
+  err.resetAt = resetAt;
+  return err;
+}
+
+async function saveRateLimit(accountId, endpoint, headers) {
+  const remaining = parseInt(headers.get('x-rate-limit-remaining'));
+  const reset = parseInt(headers.get('x-rate-limit-reset'));
+  if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+  
+  await storage.saveRateLimit(accountId, endpoint, {
+    limit: parseInt(headers.get('x-rate-limit-limit')) || null,
+    remaining,
+    resetAt: new Date(reset * 1000)
+  });
+}
+
+// Reset time of a spent budget, for the given endpoints or any of them
+async function rateLimitedUntil(accountId, endpoints = null) {
+  return storage.rateLimitedUntil(accountId, endpoints);
+}
+
+// Budgets whose window already reset are reported as full
+async function listRateLimits(accountId) {
+  return storage.listRateLimits(accountId);
+}
+
+async function getUserId(accountId, token) {
+  const data = await xRequest(accountId, 'users/me', token, `${X_API_URL}/2/users/me`);
+  return data.data?.id;
+}
+
+async function getUserIdByUsername(accountId, token, username) {
+  const data = await xRequest(accountId, 'users/by_username', token,
+    `${X_API_URL}/2/users/by/username/${encodeURIComponent(username.replace(/^@/, ''))}`);
+  return data.data?.id;
+}
+
+async function getSourcePage(accountId, token, source, options) {
+  const { endpoint, path, params } = sourceRequest(source, options);
+  const url = new URL(`${X_API_URL}${path}`);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  url.searchParams.set('tweet.fields', 'created_at,author_id,text,public_metrics,lang,referenced_tweets,conversation_id,entities');
+  url.searchParams.set('expansions', 'author_id');
+  url.searchParams.set('user.fields', 'username,name');
+  
+  return xRequest(accountId, endpoint, token, url.toString());
+}
+
+// Follows next_token back to the source's since_id so nothing posted between polls
+// is skipped. Without a since_id (first poll) only the newest page is read. Stops
+// after TIMELINE_MAX_PAGES and reports the rest as truncated.
+async function fetchSource(token, userId, config, source) {
+  const timeline = { data: [], includes: { users: [] }, newestId: null, pages: 0, truncated: false };
+  const sinceId = source.since_id;
+  let paginationToken = null;
+  let reachedCursor = false;
+  
+  do {
+    if (timeline.pages === TIMELINE_MAX_PAGES) {
+      timeline.truncated = true;
+      break;
+    }
+    
+    const page = await getSourcePage(config.id, token, source, {
+      userId,
+      maxResults: config.max_tweets_per_poll || 50,
+      sinceId,
+      paginationToken
+    });
+    timeline.pages++;
+    
+    // Endpoints without since_id return older tweets too, those end the paging
+    const data = page.data || [];
+    const fresh = sinceId ? data.filter(t => BigInt(t.id) > BigInt(sinceId)) : data;
+    reachedCursor = fresh.length < data.length;
+    
+    timeline.data.push(...fresh);
+    timeline.includes.users.push(...(page.includes?.users || []));
+    timeline.newestId ??= page.meta?.newest_id || fresh[0]?.id || null;
+    paginationToken = page.meta?.next_token;
+  } while (paginationToken && sinceId && !reachedCursor);
+  
+  return timeline;
+}
+
+// ============================================
+// OAuth 2.0 (PKCE)
+// ============================================
+// Abandoned attempts are only valid for 10 minutes
+const OAUTH_STATE_TTL_MINUTES = 10;
+
+function base64url(buf) {
+  return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function startOAuth(config, redirectUri) {
+  const state = base64url(crypto.randomBytes(16));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  
+  await storage.createOAuthState({
+    state,
+    account_id: config.id,
+    code_verifier: codeVerifier,
+    redirect_uri: redirectUri
+  }, OAUTH_STATE_TTL_MINUTES);
+  
+  const url = new URL(X_AUTHORIZE_URL);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.x_client_id);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', OAUTH_SCOPES);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+async function completeOAuth(state, code) {
+  const pending = state && await storage.takeOAuthState(state, OAUTH_STATE_TTL_MINUTES);
+  if (!pending) throw new Error('Invalid or expired OAuth state');
+  
+  const config = await getConfig(pending.account_id);
+  if (!config) throw new Error('Account no longer exists');
+  try {
+    await requestToken(config, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: pending.redirect_uri,
+      code_verifier: pending.code_verifier,
+      client_id: config.x_client_id
+    });
+  } catch (err) {
+    throw new Error(`Authorization failed: ${err.message}`);
+  }
+  
+  log.info('X account connected', { account: config.name });
+}
+
+// ============================================
+// Polling
+// ============================================
+// Polls the home timeline, or one of the account's sources
+// An account is never polled twice at the same time, whether the polls come from the
+// scheduler, the API or another instance
+async function withPollLock(accountId, fn) {
+  return storage.withPollLock(accountId, fn);
+}
+
+// ============================================
+// Poll jobs
+// ============================================
+// Manual and scheduled polls are queued in poll_jobs and run one at a time by
+// processJobs(), so the API answers right away with a job to follow. The partial unique
+// index keeps a single queued or running job per account and source, and a job is only
+// claimed while no other job of its account runs. A running job reports its stage as it
+// goes and can be cancelled until it starts storing tweets; after that the tweets are
+// marked seen and their deliveries are queued, so it runs to the end.
+const CANCELLABLE_STAGES = ['token', 'fetch', 'filter', 'store'];
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Returns { job, created }; job is the one already queued or running when created is false
+async function enqueuePoll(accountId, sourceId, trigger) {
+  return storage.createJob({
+    account_id: accountId,
+    source_id: sourceId,
+    trigger,
+    correlation_id: correlationId('poll'),
+    request_id: logContext().correlation_id || null
+  });
+}
+
+async function listJobs(accountId, limit) {
+  return storage.listJobs(accountId, limit);
+}
+
+async function getJob(accountId, jobId) {
+  return storage.getJob(accountId, jobId);
+}
+
+// A queued job is cancelled on the spot, a running one when it reaches its next stage
+async function cancelJob(job) {
+  return storage.cancelJob(job.id);
+}
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    sourceId: job.source_id,
+    trigger: job.trigger,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    cancelRequested: job.cancel_requested,
+    correlationId: job.correlation_id,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+// The oldest queued job of an account that isn't polling already
+async function claimJob() {
+  return storage.claimJob();
+}
+
+// Handed to the poll, which reports each stage as it starts. Entering a stage before
+// the tweets are stored throws if the job was cancelled in the meantime.
+function jobReporter(jobId) {
+  return {
+    async stage(stage, progress = {}) {
+      const cancelRequested = await storage.setJobStage(jobId, stage, progress);
+      if (cancelRequested && CANCELLABLE_STAGES.includes(stage)) {
+        const err = new Error('Cancelled');
+        err.cancelled = true;
+        throw err;
+      }
+    }
+  };
+}
+
+// Returns false when another instance is polling the account, the job then waits in the
+// queue for the next round
+async function runJob(job) {
+  const fields = { correlation_id: job.correlation_id, request_id: job.request_id || undefined, job_id: job.id };
+  const about = { jobId: job.id, sourceId: job.source_id, trigger: job.trigger };
+  return withLogContext(fields, async () => {
+    let result;
+    try {
+      result = await withPollLock(job.account_id, async () => {
+        await publishEvent(job.account_id, 'poll.started', about);
+        return runPoll(job.account_id, job.source_id, jobReporter(job.id));
+      });
+    } catch (err) {
+      log.error('Poll job failed', { error: err });
+      result = { success: false, error: err.message };
+    }
+    if (!result) {
+      await storage.requeueJob(job.id);
+      return false;
+    }
+    
+    const status = result.success ? 'succeeded' : result.cancelled ? 'cancelled' : 'failed';
+    await storage.finishJob(job.id, status, result, result.success ? null : result.error);
+    await publishEvent(job.account_id, 'poll.finished', { ...about, status, ...result });
+    return true;
+  });
+}
+
+// Jobs whose instance went away mid-poll stop counting as running, so their account can
+// be polled again
+async function expireJobs() {
+  await storage.expireJobs(JOB_STALE_MINUTES, JOB_RETENTION_DAYS);
+}
+
+// Runs queued jobs one after the other. Calls made while it's busy are picked up by the
+// running loop instead of starting a second one.
+let jobsRunning = false;
+let jobsRequested = false;
+
+async function processJobs() {
+  jobsRequested = true;
+  if (jobsRunning) return;
+  jobsRunning = true;
+  try {
+    while (jobsRequested) {
+      jobsRequested = false;
+      await expireJobs();
+      let job;
+      while ((job = await claimJob())) {
+        if (!(await runJob(job))) break;
+      }
+    }
+  } catch (err) {
+    log.error('Job worker error', { error: err });
+    await publishEvent(null, 'error', { context: 'Job worker', error: err.message });
+  } finally {
+    jobsRunning = false;
+  }
+}
+
+async function runPoll(accountId, sourceId, job) {
+  const config = await getConfig(accountId);
+  if (!config) return { success: false, error: 'Account not found' };
+  const source = sourceId ? await getSource(accountId, sourceId) : homeSource(config);
+  if (!source) return { success: false, error: 'Source not found' };
+  
+  return withLogContext({ account: config.name, source: source.id ? sourceLabel(source) : undefined }, async () => {
+    if (!config.x_client_id || !config.access_token) {
+      log.info('Not configured, skipping poll');
+      pollsTotal.inc({ account: config.name, outcome: 'skipped' });
+      return { success: false, error: 'Not configured' };
+    }
+    
+    const observe = pollDuration.startTimer();
+    const result = await pollSource(config, source, job, logContext().correlation_id);
+    const outcome = result.success ? 'success'
+      : result.rateLimitedUntil ? 'rate_limited'
+        : result.cancelled ? 'cancelled' : 'error';
+    pollsTotal.inc({ account: config.name, outcome });
+    observe({ account: config.name, outcome });
+    return result;
+  });
+}
+
+async function pollSource(config, source, job, correlationId) {
+  const accountId = config.id;
+  log.info('Starting poll');
+  const startedAt = new Date();
+  const timer = stepTimer();
+  
+  try {
+    await job.stage('token');
+    // Don't spend requests while a budget is exhausted, poll again once it resets
+    const endpoints = needsUserId(source) ? [sourceEndpoint(source), 'users/me'] : [sourceEndpoint(source)];
+    const blockedUntil = await rateLimitedUntil(accountId, endpoints);
+    if (blockedUntil) throw rateLimitError(blockedUntil);
+    
+    const token = await getValidToken(config);
+    if (!token) throw new Error('No valid token');
+    
+    let userId = null;
+    if (needsUserId(source)) {
+      userId = await getUserId(accountId, token);
+      if (!userId) throw new Error('Could not get user ID');
+    }
+    if (source.type === 'user' && !source.target_id) {
+      source.target_id = await getUserIdByUsername(accountId, token, source.value);
+      if (!source.target_id) throw new Error(`User ${source.value} not found`);
+      await storage.updateSource(accountId, source.id, { target_id: source.target_id });
+    }
+    timer.mark('auth');
+    await job.stage('fetch');
+    
+    const timeline = await fetchSource(token, userId, config, source);
+    timer.mark('fetch');
+    await job.stage('filter', { found: timeline.data.length, pages: timeline.pages });
+    if (timeline.truncated) {
+      log.warn('Stopped paging, older tweets were skipped', { pages: timeline.pages });
+    }
+    
+    if (timeline.data.length === 0) {
+      await storage.logPoll({
+        account_id: accountId,
+        source_id: source.id,
+        tweets_found: 0,
+        tweets_new: 0,
+        pages_fetched: timeline.pages,
+        pages_truncated: timeline.truncated,
+        status: 'success',
+        timings: timer.timings,
+        duration_ms: Date.now() - startedAt,
+        correlation_id: correlationId
+      });
+      log.info('No tweets found', { pages: timeline.pages });
+      return { success: true, found: 0, new: 0, pages: timeline.pages };
+    }
+    
+    // Check which tweets are new to this source
+    const tweetIds = timeline.data.map(t => t.id);
+    const seenSet = new Set(await storage.seenTweetIds(accountId, source.id, tweetIds));
+    
+    const newTweets = timeline.data.filter(t => !seenSet.has(t.id));
+    
+    // Build authors map
+    const authors = {};
+    timeline.includes.users.forEach(u => { authors[u.id] = u; });
+    
+    // Apply filter rules
+    const { kept: passed, dropped } = applyRules(newTweets, await listRules(accountId), authors);
+    
+    // Rank what's left, tweets past top_n count as filtered
+    const scoring = scoringConfig(config.scoring);
+    const ranked = scoring.enabled ? rankTweets(passed, scoring, await storage.authorAffinity(accountId, AFFINITY_DAYS)) : passed;
+    const kept = scoring.enabled && scoring.top_n ? ranked.slice(0, scoring.top_n) : ranked;
+    if (kept.length < ranked.length) dropped[TOP_N] = ranked.length - kept.length;
+    const filtered = newTweets.length - kept.length;
+    const sinks = [primarySink(config), ...(await listSinks(accountId))].filter(s => s.enabled);
+    const grouping = groupingConfig(config.grouping);
+    const batchSource = { id: source.id, type: source.type, name: sourceLabel(source) };
+    const templates = await listTemplates(accountId);
+    const keptIds = new Set(kept.map(t => t.id));
+    timer.mark('filter');
+    
+    tweetsFound.inc({ account: config.name }, timeline.data.length);
+    tweetsNew.inc({ account: config.name }, newTweets.length);
+    log.info('Tweets found', {
+      found: timeline.data.length,
+      pages: timeline.pages,
+      new: newTweets.length,
+      filtered
+    });
+    
+    // Last chance to cancel, from here on the tweets are marked seen and go out
+    await job.stage('store', { new: newTweets.length, filtered });
+    
+    // Log the poll, queue one delivery per sink and mark tweets as seen together, so a tweet
+    // is never marked seen without deliveries that keep retrying until they go through
+    const { pollId, deliveryIds } = await storage.transaction(async tx => {
+      const loggedId = await tx.logPoll({
+        account_id: accountId,
+        source_id: source.id,
+        tweets_found: timeline.data.length,
+        tweets_new: newTweets.length,
+        tweets_filtered: filtered,
+        filter_stats: dropped,
+        pages_fetched: timeline.pages,
+        pages_truncated: timeline.truncated,
+        status: 'success',
+        fetched_tweet_ids: tweetIds,
+        new_tweet_ids: newTweets.map(t => t.id),
+        filtered_tweet_ids: newTweets.filter(t => !keptIds.has(t.id)).map(t => t.id),
+        correlation_id: correlationId
+      });
+      const pollInfo = {
+        id: loggedId,
+        started_at: startedAt.toISOString(),
+        tweets_found: timeline.data.length,
+        tweets_new: newTweets.length,
+        tweets_filtered: filtered
+      };
+      
+      // In digest mode the tweets wait in the queue for the next digest instead
+      const ids = [];
+      if (config.digest_enabled && sinks.length > 0) {
+        await queueForDigest(tx, accountId, pollInfo.id, batchSource, kept, authors);
+      }
+      for (const sink of config.digest_enabled ? [] : sinks) {
+        const { kept: tweets } = applyRules(kept, sinkRules(sink), authors);
+        if (tweets.length === 0) continue;
+        
+        const payload = buildPayload({
+          config: sinkPayloadConfig(config, sink),
+          poll: pollInfo,
+          source: batchSource,
+          tweets: groupTweets(tweets, grouping, authors),
+          authors,
+          template: sinkTemplate(config, sink, templates)
+        });
+        ids.push(await enqueueDelivery(tx, accountId, pollInfo.id, sink.id, payload, tweets.map(t => t.id)));
+      }
+      
+      if (newTweets.length > 0 && sinks.length > 0) {
+        // Mark tweets as seen, including the filtered ones
+        await tx.markSeen(accountId, source.id, newTweets.map(t => t.id));
+        await archiveTweets(tx, accountId, pollInfo.id, newTweets, authors, keptIds,
+          Object.fromEntries(ranked.map(t => [t.id, t.score])));
+      }
+      
+      // The next poll starts where this one ended, unless nothing could take the tweets yet
+      if (timeline.newestId && sinks.length > 0) {
+        if (source.id) {
+          await tx.updateSource(accountId, source.id, { since_id: timeline.newestId });
+        } else {
+          await tx.updateAccount(accountId, { since_id: timeline.newestId });
+        }
+      }
+      
+      return { pollId: pollInfo.id, deliveryIds: ids };
+    });
+    
+    // Cleanup old seen tweets (keep last 7 days)
+    await storage.pruneSeen(accountId, SEEN_TWEETS_RETENTION_DAYS);
+    await storage.pruneTweets(accountId, config.archive_retention_days);
+    timer.mark('store');
+    
+    // First attempt right away, retries are picked up by processDeliveries()
+    let delivered = 0;
+    await job.stage('deliver', { deliveries: deliveryIds.length, delivered });
+    for (const id of deliveryIds) {
+      if (await deliverNow(id)) delivered++;
+      await job.stage('deliver', { delivered });
+    }
+    timer.mark('deliver');
+    
+    const durationMs = Date.now() - startedAt;
+    await storage.updatePoll(pollId, { timings: timer.timings, duration_ms: durationMs });
+    log.info('Poll finished', { poll_id: pollId, deliveries: deliveryIds.length, delivered, duration_ms: durationMs });
+    
+    return {
+      success: true,
+      found: timeline.data.length,
+      new: newTweets.length,
+      filtered,
+      pages: timeline.pages,
+      truncated: timeline.truncated,
+      deliveries: deliveryIds.length,
+      delivered,
+      queued: config.digest_enabled && sinks.length > 0 ? kept.length : 0
+    };
+  
+  } catch (err) {
+    const rateLimited = !!err.resetAt;
+    if (rateLimited) {
+      log.warn('Poll postponed', { error: err.message, retry_after: err.resetAt.toISOString() });
+      await postponeRun(config, source, err.resetAt);
+    } else if (err.cancelled) {
+      log.info('Poll cancelled');
+    } else {
+      log.error('Poll failed', { error: err });
+    }
+    
+    const status = rateLimited ? 'rate_limited' : err.cancelled ? 'cancelled' : 'error';
+    await storage.logPoll({
+      account_id: accountId,
+      source_id: source.id,
+      tweets_found: 0,
+      tweets_new: 0,
+      status,
+      error: err.message,
+      timings: timer.timings,
+      duration_ms: Date.now() - startedAt,
+      correlation_id: correlationId
+    });
+    return { success: false, error: err.message, rateLimitedUntil: err.resetAt, cancelled: err.cancelled };
+  }
+}
+
+// Milliseconds spent in each step of a poll, as [{ step, ms }] in the order they ran
+function stepTimer() {
+  const timings = [];
+  let last = Date.now();
+  return {
+    timings,
+    mark(step) {
+      const now = Date.now();
+      timings.push({ step, ms: now - last });
+      last = now;
+    }
+  };
+}
+
+async function listPolls(accountId, limit) {
+  return storage.listPolls(accountId, limit);
+}
+
+async function getPoll(accountId, pollId) {
+  const poll = await storage.getPoll(accountId, pollId);
+  if (!poll) return null;
+  
+  const deliveries = await storage.listPollDeliveries(pollId);
+  const tweets = await storage.listPollTweets(accountId, pollId);
+  
+  const delivered = new Set(deliveries.filter(d => d.status === 'delivered').flatMap(d => d.tweet_ids));
+  return {
+    ...poll,
+    delivered_tweet_ids: poll.new_tweet_ids.filter(id => delivered.has(id)),
+    deliveries,
+    tweets: tweets.map(archivedTweet)
+  };
+}
+
+// ============================================
+// Tweet archive
+// ============================================
+async function archiveTweets(tx, accountId, pollId, tweets, authors, keptIds, scores = {}) {
+  const rows = tweets.map(t => ({
+    tweet_id: t.id,
+    author_id: t.author_id,
+    author_username: authors[t.author_id]?.username || null,
+    author_name: authors[t.author_id]?.name || null,
+    text: t.text,
+    lang: t.lang || null,
+    conversation_id: t.conversation_id || null,
+    public_metrics: t.public_metrics || {},
+    filtered: !keptIds.has(t.id),
+    score: scores[t.id] ?? null,
+    tweeted_at: t.created_at || null
+  }));
+  
+  await tx.archiveTweets(accountId, pollId, rows);
+}
+
+const ARCHIVE_MAX_LIMIT = 200;
+// Scoring favours authors by how many of their tweets were delivered in this many days
+const AFFINITY_DAYS = 30;
+
+// q uses web search syntax: "exact phrase", OR, -excluded
+async function searchTweets(accountId, { q, author, from, to, limit, offset }) {
+  const { rows, total } = await storage.searchTweets(accountId, {
+    q,
+    author: author && author.replace(/^@/, ''),
+    from,
+    to,
+    limit,
+    offset
+  });
+  
+  return {
+    tweets: rows.map(archivedTweet),
+    total,
+    limit,
+    offset
+  };
+}
+
+// Same shape as the tweets in a version 2 payload, plus where they came from
+function archivedTweet(row) {
+  return {
+    id: row.tweet_id,
+    url: tweetUrl({ id: row.tweet_id }, { username: row.author_username }),
+    text: row.text,
+    created_at: row.tweeted_at,
+    lang: row.lang,
+    conversation_id: row.conversation_id,
+    author: { id: row.author_id, username: row.author_username, name: row.author_name },
+    public_metrics: row.public_metrics,
+    poll_id: row.poll_id,
+    filtered: row.filtered,
+    score: row.score,
+    archived_at: row.archived_at
+  };
+}
+
+// ============================================
+// Webhook deliveries
+// ============================================
+// Every batch is stored in the deliveries outbox, once per sink, and retried with
+// exponential backoff until the sink accepts it. After WEBHOOK_MAX_ATTEMPTS it is
+// marked dead and only goes out again through a manual redeliver.
+async function enqueueDelivery(tx, accountId, pollId, sinkId, payload, tweetIds) {
+  return tx.createDelivery({ account_id: accountId, poll_id: pollId, sink_id: sinkId, payload, tweet_ids: tweetIds });
+}
+
+// The account's webhook_url acts as a sink without a filter of its own
+function primarySink(config) {
+  return { id: null, type: 'webhook', enabled: !!config.webhook_url, config: { url: config.webhook_url }, filter: [] };
+}
+
+// Generic webhook sinks pick their payload version, every other sink renders version 2
+function sinkPayloadConfig(config, sink) {
+  if (sink.id === null) return config;
+  if (sink.type !== 'webhook') {
+    return { ...config, webhook_payload_version: 2, webhook_include_message: true };
+  }
+  return {
+    ...config,
+    webhook_payload_version: sink.config.payload_version ?? 2,
+    webhook_include_message: sink.config.include_message ?? true
+  };
+}
+
+// Claiming pushes next_attempt_at out, so other instances skip deliveries in flight
+async function deliverNow(deliveryId) {
+  const [delivery] = await storage.claimDeliveries(deliveryId);
+  return delivery ? attemptDelivery(delivery) : false;
+}
+
+async function processDeliveries() {
+  try {
+    const due = await storage.claimDeliveries(null);
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  } catch (err) {
+    log.error('Delivery worker error', { error: err });
+    await publishEvent(null, 'error', { context: 'Delivery worker', error: err.message });
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const attempts = delivery.attempts + 1;
+  const fields = { delivery_id: delivery.id, poll_id: delivery.poll_id ?? undefined, attempt: attempts };
+  let labels = { account: delivery.account_id, sink_type: delivery.sink_id ? 'unknown' : 'webhook' };
+  const about = () => ({
+    deliveryId: delivery.id,
+    pollId: delivery.poll_id,
+    sinkId: delivery.sink_id,
+    sinkType: labels.sink_type,
+    attempts
+  });
+  let observe = () => {};
+  
+  try {
+    const config = await getConfig(delivery.account_id);
+    const sink = delivery.sink_id ? await getSink(delivery.account_id, delivery.sink_id) : primarySink(config);
+    labels = { account: config.name, sink_type: sink?.type || labels.sink_type };
+    if (!sink?.enabled) throw new Error(delivery.sink_id ? 'Sink is disabled' : 'No webhook URL configured');
+    
+    observe = deliveryDuration.startTimer();
+    const status = await sendToSink(sink, delivery.payload, {
+      id: `dlv_${delivery.id}`,
+      secrets: signingSecrets(config),
+      fileDir: FILE_SINK_DIR
+    });
+    observe({ sink_type: labels.sink_type, outcome: 'delivered' });
+    
+    await storage.markDelivered(delivery.id, attempts, status);
+    if (delivery.poll_id) await storage.recountDelivered(delivery.poll_id);
+    
+    deliveriesTotal.inc({ ...labels, outcome: 'delivered' });
+    tweetsDelivered.inc(labels, delivery.tweet_ids.length);
+    log.info('Delivery sent', { ...fields, sink_type: labels.sink_type, status });
+    await publishEvent(delivery.account_id, 'delivery.succeeded', { ...about(), status });
+    return true;
+  } catch (err) {
+    const dead = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    observe({ sink_type: labels.sink_type, outcome: 'failed' });
+    deliveriesTotal.inc({ ...labels, outcome: dead ? 'dead' : 'failed' });
+    const delay = Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+    
+    await storage.markFailed(delivery.id, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastStatus: err.status || null,
+      error: err.message,
+      retryInSeconds: delay
+    });
+    
+    log.error(dead ? 'Delivery failed, moved to dead letters' : 'Delivery failed', {
+      ...fields,
+      sink_type: labels.sink_type,
+      max_attempts: WEBHOOK_MAX_ATTEMPTS,
+      error: err.message
+    });
+    await publishEvent(delivery.account_id, 'delivery.failed', { ...about(), status: err.status || null, dead, error: err.message });
+    return false;
+  }
+}
+
+// ============================================
+// Webhook signing
+// ============================================
+// Payloads are signed with signWebhook() from sinks.js. Right after a rotation the
+// previous secret keeps signing too, until webhook_secret_previous_expires_at.
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(32).toString('base64');
+}
+
+function signingSecrets(config) {
+  const secrets = [config.webhook_secret];
+  const previousExpiresAt = config.webhook_secret_previous_expires_at;
+  if (config.webhook_secret_previous && previousExpiresAt && new Date(previousExpiresAt) > new Date()) {
+    secrets.push(config.webhook_secret_previous);
+  }
+  return secrets.filter(Boolean);
+}
+
+async function rotateWebhookSecret(accountId, graceHours) {
+  const config = await getConfig(accountId);
+  const secret = generateWebhookSecret();
+  
+  await updateConfig(accountId, {
+    webhook_secret: secret,
+    webhook_secret_previous: config.webhook_secret,
+    webhook_secret_previous_expires_at: new Date(Date.now() + graceHours * 60 * 60 * 1000).toISOString()
+  });
+  
+  log.info('Webhook secret rotated', { account: config.name, grace_hours: graceHours });
+  return getConfig(accountId);
+}
+
+function webhookSecretInfo(config) {
+  const previousActive = signingSecrets(config).length > 1;
+  return {
+    secret: config.webhook_secret,
+    previousSecretExpiresAt: previousActive ? config.webhook_secret_previous_expires_at : null
+  };
+}
+
+async function listDeliveries(accountId, status, limit) {
+  return storage.listDeliveries(accountId, status, limit);
+}
+
+async function getDelivery(accountId, deliveryId) {
+  return storage.getDelivery(accountId, deliveryId);
+}
+
+// Puts a delivery back in the queue with a fresh set of attempts and tries it right away
+async function redeliver(accountId, deliveryId) {
+  if (!(await storage.resetDelivery(accountId, deliveryId))) return null;
+  
+  await deliverNow(deliveryId);
+  return getDelivery(accountId, deliveryId);
+}
+
+// ============================================
+// Digests
+// ============================================
+async function queueForDigest(tx, accountId, pollId, source, tweets, authors) {
+  const rows = tweets.map(t => ({ tweet_id: t.id, tweet: t, author: authors[t.author_id] || null }));
+  await tx.queueForDigest(accountId, pollId, source, rows);
+}
+
+// The queued tweets that make it into the digest, with their authors
+function collectDigest(config, rows) {
+  const authors = {};
+  const queued = rows.map(row => {
+    if (row.author) authors[row.tweet.author_id] = row.author;
+    return { ...row.tweet, source: row.source };
+  });
+  const { tweets, omitted } = capDigest(queued, config.digest_max_tweets || 50);
+  return {
+    tweets,
+    authors,
+    info: {
+      group_by: config.digest_group_by || 'author',
+      tweets_queued: rows.length,
+      omitted,
+      queued_since: rows.reduce((min, r) => (!min || r.queued_at < min ? r.queued_at : min), null)
+    }
+  };
+}
+
+function digestPayload(config, digest, tweets, template) {
+  const entries = groupTweets(tweets, groupingConfig(config.grouping), digest.authors);
+  return buildDigestPayload({
+    config,
+    digest: digest.info,
+    sections: digestSections(entries, digest.info.group_by, digest.authors),
+    authors: digest.authors,
+    template
+  });
+}
+
+// What the webhook would get if the digest went out now, as a version 2 payload
+async function previewDigest(accountId) {
+  const config = await getConfig(accountId);
+  const queued = await storage.listDigestQueue(accountId);
+  const preview = queued.length > 0 ? collectDigest(config, queued) : null;
+  
+  return {
+    ...describeDigest(config),
+    pending: queued.length,
+    payload: preview && digestPayload(
+      { ...config, webhook_payload_version: 2, webhook_include_message: true },
+      preview,
+      preview.tweets,
+      sinkTemplate(config, primarySink(config), await listTemplates(accountId))
+    )
+  };
+}
+
+// Empties the queue into one delivery per sink. Both happen in one transaction, so a
+// queued tweet either goes out in this digest or stays for the next one.
+async function sendDigest(accountId) {
+  const config = await getConfig(accountId);
+  const sinks = [primarySink(config), ...(await listSinks(accountId))].filter(s => s.enabled);
+  if (sinks.length === 0) return { success: false, error: 'No webhook or sink to send the digest to' };
+  const templates = await listTemplates(accountId);
+  
+  const { tweets, deliveryIds } = await storage.transaction(async tx => {
+    const queued = await tx.takeDigestQueue(accountId);
+    if (queued.length === 0) return { tweets: 0, deliveryIds: [] };
+    
+    const digest = collectDigest(config, queued);
+    const ids = [];
+    for (const sink of sinks) {
+      const { kept } = applyRules(digest.tweets, sinkRules(sink), digest.authors);
+      if (kept.length === 0) continue;
+      
+      const payload = digestPayload(sinkPayloadConfig(config, sink), digest, kept, sinkTemplate(config, sink, templates));
+      ids.push(await enqueueDelivery(tx, accountId, null, sink.id, payload, kept.map(t => t.id)));
+    }
+    return { tweets: digest.tweets.length, deliveryIds: ids };
+  });
+  
+  let delivered = 0;
+  for (const id of deliveryIds) {
+    if (await deliverNow(id)) delivered++;
+  }
+  if (tweets > 0) {
+    log.info('Digest sent', { account: config.name, tweets });
+    await publishEvent(accountId, 'digest.sent', { tweets, deliveries: deliveryIds.length, delivered });
+  }
+  
+  return { success: true, tweets, deliveries: deliveryIds.length, delivered };
+}
+
+function describeDigest(config) {
+  return {
+    enabled: config.digest_enabled,
+    times: config.digest_times,
+    timezone: config.schedule_timezone,
+    groupBy: config.digest_group_by,
+    maxTweets: config.digest_max_tweets,
+    nextAt: config.digest_enabled ? config.digest_next_at : null
+  };
+}
+
+// Sends a sample batch straight to a sink, bypassing the outbox
+async function testSink(accountId, sink) {
+  const config = await getConfig(accountId);
+  const authors = { test: { id: 'test', username: 'timeline_watcher', name: 'Timeline Watcher' } };
+  const tweet = {
+    id: '0',
+    author_id: 'test',
+    text: 'Test message from Timeline Watcher',
+    created_at: new Date().toISOString(),
+    public_metrics: {}
+  };
+  
+  const payload = buildPayload({
+    config: sinkPayloadConfig(config, sink),
+    poll: null,
+    tweets: [tweet],
+    authors,
+    template: sinkTemplate(config, sink, await listTemplates(accountId))
+  });
+  return sendToSink(sink, { ...payload, event: 'test' }, {
+    id: `test_${Date.now()}`,
+    secrets: signingSecrets(config),
+    fileDir: FILE_SINK_DIR
+  });
+}
+
+// ============================================
+// Scheduler
+// ============================================
+// next_run_at lives in accounts (home timeline) and sources, so schedules survive
+// restarts and every instance can run the scheduler. Claiming a due row moves
+// next_run_at to its following run under a row lock, so each run is picked up by one
+// instance only. Runs missed while no instance was up collapse into a single catch-up
+// poll, which pages back to since_id and so still gets every tweet. Digests are claimed
+// the same way, over digest_next_at.
+async function runDuePolls() {
+  try {
+    for (const account of await storage.claimDueAccounts(nextRun)) {
+      await enqueuePoll(account.id, null, 'schedule');
+    }
+    for (const source of await storage.claimDueSources(nextRun)) {
+      await enqueuePoll(source.account_id, source.id, 'schedule');
+    }
+    await processJobs();
+    for (const account of await storage.claimDueDigests(nextDigest)) {
+      await sendDigest(account.id);
+    }
+    await pruneEvents();
+  } catch (err) {
+    log.error('Scheduler error', { error: err });
+    await publishEvent(null, 'error', { context: 'Scheduler', error: err.message });
+  }
+}
+
+// Recomputes next_run_at after a schedule change
+async function reschedule(accountId) {
+  const config = await getConfig(accountId);
+  const next = nextRun(config, new Date());
+  await storage.updateAccount(accountId, { next_run_at: next });
+  log.info('Next poll scheduled', { account: config.name, next_run_at: next.toISOString() });
+}
+
+async function rescheduleDigest(accountId) {
+  const config = await getConfig(accountId);
+  const next = config.digest_enabled ? nextDigest(config, new Date()) : null;
+  await storage.updateAccount(accountId, { digest_next_at: next });
+}
+
+async function rescheduleSource(source) {
+  await storage.updateSource(source.account_id, source.id, { next_run_at: nextRun(source, new Date()) });
+}
+
+// Brings the next run forward to right after a rate limit resets
+async function postponeRun(config, source, resetAt) {
+  const retryAt = skipQuietHours(source, new Date(resetAt.getTime() + 5000));
+  await storage.advanceRun(config.id, source.id ?? null, retryAt);
+}
+
+function describeSchedule(config) {
+  return {
+    cron: config.schedule_cron,
+    intervalMinutes: config.schedule_interval_minutes,
+    timezone: config.schedule_timezone,
+    quietHoursStart: config.quiet_hours_start,
+    quietHoursEnd: config.quiet_hours_end,
+    nextRunAt: config.next_run_at
+  };
+}
+
+// ============================================
+// Config revisions
+// ============================================
+// Settings only change through here, so every change is validated and recorded. A
+// rollback is a change like any other, back to the settings a revision left behind.
+async function changeConfig(accountId, updates, { username = null, rollbackOf = null } = {}) {
+  for (const f of SCHEDULE_FIELDS) {
+    if (updates[f] === '') updates[f] = null;
+  }
+  const before = await getConfig(accountId);
+  const errors = validateConfig(updates, before);
+  if (updates.message_template_id && !errors.message_template_id &&
+      !(await getTemplate(accountId, updates.message_template_id))) {
+    errors.message_template_id = 'must be one of the account\'s templates';
+  }
+  if (Object.keys(errors).length > 0) return { errors };
+  
+  if (updates.scoring !== undefined) updates.scoring = scoringConfig(updates.scoring);
+  if (updates.grouping !== undefined) updates.grouping = groupingConfig(updates.grouping);
+  
+  await updateConfig(accountId, updates);
+  const scheduleChanged = SCHEDULE_FIELDS.some(f => updates[f] !== undefined);
+  if (scheduleChanged) await reschedule(accountId);
+  if (scheduleChanged || DIGEST_FIELDS.some(f => updates[f] !== undefined)) await rescheduleDigest(accountId);
+  
+  const revision = await recordRevision(accountId, before, await getConfig(accountId), { username, rollbackOf });
+  if (revision) {
+    // Only the names of the fields, their values may be credentials
+    await configChanged(accountId, 'settings', rollbackOf ? 'rolled_back' : 'updated', revision.id,
+      Object.keys(revision.changes));
+  }
+  return { revision };
+}
+
+// Saves nothing when the update left every setting as it was
+async function recordRevision(accountId, before, after, { username, rollbackOf }) {
+  const changes = configDiff(before, after, SECRET_FIELDS);
+  if (Object.keys(changes).length === 0) return null;
+  
+  return storage.createRevision({
+    account_id: accountId,
+    changes,
+    snapshot: configSnapshot(after),
+    username,
+    rollback_of: rollbackOf
+  });
+}
+
+async function listRevisions(accountId, limit) {
+  return storage.listRevisions(accountId, limit);
+}
+
+async function getRevision(accountId, revisionId) {
+  return storage.getRevision(accountId, revisionId);
+}
+
+function publicRevision(revision) {
+  return {
+    id: revision.id,
+    changes: revision.changes,
+    username: revision.username,
+    rollbackOf: revision.rollback_of,
+    createdAt: revision.created_at
+  };
+}
+
+// 400 with the errors by field; error sums them up for clients that only show one message
+function invalidConfig(res, fields) {
+  const error = Object.entries(fields).map(([field, message]) => `${field}: ${message}`).join('; ');
+  return json(res, { error, fields }, 400);
+}
+
+// ============================================
+// Live events
+// ============================================
+// Things worth showing as they happen are stored in events and announced to every
+// instance (NOTIFY on Postgres), which forwards them to its own /api/events streams:
+//   poll.started        { jobId, sourceId, trigger }
+//   poll.finished       { jobId, sourceId, trigger, status, ...the poll result (found, new, delivered, error...) }
+//   delivery.succeeded  { deliveryId, pollId, sinkId, sinkType, attempts, status }
+//   delivery.failed     { deliveryId, pollId, sinkId, sinkType, attempts, status, dead, error }
+//   token.refreshed     {}
+//   token.refresh_failed { error }
+//   config.changed      { section, action, id, fields }
+//   digest.sent         { tweets, deliveries, delivered }
+//   error               { context, error }  (background errors, not tied to an account)
+const EVENT_REPLAY_LIMIT = 500;
+const EVENT_HEARTBEAT_MS = 25000;
+const EVENT_RECONNECT_MS = 5000;
+// NOTIFY payloads are capped at 8000 bytes
+const EVENT_MAX_ERROR_LENGTH = 500;
+
+const eventStreams = new Set();
+
+function publicEvent(row) {
+  return {
+    id: Number(row.id),
+    type: row.type,
+    accountId: row.account_id,
+    data: row.data,
+    // Rows that come through Postgres' NOTIFY carry created_at as text
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+// Never throws, a lost event mustn't fail the poll or request that raised it
+async function publishEvent(accountId, type, data = {}) {
+  if (typeof data.error === 'string') data.error = data.error.slice(0, EVENT_MAX_ERROR_LENGTH);
+  try {
+    await storage.createEvent(accountId, type, data);
+  } catch (err) {
+    log.warn('Could not publish event', { type, error: err.message });
   }
-  
-  return config.access_token;
 }
 
-async function getUserId(token) {
-  const res = await fetch('https://api.twitter.com/2/users/me', {
-    headers: { 'Authorization': `Bearer ${token}` }
+function configChanged(accountId, section, action, id = null, fields = undefined) {
+  return publishEvent(accountId, 'config.changed', { section, action, id, fields });
+}
+
+async function listEvents(accountId, { after = null, limit = 50 } = {}) {
+  return (await storage.listEvents(accountId, { after, limit })).map(publicEvent);
+}
+
+async function listenForEvents() {
+  await storage.subscribe(row => {
+    const event = publicEvent(row);
+    for (const stream of eventStreams) stream.send(event);
   });
-  const data = await res.json();
-  return data.data?.id;
 }
 
-async function getTimeline(token, userId, maxResults = 50) {
-  const url = new URL(`https://api.twitter.com/2/users/${userId}/timelines/reverse_chronological`);
-  url.searchParams.set('max_results', String(maxResults));
-  url.searchParams.set('tweet.fields', 'created_at,author_id,text,public_metrics');
-  url.searchParams.set('expansions', 'author_id');
-  url.searchParams.set('user.fields', 'username,name');
+// Server-Sent Events for one account. A client that reconnects with Last-Event-ID first
+// gets what it missed; events arriving meanwhile wait until the replay is written.
+async function streamEvents(req, res, accountId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${EVENT_RECONNECT_MS}\n\n`);
   
-  const res = await fetch(url.toString(), {
-    headers: { 'Authorization': `Bearer ${token}` }
+  let lastId = 0;
+  let pending = [];
+  const write = event => {
+    if (event.id <= lastId) return;
+    lastId = event.id;
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const stream = {
+    send(event) {
+      if (event.accountId !== null && event.accountId !== accountId) return;
+      if (pending) pending.push(event);
+      else write(event);
+    }
+  };
+  eventStreams.add(stream);
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventStreams.delete(stream);
   });
   
-  if (res.status === 429) {
-    throw new Error('Rate limited');
+  const since = parseInt(req.headers['last-event-id']);
+  if (since >= 0) {
+    for (const event of await listEvents(accountId, { after: since, limit: EVENT_REPLAY_LIMIT })) write(event);
   }
-  
-  return res.json();
+  pending.forEach(write);
+  pending = null;
+}
+
+async function pruneEvents() {
+  await storage.pruneEvents(EVENT_RETENTION_DAYS);
 }
 
 // ============================================
-// Polling
+// Health and metrics
 // ============================================
-async function poll() {
-  console.log('Starting poll...');
-  const config = await getConfig();
+const READY_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Accounts without credentials don't make the API unready, an account whose token can't
+// be used or renewed does. A live token is checked against X's users/me, at most once per
+// TOKEN_CHECK_MINUTES per account so probes don't spend the rate limit. X being
+// unreachable or the budget being spent says nothing about the token: "unverified".
+const TOKEN_CHECK_MINUTES = 5;
+const USABLE_TOKEN_STATUSES = ['ok', 'not_configured', 'unverified'];
+
+const tokenChecks = new Map();
+
+async function tokenStatus(config) {
+  if (!config.x_client_id || !config.access_token) return { status: 'not_configured' };
+  if (config.token_error) return { status: 'refresh_failed', error: config.token_error };
+  const expired = config.token_expires_at && new Date(config.token_expires_at) < new Date();
+  if (expired) return config.refresh_token ? { status: 'ok' } : { status: 'expired' };
   
-  if (!config.x_client_id || !config.access_token) {
-    console.log('Not configured, skipping poll');
-    return { success: false, error: 'Not configured' };
-  }
+  const cached = tokenChecks.get(config.id);
+  if (cached && cached.token === config.access_token && cached.until > Date.now()) return cached.result;
   
+  const result = checkToken(config);
+  tokenChecks.set(config.id, {
+    token: config.access_token,
+    until: Date.now() + TOKEN_CHECK_MINUTES * 60 * 1000,
+    result
+  });
+  return result;
+}
+
+async function checkToken(config) {
   try {
-    const token = await getValidToken(config);
-    if (!token) throw new Error('No valid token');
-    
-    const userId = await getUserId(token);
-    if (!userId) throw new Error('Could not get user ID');
-    
-    const timeline = await getTimeline(token, userId, config.max_tweets_per_poll || 50);
-    
-    if (!timeline.data || timeline.data.length === 0) {
-      await pool.query(
-        'INSERT INTO poll_log (tweets_found, tweets_new, status) VALUES ($1, $2, $3)',
-        [0, 0, 'success']
-      );
-      return { success: true, found: 0, new: 0 };
-    }
-    
-    // Check which tweets are new
-    const tweetIds = timeline.data.map(t => t.id);
-    const seenRes = await pool.query(
-      'SELECT tweet_id FROM seen_tweets WHERE tweet_id = ANY($1)',
-      [tweetIds]
-    );
-    const seenSet = new Set(seenRes.rows.map(r => r.tweet_id));
-    
-    const newTweets = timeline.data.filter(t => !seenSet.has(t.id));
-    
-    console.log(`Found ${timeline.data.length} tweets, ${newTweets.length} new`);
-    
-    if (newTweets.length > 0 && config.webhook_url) {
-      // Build authors map
-      const authors = {};
-      if (timeline.includes?.users) {
-        timeline.includes.users.forEach(u => { authors[u.id] = u; });
-      }
-      
-      // Format message
-      let msg = `📱 Timeline Update (${newTweets.length} tweets)\n\n`;
-      msg += `Revisá estos tweets de tu feed y contame si hay algo interesante.\n\n---\n\n`;
-      
-      for (const tweet of newTweets) {
-        const author = authors[tweet.author_id] || { username: 'unknown' };
-        const metrics = tweet.public_metrics || {};
-        const engagement = (metrics.like_count || 0) + (metrics.retweet_count || 0);
-        msg += `@${author.username}${engagement > 100 ? ' 🔥' : ''}:\n${tweet.text}\n\n`;
-      }
-      
-      // Send to webhook
-      await sendWebhook(config.webhook_url, msg, config.openclaw_mode || 'next-heartbeat');
-      
-      // Mark tweets as seen
-      for (const tweet of newTweets) {
-        await pool.query(
-          'INSERT INTO seen_tweets (tweet_id) VALUES ($1) ON CONFLICT DO NOTHING',
-          [tweet.id]
-        );
-      }
-    }
-    
-    // Cleanup old seen tweets (keep last 7 days)
-    await pool.query(
-      "DELETE FROM seen_tweets WHERE created_at < NOW() - INTERVAL '7 days'"
-    );
-    
-    await pool.query(
-      'INSERT INTO poll_log (tweets_found, tweets_new, status) VALUES ($1, $2, $3)',
-      [timeline.data.length, newTweets.length, 'success']
-    );
-    
-    return { success: true, found: timeline.data.length, new: newTweets.length };
-    
+    await withTimeout(xRequest(config.id, 'users/me', config.access_token, `${X_API_URL}/2/users/me`),
+      READY_TIMEOUT_MS, 'X did not answer in time');
+    return { status: 'ok' };
   } catch (err) {
-    console.error('Poll error:', err.message);
-    await pool.query(
-      'INSERT INTO poll_log (tweets_found, tweets_new, status, error) VALUES ($1, $2, $3, $4)',
-      [0, 0, 'error', err.message]
-    );
-    return { success: false, error: err.message };
+    if (err.status === 401 || err.status === 403) return { status: 'rejected', error: err.message };
+    return { status: 'unverified', error: err.message };
   }
 }
 
-async function sendWebhook(url, message, mode) {
+async function readiness() {
+  const startedAt = Date.now();
   try {
-    const payload = {
-      event: 'timeline_update',
-      message,
-      mode,
-      timestamp: new Date().toISOString()
-    };
-    
-    await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    
-    console.log('Webhook sent');
+    await withTimeout(storage.ping(), READY_TIMEOUT_MS, 'Database did not answer in time');
   } catch (err) {
-    console.error('Webhook error:', err.message);
+    return { ready: false, checks: { database: { status: 'error', error: err.message } } };
   }
-}
-
-function schedulePoll(intervalHours) {
-  if (pollInterval) clearInterval(pollInterval);
+  const database = { status: 'ok', latency_ms: Date.now() - startedAt };
   
-  const ms = intervalHours * 60 * 60 * 1000;
-  console.log(`Scheduling poll every ${intervalHours} hours`);
+  const tokens = await Promise.all((await listAccounts()).map(async account => {
+    const config = await getConfig(account.id);
+    const { status, error } = await tokenStatus(config);
+    return { account: config.name, status, expiresAt: config.token_expires_at, error };
+  }));
   
-  pollInterval = setInterval(poll, ms);
+  const ready = tokens.every(t => USABLE_TOKEN_STATUSES.includes(t.status));
+  return { ready, checks: { database, tokens } };
+}
+
+// Rate limits are shared by every instance, so they're read from the database on scrape
+async function collectRateLimits() {
+  const rows = await storage.listAllRateLimits();
+  rateLimitRemaining.reset();
+  for (const row of rows) {
+    rateLimitRemaining.set({ account: row.account, endpoint: row.endpoint }, row.remaining);
+  }
+}
+
+// Metrics name accounts and their rate limits, so they need METRICS_TOKEN (Prometheus sends
+// it as a bearer token) or an admin session
+async function metricsAuthorized(req) {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return true;
+  }
+  return !!(await authenticate(req));
 }
 
 // ============================================
@@ -290,27 +1910,75 @@ function parseBody(req) {
   });
 }
 
+// 202 with the new job, or 409 with the one already queued or running
+async function startPoll(res, accountId, sourceId) {
+  const { job, created } = await enqueuePoll(accountId, sourceId, 'manual');
+  if (!created) {
+    return json(res, { error: 'A poll is already queued or running', job: publicJob(job) }, 409);
+  }
+  processJobs();
+  return json(res, publicJob(job), 202);
+}
+
 function json(res, data, status = 200) {
-  res.writeHead(status, { 
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-  });
+  res.writeHead(status, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(data));
 }
 
-const server = http.createServer(async (req, res) => {
+// ?limit= of the list routes: fallback when missing or not a number, otherwise kept within 1..max
+const LIST_MAX_LIMIT = 100;
+
+function listLimit(url, fallback, max = LIST_MAX_LIMIT) {
+  const limit = parseInt(url.searchParams.get('limit'));
+  return Number.isNaN(limit) ? fallback : Math.min(Math.max(limit, 1), max);
+}
+
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  if (!origin || !CORS_ORIGINS.includes(origin)) return;
+  
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID');
+  res.setHeader('Vary', 'Origin');
+}
+
+// Routes reachable without a session
+const PUBLIC_ROUTES = ['/health', '/health/ready', '/metrics', '/api/auth/login', '/api/oauth/callback'];
+
+// Probes and scrapes are only logged at debug level
+const QUIET_ROUTES = ['/health', '/health/ready', '/metrics'];
+
+// A request ID from a proxy in front of the API is reused, otherwise one is made up.
+// Either way it's the correlation_id of the request's log lines and goes back in X-Request-Id.
+const server = http.createServer((req, res) => {
+  const given = req.headers['x-request-id'];
+  const requestId = /^[\w.-]{1,64}$/.test(given || '') ? given : correlationId('req');
+  const startedAt = Date.now();
+  res.setHeader('X-Request-Id', requestId);
+  
+  withLogContext({ correlation_id: requestId }, () => {
+    res.on('finish', () => {
+      const path = req.url.split('?')[0];
+      log[QUIET_ROUTES.includes(path) ? 'debug' : 'info']('Request handled', {
+        method: req.method,
+        path,
+        status: res.statusCode,
+        duration_ms: Date.now() - startedAt
+      });
+    });
+    return handleRequest(req, res);
+  });
+});
+
+async function handleRequest(req, res) {
   const url = new URL(req.url, `http://${req.headers.host}`);
-  const path = url.pathname;
+  let path = url.pathname;
   
   // CORS
+  setCorsHeaders(req, res);
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-    });
+    res.writeHead(204);
     res.end();
     return;
   }
@@ -321,16 +1989,120 @@ const server = http.createServer(async (req, res) => {
       return json(res, { status: 'ok', timestamp: new Date().toISOString() });
     }
     
+    // Readiness: the database answers and no account's X token is unusable. Without a
+    // session it only names the failing checks, the details carry account names and errors.
+    if (path === '/health/ready') {
+      const { ready, checks } = await readiness();
+      const status = ready ? 'ready' : 'not_ready';
+      const timestamp = new Date().toISOString();
+      // Sessions live in the database, there's no telling who asks while it's down
+      const detailed = checks.database.status === 'ok' && await authenticate(req);
+      if (detailed) return json(res, { status, timestamp, checks }, ready ? 200 : 503);
+      
+      const failing = Object.entries(checks)
+        .filter(([name, check]) => (name === 'tokens'
+          ? check.some(t => !USABLE_TOKEN_STATUSES.includes(t.status))
+          : check.status !== 'ok'))
+        .map(([name]) => name);
+      return json(res, { status, timestamp, failing }, ready ? 200 : 503);
+    }
+    
+    // Prometheus scrape
+    if (path === '/metrics') {
+      if (!(await metricsAuthorized(req))) return json(res, { error: 'Unauthorized' }, 401);
+      await collectRateLimits().catch(err => log.warn('Could not read rate limits for metrics', { error: err.message }));
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      return res.end(renderMetrics());
+    }
+    
+    // Login
+    if (path === '/api/auth/login' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const session = await login(body.username, body.password);
+      if (!session) return json(res, { error: 'Invalid username or password' }, 401);
+      return json(res, session);
+    }
+    
+    let user = null;
+    if (!PUBLIC_ROUTES.includes(path)) {
+      user = await authenticate(req);
+      if (!user) return json(res, { error: 'Unauthorized' }, 401);
+    }
+    
+    // Current session
+    if (path === '/api/auth/me' && req.method === 'GET') {
+      return json(res, { username: user.username });
+    }
+    
+    // Logout
+    if (path === '/api/auth/logout' && req.method === 'POST') {
+      await storage.deleteSession(user.token_hash);
+      return json(res, { success: true });
+    }
+    
+    // List accounts
+    if (path === '/api/accounts' && req.method === 'GET') {
+      const accounts = await listAccounts();
+      return json(res, accounts.map(a => ({
+        id: a.id,
+        name: a.name,
+        configured: !!(a.x_client_id && a.access_token),
+        webhookUrl: a.webhook_url,
+        nextRunAt: a.next_run_at
+      })));
+    }
+    
+    // Create account
+    if (path === '/api/accounts' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const account = await createAccount(body.name);
+      return json(res, { id: account.id, name: account.name }, 201);
+    }
+    
+    // Delete account
+    const accountPath = path.match(/^\/api\/accounts\/(\d+)$/);
+    if (accountPath && req.method === 'DELETE') {
+      const accountId = parseInt(accountPath[1]);
+      const accounts = await listAccounts();
+      if (!accounts.some(a => a.id === accountId)) {
+        return json(res, { error: 'Account not found' }, 404);
+      }
+      if (accounts.length === 1) {
+        return json(res, { error: 'Cannot delete the last account' }, 400);
+      }
+      await deleteAccount(accountId);
+      return json(res, { success: true });
+    }
+    
+    // /api/accounts/:id/<route> is the per-account version of /api/<route>;
+    // the unscoped routes act on the default account
+    const scoped = path.match(/^\/api\/accounts\/(\d+)(\/.+)$/);
+    const accountId = scoped ? parseInt(scoped[1]) : await getDefaultAccountId();
+    if (scoped) {
+      if (!(await getConfig(accountId))) return json(res, { error: 'Account not found' }, 404);
+      path = `/api${scoped[2]}`;
+    }
+    
     // Get config
     if (path === '/api/config' && req.method === 'GET') {
-      const config = await getConfig();
+      const config = await getConfig(accountId);
       // Don't expose secrets
       return json(res, {
+        id: config.id,
+        name: config.name,
         hasCredentials: !!(config.x_client_id && config.x_client_secret),
         hasTokens: !!(config.access_token && config.refresh_token),
         webhookUrl: config.webhook_url,
-        pollIntervalHours: config.poll_interval_hours,
+        webhookPayloadVersion: config.webhook_payload_version,
+        webhookIncludeMessage: config.webhook_include_message,
+        schedule: describeSchedule(config),
         maxTweetsPerPoll: config.max_tweets_per_poll,
+        sinceId: config.since_id,
+        archiveRetentionDays: config.archive_retention_days,
+        scoring: scoringConfig(config.scoring),
+        grouping: groupingConfig(config.grouping),
+        digest: describeDigest(config),
+        messageTemplateId: config.message_template_id,
         openclawMode: config.openclaw_mode,
         updatedAt: config.updated_at
       });
@@ -339,78 +2111,451 @@ const server = http.createServer(async (req, res) => {
     // Update config
     if (path === '/api/config' && req.method === 'PUT') {
       const body = await parseBody(req);
-      const allowed = ['x_client_id', 'x_client_secret', 'access_token', 'refresh_token', 
-                       'webhook_url', 'poll_interval_hours', 'max_tweets_per_poll', 'openclaw_mode'];
       const updates = {};
-      for (const key of allowed) {
+      for (const key of Object.keys(CONFIG_FIELDS)) {
         if (body[key] !== undefined) updates[key] = body[key];
       }
-      await updateConfig(updates);
+      // Older clients still send whole hours
+      if (body.poll_interval_hours && updates.schedule_interval_minutes === undefined) {
+        updates.schedule_interval_minutes = body.poll_interval_hours * 60;
+      }
+      
+      const { errors, revision } = await changeConfig(accountId, updates, { username: user.username });
+      if (errors) return invalidConfig(res, errors);
+      return json(res, { success: true, revision: revision && publicRevision(revision) });
+    }
+    
+    // Settings history, newest first
+    if (path === '/api/config/history' && req.method === 'GET') {
+      return json(res, (await listRevisions(accountId, listLimit(url, 20))).map(publicRevision));
+    }
+    
+    const revisionPath = path.match(/^\/api\/config\/history\/(\d+)\/rollback$/);
+    if (revisionPath && req.method === 'POST') {
+      const target = await getRevision(accountId, parseInt(revisionPath[1]));
+      if (!target) return json(res, { error: 'Revision not found' }, 404);
       
-      // Reschedule if interval changed
-      if (body.poll_interval_hours) {
-        schedulePoll(body.poll_interval_hours);
+      // Through configSnapshot again, for revisions saved while it kept unset scoring as null
+      const { errors, revision } = await changeConfig(accountId, configSnapshot(target.snapshot), {
+        username: user.username,
+        rollbackOf: target.id
+      });
+      if (errors) return invalidConfig(res, errors);
+      return json(res, { success: true, revision: revision && publicRevision(revision) });
+    }
+    
+    // Preview the next runs of a schedule before saving it
+    if (path === '/api/schedule/preview' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const schedule = { ...(await getConfig(accountId)) };
+      for (const f of SCHEDULE_FIELDS) {
+        if (body[f] !== undefined) schedule[f] = body[f] === '' ? null : body[f];
+      }
+      const error = validateSchedule(schedule);
+      if (error) return json(res, { error }, 400);
+      const count = body.count === undefined ? PREVIEW_DEFAULT_RUNS : Number(body.count);
+      if (body.count === null || body.count === '' || !Number.isFinite(count)) {
+        return json(res, { error: 'count must be a number' }, 400);
+      }
+      const runs = Math.min(Math.max(Math.trunc(count), 1), PREVIEW_MAX_RUNS);
+      return json(res, { runs: upcomingRuns(schedule, new Date(), runs) });
+    }
+    
+    // Start OAuth flow
+    if (path === '/api/oauth/start' && req.method === 'POST') {
+      const config = await getConfig(accountId);
+      if (!config.x_client_id || !config.x_client_secret) {
+        return json(res, { error: 'Client ID and secret must be set first' }, 400);
+      }
+      // Never derived from the request: Host and X-Forwarded-Proto are whatever the client sends
+      if (!OAUTH_REDIRECT_URI) return json(res, { error: 'OAUTH_REDIRECT_URI is not set on the API' }, 400);
+      const authorizeUrl = await startOAuth(config, OAUTH_REDIRECT_URI);
+      return json(res, { url: authorizeUrl });
+    }
+    
+    // OAuth callback (X redirects the browser here)
+    if (path === '/api/oauth/callback' && req.method === 'GET') {
+      let result;
+      try {
+        const error = url.searchParams.get('error');
+        if (error) throw new Error(`Authorization denied: ${error}`);
+        await completeOAuth(url.searchParams.get('state'), url.searchParams.get('code'));
+        result = { success: true };
+      } catch (err) {
+        log.error('OAuth error', { error: err.message });
+        result = { success: false, error: err.message };
       }
       
-      return json(res, { success: true });
+      if (!DASHBOARD_URL) return json(res, result, result.success ? 200 : 400);
+      
+      const redirect = new URL(DASHBOARD_URL);
+      redirect.searchParams.set('oauth', result.success ? 'success' : 'error');
+      if (result.error) redirect.searchParams.set('message', result.error);
+      res.writeHead(302, { Location: redirect.toString() });
+      res.end();
+      return;
     }
     
-    // Manual poll
+    // Manual poll, runs as a job
     if (path === '/api/poll' && req.method === 'POST') {
-      const result = await poll();
-      return json(res, result);
+      return startPoll(res, accountId, null);
+    }
+    
+    // Poll jobs
+    if (path === '/api/jobs' && req.method === 'GET') {
+      return json(res, (await listJobs(accountId, listLimit(url, 20))).map(publicJob));
+    }
+    
+    const jobPath = path.match(/^\/api\/jobs\/(\d+)(\/cancel)?$/);
+    if (jobPath && !jobPath[2] && req.method === 'GET') {
+      const job = await getJob(accountId, parseInt(jobPath[1]));
+      if (!job) return json(res, { error: 'Job not found' }, 404);
+      return json(res, publicJob(job));
+    }
+    
+    if (jobPath && jobPath[2] && req.method === 'POST') {
+      const job = await getJob(accountId, parseInt(jobPath[1]));
+      if (!job) return json(res, { error: 'Job not found' }, 404);
+      if (!ACTIVE_JOB_STATUSES.includes(job.status)) return json(res, { error: `Job already ${job.status}` }, 409);
+      if (job.stage === 'deliver') {
+        return json(res, { error: 'The tweets are already being delivered, the poll can no longer be cancelled' }, 409);
+      }
+      const cancelled = await cancelJob(job);
+      if (!cancelled) return json(res, { error: 'Job already finished' }, 409);
+      return json(res, publicJob(cancelled));
+    }
+    
+    // Live events, see streamEvents()
+    if (path === '/api/events' && req.method === 'GET') {
+      return streamEvents(req, res, accountId);
+    }
+    
+    if (path === '/api/events/recent' && req.method === 'GET') {
+      return json(res, await listEvents(accountId, { limit: listLimit(url, 50, EVENT_REPLAY_LIMIT) }));
+    }
+    
+    // Filter rules
+    if (path === '/api/rules' && req.method === 'GET') {
+      return json(res, await listRules(accountId));
+    }
+    
+    if (path === '/api/rules' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = validateRule(body);
+      if (error) return json(res, { error }, 400);
+      const rule = await createRule(accountId, body);
+      await configChanged(accountId, 'rules', 'created', rule.id);
+      return json(res, rule, 201);
+    }
+    
+    const rulePath = path.match(/^\/api\/rules\/(\d+)$/);
+    if (rulePath && req.method === 'PUT') {
+      const ruleId = parseInt(rulePath[1]);
+      const existing = (await listRules(accountId)).find(r => r.id === ruleId);
+      if (!existing) return json(res, { error: 'Rule not found' }, 404);
+      
+      const body = await parseBody(req);
+      const error = validateRule({ ...existing, ...body });
+      if (error) return json(res, { error }, 400);
+      const rule = await updateRule(accountId, ruleId, body);
+      await configChanged(accountId, 'rules', 'updated', ruleId);
+      return json(res, rule);
+    }
+    
+    if (rulePath && req.method === 'DELETE') {
+      const deleted = await deleteRule(accountId, parseInt(rulePath[1]));
+      if (!deleted) return json(res, { error: 'Rule not found' }, 404);
+      await configChanged(accountId, 'rules', 'deleted', parseInt(rulePath[1]));
+      return json(res, { success: true });
+    }
+    
+    // Sinks
+    if (path === '/api/sinks' && req.method === 'GET') {
+      return json(res, (await listSinks(accountId)).map(publicSink));
+    }
+    
+    if (path === '/api/sinks' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = validateSink(body);
+      if (error) return json(res, { error }, 400);
+      const sink = await createSink(accountId, body);
+      await configChanged(accountId, 'sinks', 'created', sink.id);
+      return json(res, publicSink(sink), 201);
+    }
+    
+    const sinkPath = path.match(/^\/api\/sinks\/(\d+)(\/test)?$/);
+    if (sinkPath && !sinkPath[2] && req.method === 'PUT') {
+      const sinkId = parseInt(sinkPath[1]);
+      const existing = await getSink(accountId, sinkId);
+      if (!existing) return json(res, { error: 'Sink not found' }, 404);
+      
+      const body = await parseBody(req);
+      const error = validateSink({ ...existing, ...body });
+      if (error) return json(res, { error }, 400);
+      const sink = await updateSink(accountId, sinkId, body);
+      await configChanged(accountId, 'sinks', 'updated', sinkId);
+      return json(res, publicSink(sink));
+    }
+    
+    if (sinkPath && !sinkPath[2] && req.method === 'DELETE') {
+      const deleted = await deleteSink(accountId, parseInt(sinkPath[1]));
+      if (!deleted) return json(res, { error: 'Sink not found' }, 404);
+      await configChanged(accountId, 'sinks', 'deleted', parseInt(sinkPath[1]));
+      return json(res, { success: true });
+    }
+    
+    if (sinkPath && sinkPath[2] && req.method === 'POST') {
+      const sink = await getSink(accountId, parseInt(sinkPath[1]));
+      if (!sink) return json(res, { error: 'Sink not found' }, 404);
+      try {
+        return json(res, { success: true, status: await testSink(accountId, sink) });
+      } catch (err) {
+        return json(res, { success: false, status: err.status || null, error: err.message }, 502);
+      }
+    }
+    
+    // Message templates
+    if (path === '/api/templates' && req.method === 'GET') {
+      return json(res, await listTemplates(accountId));
+    }
+    
+    if (path === '/api/templates/default' && req.method === 'GET') {
+      return json(res, { body: DEFAULT_TEMPLATE });
+    }
+    
+    if (path === '/api/templates' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = checkTemplate(await getConfig(accountId), body);
+      if (error) return json(res, { error }, 400);
+      const template = await createTemplate(accountId, body);
+      await configChanged(accountId, 'templates', 'created', template.id);
+      return json(res, template, 201);
+    }
+    
+    if (path === '/api/templates/validate' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = validateTemplate(body.body, templateContext(sampleBatch(await getConfig(accountId))));
+      return json(res, { valid: !error, error }, error ? 400 : 200);
+    }
+    
+    // Renders a template body against the last batch that went out
+    if (path === '/api/templates/preview' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const config = await getConfig(accountId);
+      const error = validateTemplate(body.body, templateContext(sampleBatch(config)));
+      if (error) return json(res, { error }, 400);
+      
+      const batch = await lastBatch(config);
+      return json(res, {
+        message: renderTemplate(body.body, templateContext(batch)),
+        pollId: batch.sample ? null : batch.poll.id,
+        sample: batch.sample
+      });
+    }
+    
+    const templatePath = path.match(/^\/api\/templates\/(\d+)$/);
+    if (templatePath && req.method === 'PUT') {
+      const templateId = parseInt(templatePath[1]);
+      const existing = await getTemplate(accountId, templateId);
+      if (!existing) return json(res, { error: 'Template not found' }, 404);
+      
+      const template = { ...existing, ...(await parseBody(req)) };
+      const error = checkTemplate(await getConfig(accountId), template);
+      if (error) return json(res, { error }, 400);
+      const updated = await updateTemplate(accountId, templateId, template);
+      await configChanged(accountId, 'templates', 'updated', templateId);
+      return json(res, updated);
+    }
+    
+    if (templatePath && req.method === 'DELETE') {
+      const deleted = await deleteTemplate(accountId, parseInt(templatePath[1]));
+      if (!deleted) return json(res, { error: 'Template not found' }, 404);
+      await configChanged(accountId, 'templates', 'deleted', parseInt(templatePath[1]));
+      return json(res, { success: true });
+    }
+    
+    // Sources
+    if (path === '/api/sources' && req.method === 'GET') {
+      return json(res, (await listSources(accountId)).map(publicSource));
+    }
+    
+    if (path === '/api/sources' && req.method === 'POST') {
+      const body = sourceBody(await parseBody(req));
+      const error = validateSource({ schedule_interval_minutes: 360, ...body });
+      if (error) return json(res, { error }, 400);
+      
+      const source = await createSource(accountId, body);
+      await rescheduleSource(source);
+      await configChanged(accountId, 'sources', 'created', source.id);
+      return json(res, publicSource(await getSource(accountId, source.id)), 201);
+    }
+    
+    const sourcePath = path.match(/^\/api\/sources\/(\d+)(\/poll)?$/);
+    if (sourcePath && !sourcePath[2] && req.method === 'PUT') {
+      const sourceId = parseInt(sourcePath[1]);
+      const existing = await getSource(accountId, sourceId);
+      if (!existing) return json(res, { error: 'Source not found' }, 404);
+      
+      const source = { ...existing, ...sourceBody(await parseBody(req)) };
+      const error = validateSource(source);
+      if (error) return json(res, { error }, 400);
+      
+      await rescheduleSource(await updateSource(accountId, sourceId, source));
+      await configChanged(accountId, 'sources', 'updated', sourceId);
+      return json(res, publicSource(await getSource(accountId, sourceId)));
+    }
+    
+    if (sourcePath && !sourcePath[2] && req.method === 'DELETE') {
+      const deleted = await deleteSource(accountId, parseInt(sourcePath[1]));
+      if (!deleted) return json(res, { error: 'Source not found' }, 404);
+      await configChanged(accountId, 'sources', 'deleted', parseInt(sourcePath[1]));
+      return json(res, { success: true });
+    }
+    
+    if (sourcePath && sourcePath[2] && req.method === 'POST') {
+      const sourceId = parseInt(sourcePath[1]);
+      if (!(await getSource(accountId, sourceId))) return json(res, { error: 'Source not found' }, 404);
+      return startPoll(res, accountId, sourceId);
+    }
+    
+    // Webhook signing secret
+    if (path === '/api/webhook/secret' && req.method === 'GET') {
+      return json(res, webhookSecretInfo(await getConfig(accountId)));
+    }
+    
+    if (path === '/api/webhook/rotate-secret' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const graceHours = body.grace_hours ?? WEBHOOK_SECRET_GRACE_HOURS;
+      if (typeof graceHours !== 'number' || graceHours < 0 || graceHours > 24 * 30) {
+        return json(res, { error: 'grace_hours must be a number between 0 and 720' }, 400);
+      }
+      const config = await rotateWebhookSecret(accountId, graceHours);
+      await configChanged(accountId, 'webhook', 'secret_rotated');
+      return json(res, webhookSecretInfo(config));
+    }
+    
+    // Webhook deliveries
+    if (path === '/api/deliveries' && req.method === 'GET') {
+      return json(res, await listDeliveries(accountId, url.searchParams.get('status'), listLimit(url, 50)));
+    }
+    
+    const deliveryPath = path.match(/^\/api\/deliveries\/(\d+)(\/redeliver)?$/);
+    if (deliveryPath && !deliveryPath[2] && req.method === 'GET') {
+      const delivery = await getDelivery(accountId, parseInt(deliveryPath[1]));
+      if (!delivery) return json(res, { error: 'Delivery not found' }, 404);
+      return json(res, delivery);
+    }
+    
+    if (deliveryPath && deliveryPath[2] && req.method === 'POST') {
+      const delivery = await redeliver(accountId, parseInt(deliveryPath[1]));
+      if (!delivery) return json(res, { error: 'Delivery not found' }, 404);
+      return json(res, delivery);
+    }
+    
+    // Pending digest, as it would go out now
+    if (path === '/api/digest' && req.method === 'GET') {
+      return json(res, await previewDigest(accountId));
+    }
+    
+    if (path === '/api/digest/send' && req.method === 'POST') {
+      const result = await sendDigest(accountId);
+      return json(res, result, result.success ? 200 : 400);
+    }
+    
+    // Search the tweet archive
+    if (path === '/api/tweets' && req.method === 'GET') {
+      const params = url.searchParams;
+      for (const key of ['from', 'to']) {
+        if (params.get(key) && isNaN(Date.parse(params.get(key)))) {
+          return json(res, { error: `${key} must be a date` }, 400);
+        }
+      }
+      return json(res, await searchTweets(accountId, {
+        q: params.get('q'),
+        author: params.get('author'),
+        from: params.get('from'),
+        to: params.get('to'),
+        limit: listLimit(url, 50, ARCHIVE_MAX_LIMIT),
+        offset: Math.max(parseInt(params.get('offset')) || 0, 0)
+      }));
     }
     
     // Get poll history
     if (path === '/api/polls' && req.method === 'GET') {
-      const limit = url.searchParams.get('limit') || 20;
-      const result = await pool.query(
-        'SELECT * FROM poll_log ORDER BY created_at DESC LIMIT $1',
-        [parseInt(limit)]
-      );
-      return json(res, result.rows);
+      return json(res, await listPolls(accountId, listLimit(url, 20)));
+    }
+    
+    const pollPath = path.match(/^\/api\/polls\/(\d+)$/);
+    if (pollPath && req.method === 'GET') {
+      const poll = await getPoll(accountId, parseInt(pollPath[1]));
+      if (!poll) return json(res, { error: 'Poll not found' }, 404);
+      return json(res, poll);
     }
     
     // Get status
     if (path === '/api/status' && req.method === 'GET') {
-      const config = await getConfig();
-      const lastPoll = await pool.query(
-        'SELECT * FROM poll_log ORDER BY created_at DESC LIMIT 1'
-      );
-      const seenCount = await pool.query('SELECT COUNT(*) FROM seen_tweets');
+      const config = await getConfig(accountId);
+      const [lastPoll] = await listPolls(accountId, 1);
+      const seenCount = await storage.countSeen(accountId);
+      const archiveCount = await storage.countTweets(accountId);
+      const deliveryCounts = await storage.countDeliveries(accountId);
       
       return json(res, {
         configured: !!(config.x_client_id && config.access_token),
-        lastPoll: lastPoll.rows[0] || null,
-        seenTweets: parseInt(seenCount.rows[0].count),
-        pollIntervalHours: config.poll_interval_hours
+        lastPoll: lastPoll || null,
+        seenTweets: seenCount,
+        archivedTweets: archiveCount,
+        pendingDeliveries: deliveryCounts.pending,
+        deadDeliveries: deliveryCounts.dead,
+        rateLimits: await listRateLimits(accountId),
+        nextAllowedCallAt: await rateLimitedUntil(accountId),
+        schedule: describeSchedule(config)
       });
     }
     
     // 404
     json(res, { error: 'Not found' }, 404);
-    
+  
   } catch (err) {
-    console.error('Request error:', err);
+    log.error('Request error', { error: err });
     json(res, { error: err.message }, 500);
   }
-});
+}
 
 // ============================================
 // Start
 // ============================================
 async function main() {
   await initDb();
+  await ensureAdmin();
+  await listenForEvents();
+  if (!OAUTH_REDIRECT_URI) log.warn('OAUTH_REDIRECT_URI is not set, accounts can\'t be connected to X through OAuth');
   
-  const config = await getConfig();
-  schedulePoll(config.poll_interval_hours || 6);
+  // Poll accounts whose next run is due, catching up on anything missed while down
+  setInterval(runDuePolls, SCHEDULER_TICK_MS);
   
-  // Initial poll after 1 minute
-  setTimeout(poll, 60000);
+  // Retry queued webhook deliveries
+  setInterval(processDeliveries, 30000);
   
   server.listen(PORT, () => {
-    console.log(`Timeline Watcher API running on port ${PORT}`);
+    log.info('Timeline Watcher API running', { port: Number(PORT) });
   });
 }
 
-main().catch(console.error);
+const commands = {
+  'rotate-keys': rotateKeys,
+  'migrate': migrateCommand,
+  'migrate:rollback': rollbackCommand,
+  'migrate:status': migrationStatusCommand
+};
+
+const command = process.argv[2];
+if (command && !commands[command]) {
+  log.error('Unknown command', { command });
+  process.exit(1);
+}
+
+(command ? commands[command]() : main()).catch(err => {
+  log.error('Fatal error', { error: err });
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// ============================================
+// Structured logging
+// ============================================
+// One JSON object per line on stdout (stderr for warnings and errors):
+//   { "time": "...", "level": "info", "msg": "...", "correlation_id": "req_...", ... }
+// Every line logged while a request or a poll runs carries its correlation_id, so all the
+// lines of one poll can be picked out of the logs. A poll started by a request gets its own
+// ID and keeps the request's as request_id.
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+const context = new AsyncLocalStorage();
+
+export function correlationId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Runs fn with fields added to every line it logs, on top of the current ones
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function logContext() {
+  return context.getStore() || {};
+}
+
+// Errors keep their message, status and stack instead of serializing to {}
+function serialize(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    out[key] = value instanceof Error
+      ? { message: value.message, ...(value.status && { status: value.status }), stack: value.stack }
+      : value;
+  }
+  return out;
+}
+
+function write(level, msg, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...serialize({ ...logContext(), ...fields })
+  });
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
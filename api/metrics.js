@@ -0,0 +1,106 @@
+// ============================================
+// Prometheus metrics
+// ============================================
+// A small in-process registry rendered in the Prometheus text format (version 0.0.4).
+// Counters and histograms count what this instance did since it started; gauges that
+// describe shared state (like rate limits) are filled in from the database when scraped.
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const PREFIX = 'timeline_watcher_';
+
+// Seconds, from a fast webhook to a long paginated poll
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(pairs) {
+  const set = pairs.filter(([, value]) => value !== '');
+  return set.length ? `{${set.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function define(type, name, help, labelNames, extra = {}) {
+  const metric = { type, name: PREFIX + name, help, labelNames, values: new Map(), ...extra };
+  metrics.push(metric);
+  return metric;
+}
+
+function entry(metric, labels, init) {
+  const key = labelKey(metric.labelNames, labels);
+  if (!metric.values.has(key)) metric.values.set(key, init());
+  return metric.values.get(key);
+}
+
+export function counter(name, help, labelNames = []) {
+  const metric = define('counter', name, help, labelNames);
+  return {
+    inc(labels, amount = 1) {
+      entry(metric, labels, () => ({ value: 0 })).value += amount;
+    }
+  };
+}
+
+export function gauge(name, help, labelNames = []) {
+  const metric = define('gauge', name, help, labelNames);
+  return {
+    set(labels, value) {
+      entry(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    reset() {
+      metric.values.clear();
+    }
+  };
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = define('histogram', name, help, labelNames, { buckets });
+  return {
+    observe(labels, value) {
+      const h = entry(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => {
+        if (value <= le) h.counts[i]++;
+      });
+      h.sum += value;
+      h.count++;
+    },
+    // Returns a function that observes the seconds elapsed since startTimer() was called
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return labels => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const [key, value] of metric.values) {
+      const pairs = JSON.parse(key).map((v, i) => [metric.labelNames[i], v]);
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(pairs)} ${formatValue(value.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((le, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', formatValue(le)]])} ${value.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${value.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(pairs)} ${value.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(pairs)} ${value.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
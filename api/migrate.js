@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log } from './logger.js';
+
+// ============================================
+// Schema migrations
+// ============================================
+// The schema is built by the numbered files in migrations/ (NNN_what_it_does.js), each
+// exporting up(db) and down(db). schema_migrations records the ones that ran. Each
+// migration runs in its own transaction, so a failing one leaves nothing half done, and
+// an advisory lock makes a second instance wait for the first to finish migrating.
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Next to the poll lock (7321) in storage/postgres.js
+const MIGRATION_LOCK_KEY = 7322;
+
+export async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(f => FILE_PATTERN.test(f)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    if (migrations.some(m => m.version === Number(version))) {
+      throw new Error(`Two migrations are numbered ${Number(version)}`);
+    }
+    migrations.push({ version: Number(version), name, up: module.up, down: module.down });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedMigrations(db) {
+  const res = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+  return res.rows;
+}
+
+// Runs fn on a connection holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Applies every pending migration up to version `to`, oldest first. Returns the ones applied.
+export async function migrate(pool, { to = Infinity } = {}) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(pool, async client => {
+    const applied = new Set((await appliedMigrations(client)).map(m => m.version));
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+    
+    for (const migration of pending) {
+      await inTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+      });
+      log.info('Applied migration', { version: migration.version, name: migration.name });
+    }
+    return pending;
+  });
+}
+
+// Reverts the last `steps` applied migrations, newest first. Returns the ones reverted.
+export async function rollbackMigrations(pool, { steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(pool, async client => {
+    const reverting = (await appliedMigrations(client)).reverse().slice(0, steps);
+    
+    for (const row of reverting) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) throw new Error(`Migration ${row.version} (${row.name}) has no file to roll it back with`);
+      
+      await inTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+      });
+      log.info('Rolled back migration', { version: row.version, name: row.name });
+    }
+    return reverting;
+  });
+}
+
+// Every migration with when it was applied (null while pending). Applied ones whose file
+// is gone, because the code is older than the database, come back with missing: true.
+export async function migrationStatus(pool) {
+  await ensureMigrationsTable(pool);
+  const migrations = await loadMigrations();
+  const applied = await appliedMigrations(pool);
+  
+  const status = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.find(a => a.version === m.version)?.applied_at || null,
+    missing: false
+  }));
+  for (const row of applied) {
+    if (!migrations.some(m => m.version === row.version)) {
+      status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
@@ -0,0 +1,465 @@
+import { log } from '../logger.js';
+
+// The schema as it stood before migrations, when initDb() built it on every start. Every
+// statement is idempotent, so a database created that way goes through it unchanged and
+// only gets recorded as migrated; older ones get the columns and tables they missed.
+const TABLES = ['events', 'poll_jobs', 'config_revisions', 'filter_rules', 'rate_limits', 'oauth_states', 'sessions',
+  'admin_users', 'deliveries', 'sinks', 'digest_queue', 'tweets', 'poll_log', 'seen_tweets', 'sources',
+  'message_templates', 'accounts'];
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS accounts (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL DEFAULT 'Default',
+      x_client_id TEXT,
+      x_client_secret TEXT,
+      access_token TEXT,
+      refresh_token TEXT,
+      token_expires_at TIMESTAMPTZ,
+      webhook_url TEXT,
+      poll_interval_hours INTEGER DEFAULT 6,
+      max_tweets_per_poll INTEGER DEFAULT 50,
+      openclaw_mode TEXT DEFAULT 'next-heartbeat',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await migrateLegacyConfig(db);
+  
+  await db.query(`
+    ALTER TABLE accounts
+      ADD COLUMN IF NOT EXISTS webhook_secret TEXT,
+      ADD COLUMN IF NOT EXISTS webhook_secret_previous TEXT,
+      ADD COLUMN IF NOT EXISTS webhook_secret_previous_expires_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS webhook_payload_version INTEGER DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS webhook_include_message BOOLEAN DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS since_id TEXT
+  `);
+  
+  await db.query(`
+    ALTER TABLE accounts ADD COLUMN IF NOT EXISTS archive_retention_days INTEGER DEFAULT 30
+  `);
+  
+  await db.query(`
+    ALTER TABLE accounts
+      ADD COLUMN IF NOT EXISTS scoring JSONB,
+      ADD COLUMN IF NOT EXISTS grouping JSONB
+  `);
+  
+  await db.query(`
+    ALTER TABLE accounts
+      ADD COLUMN IF NOT EXISTS digest_enabled BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS digest_times TEXT[] NOT NULL DEFAULT '{08:00,18:00}',
+      ADD COLUMN IF NOT EXISTS digest_group_by TEXT DEFAULT 'author',
+      ADD COLUMN IF NOT EXISTS digest_max_tweets INTEGER DEFAULT 50,
+      ADD COLUMN IF NOT EXISTS digest_next_at TIMESTAMPTZ
+  `);
+  
+  // poll_interval_hours is superseded by the schedule columns, existing intervals carry over
+  await db.query(`
+    ALTER TABLE accounts
+      ADD COLUMN IF NOT EXISTS schedule_interval_minutes INTEGER,
+      ADD COLUMN IF NOT EXISTS schedule_cron TEXT,
+      ADD COLUMN IF NOT EXISTS schedule_timezone TEXT DEFAULT 'UTC',
+      ADD COLUMN IF NOT EXISTS quiet_hours_start TEXT,
+      ADD COLUMN IF NOT EXISTS quiet_hours_end TEXT,
+      ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMPTZ
+  `);
+  await db.query(`
+    UPDATE accounts SET schedule_interval_minutes = COALESCE(poll_interval_hours, 6) * 60
+    WHERE schedule_interval_minutes IS NULL
+  `);
+  await db.query(`
+    ALTER TABLE accounts ALTER COLUMN schedule_interval_minutes SET DEFAULT 360
+  `);
+  
+  // Always keep at least one account around
+  await db.query(`
+    INSERT INTO accounts (name) SELECT 'Default' WHERE NOT EXISTS (SELECT 1 FROM accounts)
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS seen_tweets (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      tweet_id TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (account_id, tweet_id)
+    )
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS poll_log (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      tweets_found INTEGER,
+      tweets_new INTEGER,
+      status TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await scopeLegacyTables(db);
+  
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS poll_log_account_created_idx ON poll_log (account_id, created_at DESC)
+  `);
+  
+  await db.query(`
+    ALTER TABLE poll_log
+      ADD COLUMN IF NOT EXISTS tweets_filtered INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS filter_stats JSONB
+  `);
+  
+  await db.query(`
+    ALTER TABLE poll_log ADD COLUMN IF NOT EXISTS tweets_delivered INTEGER DEFAULT 0
+  `);
+  
+  await db.query(`
+    ALTER TABLE poll_log
+      ADD COLUMN IF NOT EXISTS pages_fetched INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS pages_truncated BOOLEAN DEFAULT FALSE
+  `);
+  
+  // What each poll saw, for the drill-down; delivered IDs come from its deliveries
+  await db.query(`
+    ALTER TABLE poll_log
+      ADD COLUMN IF NOT EXISTS fetched_tweet_ids TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS new_tweet_ids TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS filtered_tweet_ids TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS timings JSONB,
+      ADD COLUMN IF NOT EXISTS duration_ms INTEGER
+  `);
+  
+  // Every new tweet a poll sees, kept for archive_retention_days. The 'simple' text
+  // search config doesn't stem, so searches behave the same in every language.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tweets (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      tweet_id TEXT NOT NULL,
+      poll_id INTEGER REFERENCES poll_log(id) ON DELETE SET NULL,
+      author_id TEXT,
+      author_username TEXT,
+      author_name TEXT,
+      text TEXT NOT NULL,
+      lang TEXT,
+      conversation_id TEXT,
+      public_metrics JSONB NOT NULL DEFAULT '{}',
+      filtered BOOLEAN DEFAULT FALSE,
+      tweeted_at TIMESTAMPTZ,
+      archived_at TIMESTAMPTZ DEFAULT NOW(),
+      search TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('simple', text || ' ' || COALESCE(author_username, '') || ' ' || COALESCE(author_name, ''))
+      ) STORED,
+      PRIMARY KEY (account_id, tweet_id)
+    )
+  `);
+  
+  await db.query(`
+    ALTER TABLE tweets ADD COLUMN IF NOT EXISTS score REAL
+  `);
+  
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS tweets_search_idx ON tweets USING GIN (search)
+  `);
+  
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS tweets_account_tweeted_idx ON tweets (account_id, tweeted_at DESC)
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS message_templates (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  // Template of the account's own webhook; sinks keep theirs in config.template_id
+  await db.query(`
+    ALTER TABLE accounts
+      ADD COLUMN IF NOT EXISTS message_template_id INTEGER REFERENCES message_templates(id) ON DELETE SET NULL
+  `);
+  
+  // Tweets kept by polls in digest mode, waiting for the next digest. tweet is the tweet
+  // as returned by X (plus its score), so sink filters can run on it at send time.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS digest_queue (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      tweet_id TEXT NOT NULL,
+      poll_id INTEGER REFERENCES poll_log(id) ON DELETE SET NULL,
+      tweet JSONB NOT NULL,
+      author JSONB,
+      source JSONB,
+      queued_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (account_id, tweet_id)
+    )
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS deliveries (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      poll_id INTEGER REFERENCES poll_log(id) ON DELETE SET NULL,
+      payload JSONB NOT NULL,
+      tweet_ids TEXT[] NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+      last_status INTEGER,
+      last_error TEXT,
+      delivered_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS deliveries_due_idx ON deliveries (next_attempt_at) WHERE status = 'pending'
+  `);
+  
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS deliveries_account_created_idx ON deliveries (account_id, created_at DESC)
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sinks (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT,
+      type TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT TRUE,
+      config JSONB NOT NULL DEFAULT '{}',
+      secret TEXT,
+      filter JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sources (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT,
+      type TEXT NOT NULL,
+      value TEXT,
+      target_id TEXT,
+      enabled BOOLEAN DEFAULT TRUE,
+      since_id TEXT,
+      schedule_interval_minutes INTEGER DEFAULT 360,
+      schedule_cron TEXT,
+      schedule_timezone TEXT DEFAULT 'UTC',
+      quiet_hours_start TEXT,
+      quiet_hours_end TEXT,
+      next_run_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  // Matches the correlation_id of the poll's log lines
+  await db.query(`
+    ALTER TABLE poll_log ADD COLUMN IF NOT EXISTS correlation_id TEXT
+  `);
+  
+  // Last token refresh failure, cleared by the next token X hands out
+  await db.query(`
+    ALTER TABLE accounts ADD COLUMN IF NOT EXISTS token_error TEXT
+  `);
+  
+  // Polls without a source read the account's home timeline
+  await db.query(`
+    ALTER TABLE poll_log ADD COLUMN IF NOT EXISTS source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE
+  `);
+  
+  // Every source dedups on its own, the home timeline is source 0
+  await db.query(`
+    ALTER TABLE seen_tweets ADD COLUMN IF NOT EXISTS source_id INTEGER NOT NULL DEFAULT 0
+  `);
+  await db.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.key_column_usage
+        WHERE table_name = 'seen_tweets' AND constraint_name = 'seen_tweets_pkey' AND column_name = 'source_id'
+      ) THEN
+        ALTER TABLE seen_tweets DROP CONSTRAINT seen_tweets_pkey;
+        ALTER TABLE seen_tweets ADD PRIMARY KEY (account_id, source_id, tweet_id);
+      END IF;
+    END $$
+  `);
+  
+  // Deliveries without a sink go to the account's webhook_url
+  await db.query(`
+    ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS sink_id INTEGER REFERENCES sinks(id) ON DELETE CASCADE
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS filter_rules (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT,
+      action TEXT NOT NULL,
+      type TEXT NOT NULL,
+      metric TEXT,
+      value TEXT,
+      enabled BOOLEAN DEFAULT TRUE,
+      position INTEGER DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  // Every saved settings change: what changed (secrets redacted) and the settings after it
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS config_revisions (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      changes JSONB NOT NULL,
+      snapshot JSONB NOT NULL,
+      username TEXT,
+      rollback_of INTEGER,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  // Polls run as jobs, at most one queued or running per account and source
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS poll_jobs (
+      id SERIAL PRIMARY KEY,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
+      trigger TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      stage TEXT,
+      progress JSONB NOT NULL DEFAULT '{}',
+      result JSONB,
+      error TEXT,
+      cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+      correlation_id TEXT NOT NULL,
+      request_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS poll_jobs_active_idx ON poll_jobs (account_id, (COALESCE(source_id, 0)))
+      WHERE status IN ('queued', 'running')
+  `);
+  
+  // Activity pushed to the dashboard over /api/events; events without an account are
+  // shown to every account
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      id BIGSERIAL PRIMARY KEY,
+      account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      data JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      endpoint TEXT NOT NULL,
+      request_limit INTEGER,
+      remaining INTEGER NOT NULL,
+      reset_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (account_id, endpoint)
+    )
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS oauth_states (
+      state TEXT PRIMARY KEY,
+      account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+      code_verifier TEXT NOT NULL,
+      redirect_uri TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await db.query(`
+    ALTER TABLE oauth_states ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+  
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+// Drops every table, and all the data with them
+export async function down(db) {
+  await db.query(`DROP TABLE IF EXISTS ${TABLES.join(', ')} CASCADE`);
+}
+
+// Moves the single-row config table from before multi-account support into accounts
+async function migrateLegacyConfig(db) {
+  const legacy = await db.query("SELECT to_regclass('config') AS name");
+  if (!legacy.rows[0].name) return;
+  
+  await db.query(`
+    INSERT INTO accounts (id, name, x_client_id, x_client_secret, access_token, refresh_token,
+      token_expires_at, webhook_url, poll_interval_hours, max_tweets_per_poll, openclaw_mode,
+      created_at, updated_at)
+    SELECT id, 'Default', x_client_id, x_client_secret, access_token, refresh_token,
+      token_expires_at, webhook_url, poll_interval_hours, max_tweets_per_poll, openclaw_mode,
+      created_at, updated_at
+    FROM config WHERE id = 1
+    ON CONFLICT DO NOTHING
+  `);
+  await db.query(`
+    SELECT setval(pg_get_serial_sequence('accounts', 'id'), (SELECT MAX(id) FROM accounts))
+  `);
+  await db.query('DROP TABLE config');
+  log.info('Migrated config to accounts');
+}
+
+// Tables created before multi-account support belong to the first account
+async function scopeLegacyTables(db) {
+  for (const table of ['seen_tweets', 'poll_log']) {
+    await db.query(`
+      ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS account_id INTEGER NOT NULL DEFAULT 1
+        REFERENCES accounts(id) ON DELETE CASCADE
+    `);
+    await db.query(`ALTER TABLE ${table} ALTER COLUMN account_id DROP DEFAULT`);
+  }
+  
+  await db.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.key_column_usage
+        WHERE table_name = 'seen_tweets' AND constraint_name = 'seen_tweets_pkey' AND column_name = 'account_id'
+      ) THEN
+        ALTER TABLE seen_tweets DROP CONSTRAINT seen_tweets_pkey;
+        ALTER TABLE seen_tweets ADD PRIMARY KEY (account_id, tweet_id);
+      END IF;
+    END $$
+  `);
+}
@@ -0,0 +1,269 @@
+import { renderTemplate } from './templates.js';
+
+// ============================================
+// Webhook payloads
+// ============================================
+// Version 1 is the original { event, message, mode, timestamp } body.
+// Version 2 adds structured tweets and poll metadata; the rendered message is optional.
+export const PAYLOAD_VERSIONS = [1, 2];
+
+// Batches from the home timeline keep the original title
+export function batchTitle(source, count) {
+  const name = source && source.type !== 'home' ? source.name : 'Timeline';
+  return `📱 ${name} Update (${count} tweets)`;
+}
+
+export function tweetUrl(tweet, author) {
+  return author?.username
+    ? `https://x.com/${author.username}/status/${tweet.id}`
+    : `https://x.com/i/status/${tweet.id}`;
+}
+
+function referenceId(tweet, type) {
+  return (tweet.referenced_tweets || []).find(r => r.type === type)?.id || null;
+}
+
+// score is only there when relevance scoring is enabled, group when the tweet stands for
+// a thread or several near-duplicates
+export function serializeTweet(tweet, authors) {
+  const author = authors[tweet.author_id];
+  const serialized = {
+    id: tweet.id,
+    url: tweetUrl(tweet, author),
+    text: tweet.text,
+    created_at: tweet.created_at || null,
+    lang: tweet.lang || null,
+    conversation_id: tweet.conversation_id || null,
+    author: {
+      id: tweet.author_id,
+      username: author?.username || null,
+      name: author?.name || null
+    },
+    public_metrics: tweet.public_metrics || {},
+    references: {
+      replied_to: referenceId(tweet, 'replied_to'),
+      quoted: referenceId(tweet, 'quoted'),
+      retweeted: referenceId(tweet, 'retweeted')
+    }
+  };
+  if (tweet.score !== undefined) serialized.score = tweet.score;
+  if (tweet.group) serialized.group = tweet.group;
+  return serialized;
+}
+
+// " (thread of 5)" or " (+2 similar: @alice, @bob)"
+export function groupNote(group) {
+  if (!group) return '';
+  if (group.reason === 'thread') return ` (thread of ${group.count})`;
+  const others = group.authors.slice(1).map(a => `@${a.username || a.id}`);
+  return ` (+${group.count - 1} similar${others.length ? `: ${others.join(', ')}` : ''})`;
+}
+
+function formatTweet(tweet, authors) {
+  const author = authors[tweet.author_id] || { username: 'unknown' };
+  const metrics = tweet.public_metrics || {};
+  const engagement = (metrics.like_count || 0) + (metrics.retweet_count || 0);
+  return `@${author.username}${engagement > 100 ? ' 🔥' : ''}${groupNote(tweet.group)}:\n${tweet.text}\n\n`;
+}
+
+export function formatMessage(tweets, authors, source) {
+  let msg = `${batchTitle(source, tweets.length)}\n\n`;
+  msg += `Revisá estos tweets de tu feed y contame si hay algo interesante.\n\n---\n\n`;
+  
+  for (const tweet of tweets) {
+    msg += formatTweet(tweet, authors);
+  }
+  
+  return msg;
+}
+
+export function digestTitle(count) {
+  return `📰 Digest (${count} tweets)`;
+}
+
+export function formatDigest(sections, authors, omitted) {
+  const count = sections.reduce((sum, s) => sum + s.tweets.length, 0);
+  let msg = `${digestTitle(count)}\n\n`;
+  msg += `Revisá estos tweets de tu feed y contame si hay algo interesante.\n\n`;
+  
+  for (const section of sections) {
+    msg += `--- ${section.title} (${section.tweets.length}) ---\n\n`;
+    for (const tweet of section.tweets) {
+      msg += formatTweet(tweet, authors);
+    }
+  }
+  
+  if (omitted > 0) msg += `(+${omitted} more tweets left out of this digest)\n`;
+  return msg;
+}
+
+// template is the body of the message template to use, the built-in format without one
+export function buildPayload({ config, poll, source, tweets, authors, template }) {
+  const mode = config.openclaw_mode || 'next-heartbeat';
+  const timestamp = new Date().toISOString();
+  const message = () => (template
+    ? renderTemplate(template, templateContext({ config, poll, source, tweets, authors, timestamp }))
+    : formatMessage(tweets, authors, source));
+  
+  if (Number(config.webhook_payload_version) !== 2) {
+    return { event: 'timeline_update', message: message(), mode, timestamp };
+  }
+  
+  const payload = {
+    version: 2,
+    event: 'timeline_update',
+    mode,
+    timestamp,
+    account: { id: config.id, name: config.name },
+    poll,
+    source: source || null,
+    tweets: tweets.map(t => serializeTweet(t, authors))
+  };
+  if (config.webhook_include_message !== false) {
+    payload.message = message();
+  }
+  return payload;
+}
+
+// Same envelope as a batch, with the tweets split into sections. Each tweet says which
+// source found it, since a digest mixes every source of the account. Version 1 only
+// carries the rendered digest.
+export function buildDigestPayload({ config, digest, sections, authors, template }) {
+  const mode = config.openclaw_mode || 'next-heartbeat';
+  const timestamp = new Date().toISOString();
+  const tweets = sections.flatMap(s => s.tweets);
+  const message = () => (template
+    ? renderTemplate(template, templateContext({ config, tweets, authors, digest, sections, timestamp }))
+    : formatDigest(sections, authors, digest.omitted));
+  
+  if (Number(config.webhook_payload_version) !== 2) {
+    return { event: 'timeline_update', message: message(), mode, timestamp };
+  }
+  
+  const payload = {
+    version: 2,
+    event: 'digest',
+    mode,
+    timestamp,
+    account: { id: config.id, name: config.name },
+    digest,
+    sections: sections.map(s => ({ title: s.title, tweet_ids: s.tweets.map(t => t.id) })),
+    tweets: tweets.map(t => ({ ...serializeTweet(t, authors), source: t.source || null }))
+  };
+  if (config.webhook_include_message !== false) {
+    payload.message = message();
+  }
+  return payload;
+}
+
+// ============================================
+// Message templates
+// ============================================
+// The built-in message, written as a template. New templates start from it.
+export const DEFAULT_TEMPLATE = `{{title}}
+
+Revisá estos tweets de tu feed y contame si hay algo interesante.
+
+---
+
+{{#each tweets}}@{{author.username}}{{#if hot}} 🔥{{/if}}{{group_note}}:
+{{text}}
+
+{{/each}}`;
+
+function tweetContext(tweet, authors) {
+  const serialized = serializeTweet(tweet, authors);
+  const metrics = serialized.public_metrics;
+  const engagement = (metrics.like_count || 0) + (metrics.retweet_count || 0);
+  return {
+    ...serialized,
+    author: { ...serialized.author, username: serialized.author.username || 'unknown' },
+    metrics: {
+      likes: metrics.like_count || 0,
+      retweets: metrics.retweet_count || 0,
+      replies: metrics.reply_count || 0,
+      quotes: metrics.quote_count || 0,
+      impressions: metrics.impression_count || 0
+    },
+    engagement,
+    hot: engagement > 100,
+    score: tweet.score ?? null,
+    group: tweet.group || null,
+    group_note: groupNote(tweet.group),
+    source: tweet.source || null
+  };
+}
+
+// What a template can use. Batches have a single section; digest is null outside digests.
+export function templateContext({ config, poll = null, source = null, tweets, authors, digest = null, sections = null, timestamp }) {
+  const title = digest ? digestTitle(tweets.length) : batchTitle(source, tweets.length);
+  const toSection = (sectionTitle, list) => ({
+    title: sectionTitle,
+    count: list.length,
+    tweets: list.map(t => tweetContext(t, authors))
+  });
+  
+  return {
+    title,
+    count: tweets.length,
+    timestamp: timestamp || new Date().toISOString(),
+    account: { id: config.id, name: config.name },
+    source,
+    poll,
+    digest,
+    sections: sections
+      ? sections.map(s => toSection(s.title, s.tweets))
+      : [toSection(source?.name || 'Timeline', tweets)],
+    tweets: tweets.map(t => tweetContext(t, authors))
+  };
+}
+
+// A batch with every field filled in, for validating templates and previewing them
+// when the account has no batch of its own yet
+export function sampleBatch(config) {
+  const authors = {
+    '12': { id: '12', username: 'jack', name: 'jack' },
+    '13': { id: '13', username: 'alice', name: 'Alice' }
+  };
+  const now = Date.now();
+  const tweets = [
+    {
+      id: '1873000000000000001',
+      author_id: '12',
+      text: 'Sample tweet with a lot of engagement',
+      created_at: new Date(now - 30 * 60 * 1000).toISOString(),
+      lang: 'en',
+      conversation_id: '1873000000000000001',
+      public_metrics: { like_count: 120, retweet_count: 8, reply_count: 3, quote_count: 1, impression_count: 5000 },
+      score: 6.42,
+      group: {
+        reason: 'duplicate',
+        count: 2,
+        tweet_ids: ['1873000000000000001', '1873000000000000002'],
+        authors: [authors['12'], authors['13']]
+      },
+      source: { id: null, type: 'home', name: 'Home timeline' }
+    },
+    {
+      id: '1873000000000000003',
+      author_id: '13',
+      text: 'Another sample tweet',
+      created_at: new Date(now - 90 * 60 * 1000).toISOString(),
+      lang: 'es',
+      conversation_id: '1873000000000000003',
+      public_metrics: { like_count: 4, retweet_count: 0, reply_count: 1, quote_count: 0 },
+      score: 2.1,
+      source: { id: null, type: 'home', name: 'Home timeline' }
+    }
+  ];
+  
+  return {
+    config,
+    poll: { id: 0, started_at: new Date(now).toISOString(), tweets_found: 10, tweets_new: 3, tweets_filtered: 1 },
+    source: { id: null, type: 'home', name: 'Home timeline' },
+    tweets,
+    authors,
+    digest: { group_by: 'author', tweets_queued: 3, omitted: 1, queued_since: new Date(now - 6 * 3600 * 1000).toISOString() },
+    sections: [{ title: '@jack', tweets: [tweets[0]] }, { title: '@alice', tweets: [tweets[1]] }]
+  };
+}
@@ -0,0 +1,126 @@
+// ============================================
+// Filter rules
+// ============================================
+// Exclude rules drop every tweet they match. If an account has include rules,
+// a tweet must also match at least one of them to be kept.
+
+export const RULE_ACTIONS = ['include', 'exclude'];
+
+export const RULE_TYPES = [
+  'author',      // value: comma-separated usernames
+  'keyword',     // value: comma-separated words, case-insensitive
+  'regex',       // value: pattern tested against the text, case-insensitive
+  'language',    // value: comma-separated language codes (en, es, ...)
+  'min_metric',  // metric + value: public_metrics[metric] >= value
+  'reply',
+  'retweet',
+  'quote'
+];
+
+export const RULE_METRICS = ['like_count', 'retweet_count', 'reply_count', 'quote_count', 'impression_count'];
+
+// Key used in the drop stats for tweets that matched no include rule
+export const UNMATCHED = 'unmatched';
+
+function list(value) {
+  return String(value || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+function isReference(tweet, type) {
+  return (tweet.referenced_tweets || []).some(r => r.type === type);
+}
+
+export function validateRule(rule) {
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    return `action must be one of: ${RULE_ACTIONS.join(', ')}`;
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    return `type must be one of: ${RULE_TYPES.join(', ')}`;
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (rule.position !== undefined && !(Number.isInteger(rule.position) && rule.position >= 0)) {
+    return 'position must be a whole number, 0 or more';
+  }
+  
+  switch (rule.type) {
+    case 'author':
+    case 'keyword':
+    case 'language':
+      if (list(rule.value).length === 0) return 'value is required';
+      break;
+    case 'regex':
+      if (!rule.value) return 'value is required';
+      try {
+        new RegExp(rule.value, 'i');
+      } catch (err) {
+        return `Invalid regex: ${err.message}`;
+      }
+      break;
+    case 'min_metric':
+      if (!RULE_METRICS.includes(rule.metric)) {
+        return `metric must be one of: ${RULE_METRICS.join(', ')}`;
+      }
+      if (!Number.isFinite(Number(rule.value)) || String(rule.value).trim() === '') {
+        return 'value must be a number';
+      }
+      break;
+  }
+  
+  return null;
+}
+
+export function matchesRule(rule, tweet, author) {
+  const text = (tweet.text || '').toLowerCase();
+  
+  switch (rule.type) {
+    case 'author':
+      return list(rule.value).map(u => u.replace(/^@/, '')).includes((author?.username || '').toLowerCase());
+    case 'keyword':
+      return list(rule.value).some(k => text.includes(k));
+    case 'regex':
+      return new RegExp(rule.value, 'i').test(tweet.text || '');
+    case 'language':
+      return list(rule.value).includes((tweet.lang || '').toLowerCase());
+    case 'min_metric':
+      return (tweet.public_metrics?.[rule.metric] || 0) >= Number(rule.value);
+    case 'reply':
+      return isReference(tweet, 'replied_to');
+    case 'retweet':
+      return isReference(tweet, 'retweeted');
+    case 'quote':
+      return isReference(tweet, 'quoted');
+    default:
+      return false;
+  }
+}
+
+// Returns the tweets that pass, plus how many tweets each rule dropped (keyed by rule id)
+export function applyRules(tweets, rules, authors = {}) {
+  const active = rules.filter(r => r.enabled !== false);
+  const excludes = active.filter(r => r.action === 'exclude');
+  const includes = active.filter(r => r.action === 'include');
+  
+  const kept = [];
+  const dropped = {};
+  
+  for (const tweet of tweets) {
+    const author = authors[tweet.author_id];
+    
+    const excludedBy = excludes.find(r => matchesRule(r, tweet, author));
+    if (excludedBy) {
+      dropped[excludedBy.id] = (dropped[excludedBy.id] || 0) + 1;
+      continue;
+    }
+    
+    if (includes.length > 0 && !includes.some(r => matchesRule(r, tweet, author))) {
+      dropped[UNMATCHED] = (dropped[UNMATCHED] || 0) + 1;
+      continue;
+    }
+    
+    kept.push(tweet);
+  }
+  
+  return { kept, dropped };
+}
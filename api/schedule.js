@@ -0,0 +1,119 @@
+import { CronExpressionParser } from 'cron-parser';
+
+// ============================================
+// Poll schedules
+// ============================================
+// An account polls on a cron expression (schedule_cron) or, without one, every
+// schedule_interval_minutes. Both are evaluated in schedule_timezone. Runs that
+// would fall inside the quiet hours (quiet_hours_start to quiet_hours_end, "HH:MM"
+// local time, may wrap past midnight) move to the first slot after them.
+export const MIN_INTERVAL_MINUTES = 5;
+
+// Cron schedules can't land in quiet hours forever, but a typo could make the search long
+const MAX_CANDIDATES = 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function parseTime(value) {
+  const [, hours, minutes] = value.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function validateSchedule(schedule) {
+  const timezone = schedule.schedule_timezone || 'UTC';
+  if (!isTimezone(timezone)) return `Unknown timezone: ${timezone}`;
+  
+  if (schedule.schedule_cron) {
+    try {
+      CronExpressionParser.parse(schedule.schedule_cron, { tz: timezone });
+    } catch (err) {
+      return `Invalid cron expression: ${err.message}`;
+    }
+  } else {
+    const minutes = schedule.schedule_interval_minutes;
+    if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES) {
+      return `schedule_interval_minutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}`;
+    }
+  }
+  
+  const { quiet_hours_start: start, quiet_hours_end: end } = schedule;
+  if (!!start !== !!end) return 'quiet_hours_start and quiet_hours_end go together';
+  if (start && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end))) {
+    return 'Quiet hours must be HH:MM';
+  }
+  if (start && start === end) return 'Quiet hours must not cover the whole day';
+  
+  if (!nextRun(schedule, new Date())) return 'The schedule never runs outside the quiet hours';
+  return null;
+}
+
+// Minutes since local midnight in the schedule's timezone
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+// How many minutes are left of the quiet hours at date, 0 outside of them
+function quietMinutesLeft(schedule, date) {
+  if (!schedule.quiet_hours_start) return 0;
+  
+  const start = parseTime(schedule.quiet_hours_start);
+  const end = parseTime(schedule.quiet_hours_end);
+  const now = localMinutes(date, schedule.schedule_timezone || 'UTC');
+  
+  if (start < end) return now >= start && now < end ? end - now : 0;
+  if (now >= start) return 24 * 60 - now + end;
+  return now < end ? end - now : 0;
+}
+
+// First time at or after date that isn't in the quiet hours
+export function skipQuietHours(schedule, date) {
+  const left = quietMinutesLeft(schedule, date);
+  if (left === 0) return date;
+  
+  const end = new Date(date.getTime() + left * 60 * 1000);
+  end.setUTCSeconds(0, 0);
+  return end;
+}
+
+// Next run strictly after `after`, or null if there is none
+export function nextRun(schedule, after) {
+  if (!schedule.schedule_cron) {
+    const next = new Date(after.getTime() + schedule.schedule_interval_minutes * 60 * 1000);
+    return skipQuietHours(schedule, next);
+  }
+  
+  const expression = CronExpressionParser.parse(schedule.schedule_cron, {
+    currentDate: after,
+    tz: schedule.schedule_timezone || 'UTC'
+  });
+  for (let i = 0; i < MAX_CANDIDATES && expression.hasNext(); i++) {
+    const candidate = expression.next().toDate();
+    if (quietMinutesLeft(schedule, candidate) === 0) return candidate;
+  }
+  return null;
+}
+
+export function upcomingRuns(schedule, from, count) {
+  const runs = [];
+  let next = from;
+  while (runs.length < count && (next = nextRun(schedule, next))) {
+    runs.push(next);
+  }
+  return runs;
+}
@@ -0,0 +1,94 @@
+// ============================================
+// Relevance scoring
+// ============================================
+// Ranks the tweets that passed the filter rules, without any external service. A tweet's
+// score is the weighted sum of its signals plus the weights of the keywords it contains:
+//   velocity  log of the engagement per hour since it was posted
+//   affinity  how many tweets of its author were delivered lately, from 0 to 1
+//   recency   1 when just posted, halving every RECENCY_HALF_LIFE_HOURS
+export const SCORING_SIGNALS = ['velocity', 'affinity', 'recency'];
+
+export const DEFAULT_SCORING = {
+  enabled: false,
+  weights: { velocity: 1, affinity: 1, recency: 1 },
+  keywords: [],  // [{ keyword, weight }], case-insensitive
+  top_n: null    // keep only the N best tweets of each poll
+};
+
+// Key used in the drop stats for tweets cut by top_n
+export const TOP_N = 'top_n';
+
+const RECENCY_HALF_LIFE_HOURS = 6;
+// Floor for the age, so a tweet from a few seconds ago doesn't get a huge velocity
+const MIN_AGE_HOURS = 0.25;
+
+// Stored scoring with the defaults filled in
+export function scoringConfig(scoring) {
+  return {
+    ...DEFAULT_SCORING,
+    ...scoring,
+    weights: { ...DEFAULT_SCORING.weights, ...scoring?.weights }
+  };
+}
+
+export function validateScoring(scoring) {
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) return 'scoring must be an object';
+  if (scoring.enabled !== undefined && typeof scoring.enabled !== 'boolean') return 'enabled must be true or false';
+  
+  for (const [signal, weight] of Object.entries(scoring.weights || {})) {
+    if (!SCORING_SIGNALS.includes(signal)) return `weights must be some of: ${SCORING_SIGNALS.join(', ')}`;
+    if (typeof weight !== 'number' || !Number.isFinite(weight)) return `${signal} weight must be a number`;
+  }
+  
+  if (scoring.keywords !== undefined) {
+    if (!Array.isArray(scoring.keywords)) return 'keywords must be a list';
+    for (const k of scoring.keywords) {
+      if (!k || typeof k.keyword !== 'string' || !k.keyword.trim()) return 'every keyword needs a keyword';
+      if (typeof k.weight !== 'number' || !Number.isFinite(k.weight)) return `weight of "${k.keyword}" must be a number`;
+    }
+  }
+  
+  if (scoring.top_n !== undefined && scoring.top_n !== null &&
+      (!Number.isInteger(scoring.top_n) || scoring.top_n < 1)) {
+    return 'top_n must be a whole number of at least 1';
+  }
+  
+  return null;
+}
+
+function ageHours(tweet, now) {
+  const createdAt = tweet.created_at ? new Date(tweet.created_at).getTime() : now;
+  return Math.max(0, (now - createdAt) / 3600000);
+}
+
+function engagement(tweet) {
+  const m = tweet.public_metrics || {};
+  return (m.like_count || 0) + (m.reply_count || 0) + 2 * ((m.retweet_count || 0) + (m.quote_count || 0));
+}
+
+// affinity is { author_id: recently delivered tweets }
+export function scoreTweet(tweet, scoring, affinity = {}, now = Date.now()) {
+  const age = ageHours(tweet, now);
+  const maxAffinity = Math.max(0, ...Object.values(affinity));
+  
+  const signals = {
+    velocity: Math.log1p(engagement(tweet) / Math.max(age, MIN_AGE_HOURS)),
+    affinity: maxAffinity > 0 ? Math.log1p(affinity[tweet.author_id] || 0) / Math.log1p(maxAffinity) : 0,
+    recency: Math.pow(2, -age / RECENCY_HALF_LIFE_HOURS)
+  };
+  
+  const text = (tweet.text || '').toLowerCase();
+  let score = SCORING_SIGNALS.reduce((sum, s) => sum + scoring.weights[s] * signals[s], 0);
+  for (const { keyword, weight } of scoring.keywords) {
+    if (text.includes(keyword.trim().toLowerCase())) score += weight;
+  }
+  
+  return Math.round(score * 1000) / 1000;
+}
+
+// Copies of the tweets with their score, best first (newest first on ties)
+export function rankTweets(tweets, scoring, affinity = {}, now = Date.now()) {
+  return tweets
+    .map(t => ({ ...t, score: scoreTweet(t, scoring, affinity, now) }))
+    .sort((a, b) => b.score - a.score || (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+}
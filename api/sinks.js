@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { validateRule } from './rules.js';
+import { PAYLOAD_VERSIONS, batchTitle, digestTitle, groupNote } from './payload.js';
+
+// ============================================
+// Sinks
+// ============================================
+// A sink is one destination for the tweets that pass an account's filter rules.
+// Generic webhooks get the versioned payload as is; every other sink receives a
+// version 2 payload and renders it in its own format when the delivery goes out.
+// Webhook, email and file sinks carry the message, rendered with one of the account's
+// message templates when config.template_id is set.
+export const SINK_TYPES = [
+  'webhook',  // config: url, payload_version, include_message
+  'slack',    // config: url (incoming webhook)
+  'discord',  // config: url (channel webhook)
+  'email',    // config: host, port, secure, username, from, to, subject; secret: SMTP password
+  'file'      // config: path, relative to FILE_SINK_DIR; one JSON line per batch
+];
+
+const SINK_TIMEOUT_MS = 10000;
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_DESCRIPTION = 500;
+
+function list(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export function validateSink(sink) {
+  if (!SINK_TYPES.includes(sink.type)) {
+    return `type must be one of: ${SINK_TYPES.join(', ')}`;
+  }
+  
+  if (sink.config !== undefined && (typeof sink.config !== 'object' || sink.config === null || Array.isArray(sink.config))) {
+    return 'config must be an object';
+  }
+  
+  const config = sink.config || {};
+  switch (sink.type) {
+    case 'webhook':
+      if (config.payload_version !== undefined && !PAYLOAD_VERSIONS.includes(config.payload_version)) {
+        return `config.payload_version must be one of: ${PAYLOAD_VERSIONS.join(', ')}`;
+      }
+    // falls through
+    case 'slack':
+    case 'discord':
+      if (!isHttpUrl(config.url)) return 'config.url must be an http(s) URL';
+      break;
+    case 'email':
+      if (!config.host) return 'config.host is required';
+      if (config.port !== undefined && !Number.isInteger(config.port)) return 'config.port must be a number';
+      if (!config.from) return 'config.from is required';
+      if (list(config.to).length === 0) return 'config.to is required';
+      break;
+    case 'file':
+      if (!config.path) return 'config.path is required';
+      if (path.isAbsolute(config.path) || config.path.split(/[\\/]/).includes('..')) {
+        return 'config.path must be relative to FILE_SINK_DIR';
+      }
+      break;
+  }
+  
+  if (config.template_id !== undefined && config.template_id !== null && !Number.isInteger(config.template_id)) {
+    return 'config.template_id must be a template ID';
+  }
+  
+  if (sink.filter !== undefined && !Array.isArray(sink.filter)) {
+    return 'filter must be a list of rules';
+  }
+  for (const rule of sink.filter || []) {
+    const error = validateRule(rule);
+    if (error) return `filter: ${error}`;
+  }
+  
+  return null;
+}
+
+// Sink filters are plain rule lists; applyRules() reports drops by rule id
+export function sinkRules(sink) {
+  return (sink.filter || []).map((rule, i) => ({ ...rule, id: `${sink.id}.${i}` }));
+}
+
+// ============================================
+// Formatters
+// ============================================
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtml(text) {
+  return escapeSlack(text).replace(/"/g, '&quot;');
+}
+
+function authorLabel(tweet) {
+  return (tweet.author?.username ? `@${tweet.author.username}` : 'unknown') + groupNote(tweet.group);
+}
+
+function summary(payload) {
+  return payload.event === 'digest'
+    ? digestTitle(payload.tweets.length)
+    : batchTitle(payload.source, payload.tweets.length);
+}
+
+export function formatSlack(payload) {
+  const lines = payload.tweets.map(t => `• <${t.url}|${authorLabel(t)}>: ${escapeSlack(t.text)}`);
+  return { text: `*${summary(payload)}*\n\n${lines.join('\n\n')}` };
+}
+
+export function formatDiscord(payload) {
+  const tweets = payload.tweets.slice(0, DISCORD_MAX_EMBEDS);
+  const hidden = payload.tweets.length - tweets.length;
+  
+  return {
+    content: summary(payload) + (hidden > 0 ? ` (showing the first ${tweets.length})` : ''),
+    embeds: tweets.map(t => ({
+      author: { name: authorLabel(t), url: t.author?.username ? `https://x.com/${t.author.username}` : undefined },
+      description: t.text.length > DISCORD_MAX_DESCRIPTION
+        ? t.text.slice(0, DISCORD_MAX_DESCRIPTION - 1) + '…'
+        : t.text,
+      url: t.url,
+      timestamp: t.created_at || undefined
+    }))
+  };
+}
+
+export function formatEmail(payload, subject) {
+  const source = payload.source && payload.source.type !== 'home' ? ` · ${payload.source.name}` : '';
+  const digest = payload.event === 'digest' ? ' · digest' : '';
+  const items = payload.tweets.map(t =>
+    `<li><a href="${escapeHtml(t.url)}">${escapeHtml(authorLabel(t))}</a>: ${escapeHtml(t.text)}</li>`
+  );
+  
+  return {
+    subject: `${subject || 'Timeline update'}${source}${digest} (${payload.tweets.length} tweets)`,
+    text: payload.message || payload.tweets.map(t => `${authorLabel(t)}: ${t.text}\n${t.url}`).join('\n\n'),
+    html: `<h2>${escapeHtml(summary(payload))}</h2><ul>${items.join('')}</ul>`
+  };
+}
+
+// ============================================
+// Sending
+// ============================================
+// Follows the Standard Webhooks scheme (https://www.standardwebhooks.com):
+// webhook-signature is "v1,<base64 HMAC-SHA256 of `${id}.${timestamp}.${body}`>",
+// one entry per valid secret.
+export function signWebhook(secrets, id, timestamp, body) {
+  return secrets.map(secret => {
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const signature = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64');
+    return `v1,${signature}`;
+  }).join(' ');
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(SINK_TIMEOUT_MS)
+  });
+  
+  if (!res.ok) {
+    const err = new Error(`Webhook responded with ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  
+  return res.status;
+}
+
+export async function sendWebhook(url, payload, { id, secrets }) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  
+  return postJson(url, body, {
+    'webhook-id': id,
+    'webhook-timestamp': String(timestamp),
+    'webhook-signature': signWebhook(secrets, id, timestamp, body)
+  });
+}
+
+async function sendEmail(sink, payload) {
+  const config = sink.config;
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || 587,
+    secure: !!config.secure,
+    auth: config.username ? { user: config.username, pass: sink.secret } : undefined,
+    connectionTimeout: SINK_TIMEOUT_MS
+  });
+  
+  await transport.sendMail({
+    from: config.from,
+    to: list(config.to),
+    ...formatEmail(payload, config.subject)
+  });
+  return null;
+}
+
+async function appendFile(sink, payload, fileDir) {
+  const file = path.join(fileDir, sink.config.path);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify(payload) + '\n');
+  return null;
+}
+
+// Returns the HTTP status for webhook-style sinks, null otherwise; throws on failure
+export async function sendToSink(sink, payload, { id, secrets, fileDir }) {
+  switch (sink.type) {
+    case 'webhook':
+      return sendWebhook(sink.config.url, payload, { id, secrets });
+    case 'slack':
+      return postJson(sink.config.url, JSON.stringify(formatSlack(payload)));
+    case 'discord':
+      return postJson(sink.config.url, JSON.stringify(formatDiscord(payload)));
+    case 'email':
+      return sendEmail(sink, payload);
+    case 'file':
+      return appendFile(sink, payload, fileDir);
+    default:
+      throw new Error(`Unknown sink type: ${sink.type}`);
+  }
+}
@@ -0,0 +1,103 @@
+import { validateSchedule } from './schedule.js';
+
+// ============================================
+// Sources
+// ============================================
+// Besides the home timeline, an account can watch X Lists, other users' tweets, its own
+// mentions and recent-search queries. Each source has its own since_id, seen tweets and
+// schedule, and shares the account's credentials, filter rules and sinks.
+export const SOURCE_TYPES = [
+  'list',      // value: list ID
+  'user',      // value: username; the user ID is looked up on the first poll (target_id)
+  'mentions',  // no value, mentions of the connected account
+  'search'     // value: recent search query
+];
+
+const SEARCH_MAX_QUERY = 512;
+
+// endpoint names the rate limit budget, pageParam the pagination token parameter.
+// List tweets have no since_id, their cursor is applied to the fetched pages instead.
+const REQUESTS = {
+  home: {
+    endpoint: 'timeline',
+    path: (source, userId) => `/2/users/${userId}/timelines/reverse_chronological`,
+    minResults: 1
+  },
+  list: {
+    endpoint: 'list_tweets',
+    path: source => `/2/lists/${source.value}/tweets`,
+    minResults: 1,
+    sinceId: false
+  },
+  user: {
+    endpoint: 'user_tweets',
+    path: source => `/2/users/${source.target_id}/tweets`,
+    minResults: 5
+  },
+  mentions: {
+    endpoint: 'mentions',
+    path: (source, userId) => `/2/users/${userId}/mentions`,
+    minResults: 5
+  },
+  search: {
+    endpoint: 'search',
+    path: () => '/2/tweets/search/recent',
+    minResults: 10,
+    pageParam: 'next_token'
+  }
+};
+
+export function validateSource(source) {
+  if (!SOURCE_TYPES.includes(source.type)) {
+    return `type must be one of: ${SOURCE_TYPES.join(', ')}`;
+  }
+  
+  const value = source.value || '';
+  switch (source.type) {
+    case 'list':
+      if (!/^\d+$/.test(value)) return 'value must be a list ID';
+      break;
+    case 'user':
+      if (!/^@?\w{1,15}$/.test(value)) return 'value must be a username';
+      break;
+    case 'search':
+      if (!value.trim()) return 'value must be a search query';
+      if (value.length > SEARCH_MAX_QUERY) return `value must be at most ${SEARCH_MAX_QUERY} characters`;
+      break;
+  }
+  
+  return validateSchedule(source);
+}
+
+export function sourceLabel(source) {
+  if (source.name) return source.name;
+  switch (source.type) {
+    case 'home': return 'Home timeline';
+    case 'list': return `List ${source.value}`;
+    case 'user': return `@${source.value.replace(/^@/, '')}`;
+    case 'mentions': return 'Mentions';
+    case 'search': return `Search: ${source.value}`;
+    default: return source.type;
+  }
+}
+
+// Whether the source needs the connected account's user ID to build its request
+export function needsUserId(source) {
+  return source.type === 'home' || source.type === 'mentions';
+}
+
+export function sourceEndpoint(source) {
+  return REQUESTS[source.type].endpoint;
+}
+
+// Path and query parameters for one page of a source, without the field expansions
+export function sourceRequest(source, { userId, maxResults, sinceId, paginationToken }) {
+  const request = REQUESTS[source.type];
+  const params = { max_results: String(Math.min(100, Math.max(request.minResults, maxResults))) };
+  
+  if (source.type === 'search') params.query = source.value;
+  if (sinceId && request.sinceId !== false) params.since_id = sinceId;
+  if (paginationToken) params[request.pageParam || 'pagination_token'] = paginationToken;
+  
+  return { endpoint: request.endpoint, path: request.path(source, userId), params };
+}
@@ -0,0 +1,73 @@
+import { createPostgresStorage } from './postgres.js';
+
+// ============================================
+// Storage
+// ============================================
+// Every table, behind one interface with a backend per database. Every method is async,
+// rows come back with the column names of the tables (timestamps as Dates, JSON columns
+// parsed, counts as numbers), and a sourceId of null means the account's home timeline.
+// The scoped methods take the account first and act on nothing when the row belongs to
+// another account: getX gives null, updateX null, deleteX false.
+//
+//   init(), close(), ping()
+//   transaction(fn)                  fn(tx) in one transaction; tx has the methods from
+//                                    "Admin users" down, and the storage itself mustn't be
+//                                    used inside fn (SQLite would wait for fn to finish)
+//   withPollLock(accountId, fn)      fn's result, or null without running fn if the account
+//                                    is being polled already, by this instance or another
+//   subscribe(fn)                    fn(event row) for each event created, by any instance
+//   claimDueAccounts(nextRunAt), claimDueSources(nextRunAt)
+//                                    rows whose next_run_at is due (or unset), moved on to
+//                                    nextRunAt(row, now) so only one instance gets each
+//   claimDueDigests(nextDigestAt)    same, over digest_next_at of accounts in digest mode
+//   migrate({ to }), rollbackMigrations({ steps }), migrationStatus()    Postgres only
+//
+//   Admin users     countAdminUsers(), createAdminUser(username, hash), getAdminUser(username)
+//   Sessions        createSession(tokenHash, userId, expiresAt), deleteSession(tokenHash),
+//                   getSessionUser(tokenHash) -> { id, username, token_hash } while unexpired
+//   Accounts        listAccounts(), getAccount(id), createAccount(fields),
+//                   updateAccount(id, updates), deleteAccount(id),
+//                   advanceRun(accountId, sourceId, at)    next_run_at = at unless earlier
+//   Rules, sinks, sources, templates
+//                   listX(accountId), getX(accountId, id), createX(accountId, fields),
+//                   updateX(accountId, id, updates), deleteX(accountId, id)
+//                   (Rule, Sink, Source, Template; rules have no getRule)
+//   Revisions       createRevision(fields), listRevisions(accountId, limit), getRevision(accountId, id)
+//   Rate limits     saveRateLimit(accountId, endpoint, { limit, remaining, resetAt }),
+//                   rateLimitedUntil(accountId, endpoints | null) -> Date of a spent budget or null,
+//                   listRateLimits(accountId), listAllRateLimits() -> [{ account, endpoint, remaining }]
+//   OAuth           createOAuthState(fields, ttlMinutes), takeOAuthState(state, ttlMinutes)
+//   Seen tweets     seenTweetIds(accountId, sourceId, tweetIds) -> the ones already seen,
+//                   markSeen(accountId, sourceId, tweetIds), countSeen(accountId),
+//                   forgetSource(accountId, sourceId), pruneSeen(accountId, days)
+//   Poll log        logPoll(fields) -> id, updatePoll(id, updates), listPolls(accountId, limit),
+//                   getPoll(accountId, id), recountDelivered(pollId)
+//   Jobs            createJob(fields) -> { job, created } (job is the active one if not created),
+//                   listJobs(accountId, limit), getJob(accountId, id), cancelJob(id), claimJob(),
+//                   setJobStage(id, stage, progress) -> cancel requested, requeueJob(id),
+//                   finishJob(id, status, result, error), expireJobs(staleMinutes, retentionDays)
+//   Tweet archive   archiveTweets(accountId, pollId, rows), pruneTweets(accountId, days),
+//                   countTweets(accountId), searchTweets(accountId, { q, author, from, to, limit,
+//                   offset }) -> { rows, total } (q in web search syntax), lastBatchPollId(accountId),
+//                   listPollTweets(accountId, pollId), listKeptTweets(accountId, pollId) (best first),
+//                   authorAffinity(accountId, days) -> { author_id: tweets delivered }
+//   Deliveries      createDelivery(fields) -> id, claimDeliveries(id | null) (null: the due ones),
+//                   markDelivered(id, attempts, status), markFailed(id, { status, attempts,
+//                   lastStatus, error, retryInSeconds }), listDeliveries(accountId, status, limit),
+//                   getDelivery(accountId, id), resetDelivery(accountId, id),
+//                   listPollDeliveries(pollId), countDeliveries(accountId) -> { pending, dead }
+//   Digest queue    queueForDigest(accountId, pollId, source, rows), listDigestQueue(accountId),
+//                   takeDigestQueue(accountId) (empties it)
+//   Events          createEvent(accountId, type, data) -> row, listEvents(accountId, { after, limit }),
+//                   pruneEvents(days)
+export const STORAGE_DRIVERS = ['postgres', 'sqlite'];
+
+// SQLite is only loaded when asked for, so Postgres deployments never touch its native module
+export async function openStorage(driver, { url, file }) {
+  if (driver === 'postgres') return createPostgresStorage(url);
+  if (driver === 'sqlite') {
+    const { createSqliteStorage } = await import('./sqlite.js');
+    return createSqliteStorage(file);
+  }
+  throw new Error(`Unknown storage driver "${driver}", use one of: ${STORAGE_DRIVERS.join(', ')}`);
+}
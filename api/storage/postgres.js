@@ -0,0 +1,793 @@
+import pg from 'pg';
+import { migrate, rollbackMigrations, migrationStatus } from '../migrate.js';
+import { log } from '../logger.js';
+import { COLUMN_TYPES, POLL_SUMMARY_COLUMNS, HOME_SOURCE_ID } from './tables.js';
+
+const { Pool, Client } = pg;
+
+// ============================================
+// Postgres storage
+// ============================================
+// What the API runs on in production. The schema comes from the migrations (see
+// migrate.js). Several instances can share the database: the poll lock is an advisory
+// lock, claims skip rows another instance has locked, and events go out with NOTIFY.
+const POLL_LOCK_KEY = 7321;
+const EVENTS_CHANNEL = 'timeline_watcher_events';
+const LISTEN_RETRY_MS = 5000;
+
+export function createPostgresStorage(url) {
+  const connection = { connectionString: url, ssl: { rejectUnauthorized: false } };
+  const pool = new Pool(connection);
+  let listener = null;
+  let closed = false;
+  
+  // One connection per instance listens for the whole process; it reconnects on its own
+  // if the database goes away
+  function listen(onEvent) {
+    const client = new Client(connection);
+    listener = client;
+    const retry = () => {
+      client.removeAllListeners();
+      client.end().catch(() => {});
+      if (!closed) setTimeout(() => listen(onEvent), LISTEN_RETRY_MS);
+    };
+    client.on('error', err => {
+      log.warn('Event listener lost its connection', { error: err.message });
+      retry();
+    });
+    client.on('notification', msg => onEvent(JSON.parse(msg.payload)));
+    
+    return client.connect()
+      .then(() => client.query(`LISTEN ${EVENTS_CHANNEL}`))
+      .catch(err => {
+        log.warn('Could not listen for events', { error: err.message });
+        retry();
+      });
+  }
+  
+  async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+  
+  return {
+    driver: 'postgres',
+    
+    async init() {
+      await migrate(pool);
+    },
+    
+    async close() {
+      closed = true;
+      if (listener) await listener.end().catch(() => {});
+      await pool.end();
+    },
+    
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+    
+    transaction(fn) {
+      return inTransaction(client => fn(queries(client)));
+    },
+    
+    // Session-level advisory lock, so it also keeps other instances off the account
+    async withPollLock(accountId, fn) {
+      const client = await pool.connect();
+      try {
+        const res = await client.query('SELECT pg_try_advisory_lock($1, $2) AS locked', [POLL_LOCK_KEY, accountId]);
+        if (!res.rows[0].locked) return null;
+        try {
+          return await fn();
+        } finally {
+          await client.query('SELECT pg_advisory_unlock($1, $2)', [POLL_LOCK_KEY, accountId]);
+        }
+      } finally {
+        client.release();
+      }
+    },
+    
+    subscribe(onEvent) {
+      return listen(onEvent);
+    },
+    
+    migrate(options) {
+      return migrate(pool, options);
+    },
+    
+    rollbackMigrations(options) {
+      return rollbackMigrations(pool, options);
+    },
+    
+    migrationStatus() {
+      return migrationStatus(pool);
+    },
+    
+    // Due rows get their next run under a row lock, rows another instance is claiming
+    // are skipped
+    claimDueAccounts(nextRunAt) {
+      return inTransaction(client => claimDue(client, 'accounts', 'TRUE', 'next_run_at', nextRunAt));
+    },
+    
+    claimDueSources(nextRunAt) {
+      return inTransaction(client => claimDue(client, 'sources', 'enabled', 'next_run_at', nextRunAt));
+    },
+    
+    claimDueDigests(nextDigestAt) {
+      return inTransaction(client => claimDue(client, 'accounts', 'digest_enabled AND digest_next_at IS NOT NULL',
+        'digest_next_at', nextDigestAt));
+    },
+    
+    ...queries(pool)
+  };
+}
+
+async function claimDue(db, table, where, column, next) {
+  const res = await db.query(
+    `SELECT * FROM ${table} WHERE (${column} IS NULL OR ${column} <= NOW()) AND ${where}
+     ORDER BY ${column} NULLS FIRST FOR UPDATE SKIP LOCKED`
+  );
+  const now = new Date();
+  for (const row of res.rows) {
+    await db.query(`UPDATE ${table} SET ${column} = $2 WHERE id = $1`, [row.id, next(row, now)]);
+  }
+  return res.rows;
+}
+
+// JSONB columns are sent as strings, pg would turn arrays into Postgres arrays
+function encode(table, row) {
+  const values = {};
+  for (const [column, value] of Object.entries(row)) {
+    values[column] = COLUMN_TYPES[table][column] === 'json' && value !== null ? JSON.stringify(value) : value;
+  }
+  return values;
+}
+
+function count(res, column = 'count') {
+  return parseInt(res.rows[0][column]);
+}
+
+function queries(db) {
+  async function insert(table, row) {
+    const values = encode(table, row);
+    const columns = Object.keys(values);
+    const res = await db.query(
+      `INSERT INTO ${table} (${columns.join(', ')})
+       VALUES (${columns.map((c, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      Object.values(values)
+    );
+    return res.rows[0];
+  }
+  
+  // where holds the columns that pick the row, usually account_id and id. Tables with an
+  // updated_at get it bumped. Returns the updated row, or null if none matched.
+  async function update(table, where, updates) {
+    const values = encode(table, updates);
+    const params = [...Object.values(where), ...Object.values(values)];
+    const conditions = Object.keys(where).map((c, i) => `${c} = $${i + 1}`);
+    const sets = Object.keys(values).map((c, i) => `${c} = $${conditions.length + i + 1}`);
+    if (COLUMN_TYPES[table].updated_at) sets.push('updated_at = NOW()');
+    if (sets.length === 0) return selectOne(table, where);
+    
+    const res = await db.query(
+      `UPDATE ${table} SET ${sets.join(', ')} WHERE ${conditions.join(' AND ')} RETURNING *`,
+      params
+    );
+    return res.rows[0] || null;
+  }
+  
+  async function selectOne(table, where) {
+    const conditions = Object.keys(where).map((c, i) => `${c} = $${i + 1}`);
+    const res = await db.query(`SELECT * FROM ${table} WHERE ${conditions.join(' AND ')}`, Object.values(where));
+    return res.rows[0] || null;
+  }
+  
+  async function listForAccount(table, accountId, order = 'id') {
+    const res = await db.query(`SELECT * FROM ${table} WHERE account_id = $1 ORDER BY ${order}`, [accountId]);
+    return res.rows;
+  }
+  
+  async function remove(table, where) {
+    const conditions = Object.keys(where).map((c, i) => `${c} = $${i + 1}`);
+    const res = await db.query(`DELETE FROM ${table} WHERE ${conditions.join(' AND ')}`, Object.values(where));
+    return res.rowCount > 0;
+  }
+  
+  return {
+    // Admin users and sessions
+    async countAdminUsers() {
+      return count(await db.query('SELECT COUNT(*) FROM admin_users'));
+    },
+    
+    async createAdminUser(username, passwordHash) {
+      await db.query(
+        'INSERT INTO admin_users (username, password_hash) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [username, passwordHash]
+      );
+    },
+    
+    getAdminUser(username) {
+      return selectOne('admin_users', { username });
+    },
+    
+    async createSession(tokenHash, userId, expiresAt) {
+      await db.query('DELETE FROM sessions WHERE expires_at < NOW()');
+      await db.query(
+        'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+        [tokenHash, userId, expiresAt]
+      );
+    },
+    
+    async getSessionUser(tokenHash) {
+      const res = await db.query(
+        `SELECT u.id, u.username, s.token_hash FROM sessions s
+         JOIN admin_users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+        [tokenHash]
+      );
+      return res.rows[0] || null;
+    },
+    
+    async deleteSession(tokenHash) {
+      await remove('sessions', { token_hash: tokenHash });
+    },
+    
+    // Accounts
+    async listAccounts() {
+      const res = await db.query('SELECT * FROM accounts ORDER BY id');
+      return res.rows;
+    },
+    
+    getAccount(accountId) {
+      return selectOne('accounts', { id: accountId });
+    },
+    
+    createAccount(account) {
+      return insert('accounts', account);
+    },
+    
+    async updateAccount(accountId, updates) {
+      await update('accounts', { id: accountId }, updates);
+    },
+    
+    deleteAccount(accountId) {
+      return remove('accounts', { id: accountId });
+    },
+    
+    // next_run_at becomes `at`, unless the run is due earlier already
+    async advanceRun(accountId, sourceId, at) {
+      await db.query(
+        `UPDATE ${sourceId ? 'sources' : 'accounts'} SET next_run_at = LEAST(next_run_at, $2) WHERE id = $1`,
+        [sourceId ?? accountId, at]
+      );
+    },
+    
+    // Filter rules, sinks, sources and templates
+    listRules(accountId) {
+      return listForAccount('filter_rules', accountId, 'position, id');
+    },
+    
+    createRule(accountId, rule) {
+      return insert('filter_rules', { account_id: accountId, ...rule });
+    },
+    
+    updateRule(accountId, ruleId, updates) {
+      return update('filter_rules', { account_id: accountId, id: ruleId }, updates);
+    },
+    
+    deleteRule(accountId, ruleId) {
+      return remove('filter_rules', { account_id: accountId, id: ruleId });
+    },
+    
+    listSinks(accountId) {
+      return listForAccount('sinks', accountId);
+    },
+    
+    getSink(accountId, sinkId) {
+      return selectOne('sinks', { account_id: accountId, id: sinkId });
+    },
+    
+    createSink(accountId, sink) {
+      return insert('sinks', { account_id: accountId, ...sink });
+    },
+    
+    updateSink(accountId, sinkId, updates) {
+      return update('sinks', { account_id: accountId, id: sinkId }, updates);
+    },
+    
+    deleteSink(accountId, sinkId) {
+      return remove('sinks', { account_id: accountId, id: sinkId });
+    },
+    
+    listSources(accountId) {
+      return listForAccount('sources', accountId);
+    },
+    
+    getSource(accountId, sourceId) {
+      return selectOne('sources', { account_id: accountId, id: sourceId });
+    },
+    
+    createSource(accountId, source) {
+      return insert('sources', { account_id: accountId, ...source });
+    },
+    
+    updateSource(accountId, sourceId, updates) {
+      return update('sources', { account_id: accountId, id: sourceId }, updates);
+    },
+    
+    deleteSource(accountId, sourceId) {
+      return remove('sources', { account_id: accountId, id: sourceId });
+    },
+    
+    listTemplates(accountId) {
+      return listForAccount('message_templates', accountId);
+    },
+    
+    getTemplate(accountId, templateId) {
+      return selectOne('message_templates', { account_id: accountId, id: templateId });
+    },
+    
+    createTemplate(accountId, template) {
+      return insert('message_templates', { account_id: accountId, ...template });
+    },
+    
+    updateTemplate(accountId, templateId, updates) {
+      return update('message_templates', { account_id: accountId, id: templateId }, updates);
+    },
+    
+    deleteTemplate(accountId, templateId) {
+      return remove('message_templates', { account_id: accountId, id: templateId });
+    },
+    
+    // Config revisions
+    createRevision(revision) {
+      return insert('config_revisions', revision);
+    },
+    
+    async listRevisions(accountId, limit) {
+      const res = await db.query(
+        'SELECT * FROM config_revisions WHERE account_id = $1 ORDER BY id DESC LIMIT $2',
+        [accountId, limit]
+      );
+      return res.rows;
+    },
+    
+    getRevision(accountId, revisionId) {
+      return selectOne('config_revisions', { account_id: accountId, id: revisionId });
+    },
+    
+    // X rate limits
+    async saveRateLimit(accountId, endpoint, { limit, remaining, resetAt }) {
+      await db.query(
+        `INSERT INTO rate_limits (account_id, endpoint, request_limit, remaining, reset_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (account_id, endpoint) DO UPDATE SET request_limit = EXCLUDED.request_limit,
+           remaining = EXCLUDED.remaining, reset_at = EXCLUDED.reset_at, updated_at = NOW()`,
+        [accountId, endpoint, limit, remaining, resetAt]
+      );
+    },
+    
+    async rateLimitedUntil(accountId, endpoints) {
+      const res = await db.query(
+        `SELECT MAX(reset_at) AS reset_at FROM rate_limits
+         WHERE account_id = $1 AND ($2::text[] IS NULL OR endpoint = ANY($2)) AND remaining <= 0 AND reset_at > NOW()`,
+        [accountId, endpoints]
+      );
+      return res.rows[0].reset_at;
+    },
+    
+    async listRateLimits(accountId) {
+      const res = await db.query(
+        `SELECT endpoint, request_limit AS limit,
+           CASE WHEN reset_at > NOW() THEN remaining ELSE COALESCE(request_limit, remaining) END AS remaining,
+           reset_at, updated_at
+         FROM rate_limits WHERE account_id = $1 ORDER BY endpoint`,
+        [accountId]
+      );
+      return res.rows;
+    },
+    
+    async listAllRateLimits() {
+      const res = await db.query(
+        `SELECT a.name AS account, r.endpoint,
+           CASE WHEN r.reset_at > NOW() THEN r.remaining ELSE COALESCE(r.request_limit, r.remaining) END AS remaining
+         FROM rate_limits r JOIN accounts a ON a.id = r.account_id`
+      );
+      return res.rows;
+    },
+    
+    // OAuth attempts, dropped once older than ttlMinutes
+    async createOAuthState(pending, ttlMinutes) {
+      await db.query('DELETE FROM oauth_states WHERE created_at < NOW() - make_interval(mins => $1)', [ttlMinutes]);
+      await insert('oauth_states', pending);
+    },
+    
+    async takeOAuthState(state, ttlMinutes) {
+      const res = await db.query(
+        'DELETE FROM oauth_states WHERE state = $1 AND created_at > NOW() - make_interval(mins => $2) RETURNING *',
+        [state, ttlMinutes]
+      );
+      return res.rows[0] || null;
+    },
+    
+    // Seen tweets
+    async seenTweetIds(accountId, sourceId, tweetIds) {
+      const res = await db.query(
+        'SELECT tweet_id FROM seen_tweets WHERE account_id = $1 AND source_id = $2 AND tweet_id = ANY($3)',
+        [accountId, sourceId ?? HOME_SOURCE_ID, tweetIds]
+      );
+      return res.rows.map(r => r.tweet_id);
+    },
+    
+    async markSeen(accountId, sourceId, tweetIds) {
+      await db.query(
+        'INSERT INTO seen_tweets (account_id, source_id, tweet_id) SELECT $1, $2, unnest($3::text[]) ON CONFLICT DO NOTHING',
+        [accountId, sourceId ?? HOME_SOURCE_ID, tweetIds]
+      );
+    },
+    
+    async countSeen(accountId) {
+      return count(await db.query('SELECT COUNT(*) FROM seen_tweets WHERE account_id = $1', [accountId]));
+    },
+    
+    async forgetSource(accountId, sourceId) {
+      await db.query('DELETE FROM seen_tweets WHERE account_id = $1 AND source_id = $2', [accountId, sourceId]);
+    },
+    
+    async pruneSeen(accountId, days) {
+      await db.query(
+        'DELETE FROM seen_tweets WHERE account_id = $1 AND created_at < NOW() - make_interval(days => $2)',
+        [accountId, days]
+      );
+    },
+    
+    // Poll log
+    async logPoll(poll) {
+      return (await insert('poll_log', poll)).id;
+    },
+    
+    async updatePoll(pollId, updates) {
+      await update('poll_log', { id: pollId }, updates);
+    },
+    
+    async listPolls(accountId, limit) {
+      const res = await db.query(
+        `SELECT ${POLL_SUMMARY_COLUMNS.join(', ')} FROM poll_log WHERE account_id = $1
+         ORDER BY created_at DESC, id DESC LIMIT $2`,
+        [accountId, limit]
+      );
+      return res.rows;
+    },
+    
+    getPoll(accountId, pollId) {
+      return selectOne('poll_log', { account_id: accountId, id: pollId });
+    },
+    
+    // A tweet counts as delivered once at least one sink got it, however often it goes out
+    async recountDelivered(pollId) {
+      await db.query(
+        `UPDATE poll_log SET tweets_delivered = (
+           SELECT COUNT(DISTINCT tweet_id) FROM deliveries, unnest(tweet_ids) AS tweet_id
+           WHERE poll_id = $1 AND status = 'delivered'
+         ) WHERE id = $1`,
+        [pollId]
+      );
+    },
+    
+    // Poll jobs
+    async createJob(job) {
+      const values = Object.values(job);
+      const res = await db.query(
+        `INSERT INTO poll_jobs (${Object.keys(job).join(', ')})
+         VALUES (${values.map((v, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (account_id, (COALESCE(source_id, 0))) WHERE status IN ('queued', 'running') DO NOTHING
+         RETURNING *`,
+        values
+      );
+      if (res.rows[0]) return { job: res.rows[0], created: true };
+      
+      const active = await db.query(
+        `SELECT * FROM poll_jobs WHERE account_id = $1 AND COALESCE(source_id, 0) = $2
+           AND status IN ('queued', 'running')`,
+        [job.account_id, job.source_id ?? 0]
+      );
+      return { job: active.rows[0], created: false };
+    },
+    
+    async listJobs(accountId, limit) {
+      const res = await db.query(
+        'SELECT * FROM poll_jobs WHERE account_id = $1 ORDER BY id DESC LIMIT $2',
+        [accountId, limit]
+      );
+      return res.rows;
+    },
+    
+    getJob(accountId, jobId) {
+      return selectOne('poll_jobs', { account_id: accountId, id: jobId });
+    },
+    
+    async cancelJob(jobId) {
+      const res = await db.query(
+        `UPDATE poll_jobs SET
+           status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+           finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+           cancel_requested = TRUE, updated_at = NOW()
+         WHERE id = $1 AND status IN ('queued', 'running') RETURNING *`,
+        [jobId]
+      );
+      return res.rows[0] || null;
+    },
+    
+    async claimJob() {
+      const res = await db.query(
+        `UPDATE poll_jobs SET status = 'running', started_at = NOW(), updated_at = NOW()
+         WHERE id = (
+           SELECT id FROM poll_jobs j WHERE status = 'queued'
+             AND NOT EXISTS (SELECT 1 FROM poll_jobs r WHERE r.account_id = j.account_id AND r.status = 'running')
+           ORDER BY id LIMIT 1 FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`
+      );
+      return res.rows[0] || null;
+    },
+    
+    async setJobStage(jobId, stage, progress) {
+      const res = await db.query(
+        `UPDATE poll_jobs SET stage = $2, progress = progress || $3, updated_at = NOW()
+         WHERE id = $1 RETURNING cancel_requested`,
+        [jobId, stage, JSON.stringify(progress)]
+      );
+      return !!res.rows[0]?.cancel_requested;
+    },
+    
+    async requeueJob(jobId) {
+      await db.query("UPDATE poll_jobs SET status = 'queued', started_at = NULL WHERE id = $1", [jobId]);
+    },
+    
+    async finishJob(jobId, status, result, error) {
+      await db.query(
+        `UPDATE poll_jobs SET status = $2, result = $3, error = $4, finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [jobId, status, JSON.stringify(result), error]
+      );
+    },
+    
+    async expireJobs(staleMinutes, retentionDays) {
+      await db.query(
+        `UPDATE poll_jobs SET status = 'failed', error = 'Interrupted, the instance running it stopped',
+           finished_at = NOW(), updated_at = NOW()
+         WHERE status = 'running' AND updated_at < NOW() - make_interval(mins => $1)`,
+        [staleMinutes]
+      );
+      await db.query(
+        'DELETE FROM poll_jobs WHERE finished_at < NOW() - make_interval(days => $1)',
+        [retentionDays]
+      );
+    },
+    
+    // Tweet archive
+    async archiveTweets(accountId, pollId, tweets) {
+      await db.query(
+        `INSERT INTO tweets (account_id, poll_id, tweet_id, author_id, author_username, author_name, text, lang,
+           conversation_id, public_metrics, filtered, score, tweeted_at)
+         SELECT $1, $2, r.* FROM jsonb_to_recordset($3) AS r(tweet_id TEXT, author_id TEXT, author_username TEXT,
+           author_name TEXT, text TEXT, lang TEXT, conversation_id TEXT, public_metrics JSONB, filtered BOOLEAN,
+           score REAL, tweeted_at TIMESTAMPTZ)
+         ON CONFLICT DO NOTHING`,
+        [accountId, pollId, JSON.stringify(tweets)]
+      );
+    },
+    
+    async pruneTweets(accountId, days) {
+      await db.query(
+        'DELETE FROM tweets WHERE account_id = $1 AND archived_at < NOW() - make_interval(days => $2)',
+        [accountId, days]
+      );
+    },
+    
+    async countTweets(accountId) {
+      return count(await db.query('SELECT COUNT(*) FROM tweets WHERE account_id = $1', [accountId]));
+    },
+    
+    async searchTweets(accountId, { q, author, from, to, limit, offset }) {
+      const where = ['account_id = $1'];
+      const params = [accountId];
+      const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      
+      if (q) where.push(`search @@ websearch_to_tsquery('simple', ${param(q)})`);
+      if (author) where.push(`LOWER(author_username) = LOWER(${param(author)})`);
+      if (from) where.push(`COALESCE(tweeted_at, archived_at) >= ${param(from)}`);
+      if (to) where.push(`COALESCE(tweeted_at, archived_at) < ${param(to)}`);
+      
+      const res = await db.query(
+        `SELECT *, COUNT(*) OVER () AS total FROM tweets WHERE ${where.join(' AND ')}
+         ORDER BY COALESCE(tweeted_at, archived_at) DESC, tweet_id DESC
+         LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+        params
+      );
+      const total = res.rows.length > 0 ? parseInt(res.rows[0].total) : 0;
+      return { rows: res.rows.map(({ total, search, ...row }) => row), total };
+    },
+    
+    async lastBatchPollId(accountId) {
+      const res = await db.query(
+        'SELECT MAX(poll_id) AS poll_id FROM tweets WHERE account_id = $1 AND NOT filtered',
+        [accountId]
+      );
+      return res.rows[0].poll_id;
+    },
+    
+    async listPollTweets(accountId, pollId) {
+      const res = await db.query(
+        'SELECT * FROM tweets WHERE account_id = $1 AND poll_id = $2 ORDER BY tweeted_at DESC, tweet_id DESC',
+        [accountId, pollId]
+      );
+      return res.rows;
+    },
+    
+    async listKeptTweets(accountId, pollId) {
+      const res = await db.query(
+        `SELECT * FROM tweets WHERE account_id = $1 AND poll_id = $2 AND NOT filtered
+         ORDER BY score DESC NULLS LAST, tweeted_at DESC, tweet_id DESC`,
+        [accountId, pollId]
+      );
+      return res.rows;
+    },
+    
+    async authorAffinity(accountId, days) {
+      const res = await db.query(
+        `SELECT t.author_id, COUNT(DISTINCT t.tweet_id) AS delivered
+         FROM deliveries d CROSS JOIN LATERAL unnest(d.tweet_ids) AS ids(tweet_id)
+         JOIN tweets t ON t.account_id = d.account_id AND t.tweet_id = ids.tweet_id
+         WHERE d.account_id = $1 AND d.status = 'delivered' AND d.delivered_at > NOW() - make_interval(days => $2)
+         GROUP BY t.author_id`,
+        [accountId, days]
+      );
+      return Object.fromEntries(res.rows.map(r => [r.author_id, parseInt(r.delivered)]));
+    },
+    
+    // Deliveries
+    async createDelivery(delivery) {
+      return (await insert('deliveries', delivery)).id;
+    },
+    
+    // Claiming pushes next_attempt_at out, so other instances skip deliveries in flight
+    async claimDeliveries(deliveryId = null) {
+      const res = await db.query(
+        `UPDATE deliveries SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+         WHERE id IN (
+           SELECT id FROM deliveries WHERE status = 'pending'
+             AND ${deliveryId === null ? 'next_attempt_at <= NOW()' : 'id = $1'}
+           ORDER BY next_attempt_at LIMIT 20 FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        deliveryId === null ? [] : [deliveryId]
+      );
+      return res.rows;
+    },
+    
+    async markDelivered(deliveryId, attempts, status) {
+      await db.query(
+        `UPDATE deliveries SET status = 'delivered', attempts = $2, last_status = $3, last_error = NULL,
+           delivered_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [deliveryId, attempts, status]
+      );
+    },
+    
+    async markFailed(deliveryId, { status, attempts, lastStatus, error, retryInSeconds }) {
+      await db.query(
+        `UPDATE deliveries SET status = $2, attempts = $3, last_status = $4, last_error = $5,
+           next_attempt_at = NOW() + make_interval(secs => $6), updated_at = NOW()
+         WHERE id = $1`,
+        [deliveryId, status, attempts, lastStatus, error, retryInSeconds]
+      );
+    },
+    
+    async listDeliveries(accountId, status, limit) {
+      const res = await db.query(
+        `SELECT d.id, d.poll_id, d.sink_id, s.name AS sink_name, s.type AS sink_type, d.status, d.attempts,
+           d.next_attempt_at, d.last_status, d.last_error, d.delivered_at, d.created_at,
+           cardinality(d.tweet_ids) AS tweet_count
+         FROM deliveries d LEFT JOIN sinks s ON s.id = d.sink_id
+         WHERE d.account_id = $1 AND ($2::text IS NULL OR d.status = $2)
+         ORDER BY d.created_at DESC, d.id DESC LIMIT $3`,
+        [accountId, status || null, limit]
+      );
+      return res.rows;
+    },
+    
+    getDelivery(accountId, deliveryId) {
+      return selectOne('deliveries', { account_id: accountId, id: deliveryId });
+    },
+    
+    async resetDelivery(accountId, deliveryId) {
+      const res = await db.query(
+        `UPDATE deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+         WHERE account_id = $1 AND id = $2`,
+        [accountId, deliveryId]
+      );
+      return res.rowCount > 0;
+    },
+    
+    async listPollDeliveries(pollId) {
+      const res = await db.query(
+        `SELECT d.id, d.sink_id, s.name AS sink_name, s.type AS sink_type, d.status, d.attempts,
+           d.last_status, d.last_error, d.delivered_at, d.tweet_ids
+         FROM deliveries d LEFT JOIN sinks s ON s.id = d.sink_id
+         WHERE d.poll_id = $1 ORDER BY d.id`,
+        [pollId]
+      );
+      return res.rows;
+    },
+    
+    async countDeliveries(accountId) {
+      const res = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+           COUNT(*) FILTER (WHERE status = 'dead') AS dead
+         FROM deliveries WHERE account_id = $1`,
+        [accountId]
+      );
+      return { pending: count(res, 'pending'), dead: count(res, 'dead') };
+    },
+    
+    // Digest queue
+    async queueForDigest(accountId, pollId, source, tweets) {
+      await db.query(
+        `INSERT INTO digest_queue (account_id, poll_id, source, tweet_id, tweet, author)
+         SELECT $1, $2, $3, r.* FROM jsonb_to_recordset($4) AS r(tweet_id TEXT, tweet JSONB, author JSONB)
+         ON CONFLICT DO NOTHING`,
+        [accountId, pollId, JSON.stringify(source), JSON.stringify(tweets)]
+      );
+    },
+    
+    async listDigestQueue(accountId) {
+      const res = await db.query('SELECT * FROM digest_queue WHERE account_id = $1 ORDER BY queued_at, tweet_id', [accountId]);
+      return res.rows;
+    },
+    
+    async takeDigestQueue(accountId) {
+      const res = await db.query('DELETE FROM digest_queue WHERE account_id = $1 RETURNING *', [accountId]);
+      return res.rows;
+    },
+    
+    // Events
+    async createEvent(accountId, type, data) {
+      const res = await db.query(
+        `WITH e AS (INSERT INTO events (account_id, type, data) VALUES ($1, $2, $3) RETURNING *)
+         SELECT e.*, pg_notify($4, row_to_json(e)::text) FROM e`,
+        [accountId, type, JSON.stringify(data), EVENTS_CHANNEL]
+      );
+      const { pg_notify, ...event } = res.rows[0];
+      return event;
+    },
+    
+    async listEvents(accountId, { after, limit }) {
+      const res = await db.query(
+        `SELECT * FROM (
+           SELECT * FROM events WHERE (account_id = $1 OR account_id IS NULL) AND ($2::bigint IS NULL OR id > $2)
+           ORDER BY id ${after === null ? 'DESC' : 'ASC'} LIMIT $3
+         ) e ORDER BY id`,
+        [accountId, after, limit]
+      );
+      return res.rows;
+    },
+    
+    async pruneEvents(days) {
+      await db.query('DELETE FROM events WHERE created_at < NOW() - make_interval(days => $1)', [days]);
+    }
+  };
+}
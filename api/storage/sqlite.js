@@ -0,0 +1,1029 @@
+import fs from 'fs';
+import path from 'path';
+import { COLUMN_TYPES, POLL_SUMMARY_COLUMNS, HOME_SOURCE_ID } from './tables.js';
+
+// ============================================
+// SQLite storage
+// ============================================
+// A single file, for running the API without a database server, on one instance. The
+// schema mirrors the Postgres one and is versioned with PRAGMA user_version: each entry of
+// SCHEMA is applied once, in order, so add new ones at the end. What Postgres does for
+// several instances (advisory locks, SKIP LOCKED, NOTIFY) is done in the process here.
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+// NOW moved by a modifier given as a parameter, such as '-7 days'
+const NOW_PLUS = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now', ?)";
+
+const SCHEMA = [
+  `
+    CREATE TABLE accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL DEFAULT 'Default',
+      x_client_id TEXT,
+      x_client_secret TEXT,
+      access_token TEXT,
+      refresh_token TEXT,
+      token_expires_at TEXT,
+      token_error TEXT,
+      webhook_url TEXT,
+      webhook_secret TEXT,
+      webhook_secret_previous TEXT,
+      webhook_secret_previous_expires_at TEXT,
+      webhook_payload_version INTEGER DEFAULT 1,
+      webhook_include_message INTEGER DEFAULT 1,
+      message_template_id INTEGER,
+      poll_interval_hours INTEGER DEFAULT 6,
+      max_tweets_per_poll INTEGER DEFAULT 50,
+      openclaw_mode TEXT DEFAULT 'next-heartbeat',
+      since_id TEXT,
+      schedule_interval_minutes INTEGER DEFAULT 360,
+      schedule_cron TEXT,
+      schedule_timezone TEXT DEFAULT 'UTC',
+      quiet_hours_start TEXT,
+      quiet_hours_end TEXT,
+      next_run_at TEXT,
+      archive_retention_days INTEGER DEFAULT 30,
+      scoring TEXT,
+      grouping TEXT,
+      digest_enabled INTEGER DEFAULT 0,
+      digest_times TEXT NOT NULL DEFAULT '["08:00","18:00"]',
+      digest_group_by TEXT DEFAULT 'author',
+      digest_max_tweets INTEGER DEFAULT 50,
+      digest_next_at TEXT,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    INSERT INTO accounts (name) VALUES ('Default');
+    
+    CREATE TABLE seen_tweets (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      source_id INTEGER NOT NULL DEFAULT 0,
+      tweet_id TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      PRIMARY KEY (account_id, source_id, tweet_id)
+    );
+    
+    CREATE TABLE poll_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      source_id INTEGER,
+      tweets_found INTEGER,
+      tweets_new INTEGER,
+      tweets_filtered INTEGER DEFAULT 0,
+      tweets_delivered INTEGER DEFAULT 0,
+      filter_stats TEXT,
+      pages_fetched INTEGER DEFAULT 0,
+      pages_truncated INTEGER DEFAULT 0,
+      status TEXT,
+      error TEXT,
+      fetched_tweet_ids TEXT NOT NULL DEFAULT '[]',
+      new_tweet_ids TEXT NOT NULL DEFAULT '[]',
+      filtered_tweet_ids TEXT NOT NULL DEFAULT '[]',
+      timings TEXT,
+      duration_ms INTEGER,
+      correlation_id TEXT,
+      created_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE INDEX poll_log_account_created_idx ON poll_log (account_id, created_at DESC);
+  `,
+  // Everything else. The columns that point at tables created above have no foreign key,
+  // so triggers do what ON DELETE does in Postgres.
+  `
+    CREATE TABLE message_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      body TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TRIGGER message_templates_deleted AFTER DELETE ON message_templates BEGIN
+      UPDATE accounts SET message_template_id = NULL WHERE message_template_id = OLD.id;
+    END;
+    
+    CREATE TABLE sources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT,
+      type TEXT NOT NULL,
+      value TEXT,
+      target_id TEXT,
+      enabled INTEGER DEFAULT 1,
+      since_id TEXT,
+      schedule_interval_minutes INTEGER DEFAULT 360,
+      schedule_cron TEXT,
+      schedule_timezone TEXT DEFAULT 'UTC',
+      quiet_hours_start TEXT,
+      quiet_hours_end TEXT,
+      next_run_at TEXT,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TRIGGER sources_deleted AFTER DELETE ON sources BEGIN
+      DELETE FROM poll_log WHERE source_id = OLD.id;
+    END;
+    
+    -- id only gives the search index a stable rowid to point at
+    CREATE TABLE tweets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      tweet_id TEXT NOT NULL,
+      poll_id INTEGER REFERENCES poll_log(id) ON DELETE SET NULL,
+      author_id TEXT,
+      author_username TEXT,
+      author_name TEXT,
+      text TEXT NOT NULL,
+      lang TEXT,
+      conversation_id TEXT,
+      public_metrics TEXT NOT NULL DEFAULT '{}',
+      filtered INTEGER DEFAULT 0,
+      score REAL,
+      tweeted_at TEXT,
+      archived_at TEXT DEFAULT (${NOW}),
+      UNIQUE (account_id, tweet_id)
+    );
+    
+    CREATE INDEX tweets_account_tweeted_idx ON tweets (account_id, tweeted_at DESC);
+    
+    -- Like the 'simple' config in Postgres: no stemming, accents kept
+    CREATE VIRTUAL TABLE tweets_search USING fts5(
+      text, author_username, author_name,
+      content = 'tweets', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 0'
+    );
+    
+    CREATE TRIGGER tweets_archived AFTER INSERT ON tweets BEGIN
+      INSERT INTO tweets_search (rowid, text, author_username, author_name)
+      VALUES (NEW.id, NEW.text, NEW.author_username, NEW.author_name);
+    END;
+    
+    CREATE TRIGGER tweets_pruned AFTER DELETE ON tweets BEGIN
+      INSERT INTO tweets_search (tweets_search, rowid, text, author_username, author_name)
+      VALUES ('delete', OLD.id, OLD.text, OLD.author_username, OLD.author_name);
+    END;
+    
+    CREATE TABLE digest_queue (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      tweet_id TEXT NOT NULL,
+      poll_id INTEGER REFERENCES poll_log(id) ON DELETE SET NULL,
+      tweet TEXT NOT NULL,
+      author TEXT,
+      source TEXT,
+      queued_at TEXT DEFAULT (${NOW}),
+      PRIMARY KEY (account_id, tweet_id)
+    );
+    
+    CREATE TABLE sinks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT,
+      type TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      config TEXT NOT NULL DEFAULT '{}',
+      secret TEXT,
+      filter TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TABLE deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      poll_id INTEGER REFERENCES poll_log(id) ON DELETE SET NULL,
+      sink_id INTEGER REFERENCES sinks(id) ON DELETE CASCADE,
+      payload TEXT NOT NULL,
+      tweet_ids TEXT NOT NULL DEFAULT '[]',
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT DEFAULT (${NOW}),
+      last_status INTEGER,
+      last_error TEXT,
+      delivered_at TEXT,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE INDEX deliveries_due_idx ON deliveries (next_attempt_at) WHERE status = 'pending';
+    CREATE INDEX deliveries_account_created_idx ON deliveries (account_id, created_at DESC);
+    
+    CREATE TABLE filter_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      name TEXT,
+      action TEXT NOT NULL,
+      type TEXT NOT NULL,
+      metric TEXT,
+      value TEXT,
+      enabled INTEGER DEFAULT 1,
+      position INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (${NOW}),
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TABLE config_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      username TEXT,
+      rollback_of INTEGER,
+      created_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TABLE poll_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      source_id INTEGER REFERENCES sources(id) ON DELETE CASCADE,
+      trigger TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      stage TEXT,
+      progress TEXT NOT NULL DEFAULT '{}',
+      result TEXT,
+      error TEXT,
+      cancel_requested INTEGER NOT NULL DEFAULT 0,
+      correlation_id TEXT NOT NULL,
+      request_id TEXT,
+      created_at TEXT DEFAULT (${NOW}),
+      started_at TEXT,
+      finished_at TEXT,
+      updated_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE UNIQUE INDEX poll_jobs_active_idx ON poll_jobs (account_id, COALESCE(source_id, 0))
+      WHERE status IN ('queued', 'running');
+    
+    CREATE TABLE events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL DEFAULT '{}',
+      created_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TABLE rate_limits (
+      account_id INTEGER NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+      endpoint TEXT NOT NULL,
+      request_limit INTEGER,
+      remaining INTEGER NOT NULL,
+      reset_at TEXT NOT NULL,
+      updated_at TEXT DEFAULT (${NOW}),
+      PRIMARY KEY (account_id, endpoint)
+    );
+    
+    CREATE TABLE oauth_states (
+      state TEXT PRIMARY KEY,
+      account_id INTEGER REFERENCES accounts(id) ON DELETE CASCADE,
+      code_verifier TEXT NOT NULL,
+      redirect_uri TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TABLE admin_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW})
+    );
+    
+    CREATE TABLE sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      expires_at TEXT NOT NULL,
+      created_at TEXT DEFAULT (${NOW})
+    );
+  `
+];
+
+// better-sqlite3 is an optional dependency, only needed when STORAGE_DRIVER=sqlite
+async function loadDriver() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND') throw err;
+    throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+}
+
+export async function createSqliteStorage(file) {
+  const Database = await loadDriver();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  
+  // There is one connection, so every call takes its turn on it. A transaction keeps the
+  // turn until it commits, calls made in the meantime wait for it instead of landing in
+  // it; inside one, use tx rather than the storage or it waits for itself.
+  let turn = Promise.resolve();
+  const inTurn = fn => {
+    const result = turn.then(fn);
+    turn = result.catch(() => {});
+    return result;
+  };
+  
+  const tx = queries(db);
+  const storage = Object.fromEntries(
+    Object.entries(tx).map(([name, method]) => [name, (...args) => inTurn(() => method(...args))])
+  );
+  
+  // Accounts being polled; one process, so the lock can live in memory
+  const polling = new Set();
+  const subscribers = new Set();
+  
+  return {
+    driver: 'sqlite',
+    
+    async init() {
+      const version = db.pragma('user_version', { simple: true });
+      SCHEMA.slice(version).forEach((sql, i) => {
+        db.transaction(() => {
+          db.exec(sql);
+          db.pragma(`user_version = ${version + i + 1}`);
+        })();
+      });
+    },
+    
+    async close() {
+      await turn;
+      db.close();
+    },
+    
+    ping() {
+      return inTurn(() => db.prepare('SELECT 1').get());
+    },
+    
+    transaction(fn) {
+      return inTurn(async () => {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+          const value = await fn(tx);
+          db.exec('COMMIT');
+          return value;
+        } catch (err) {
+          db.exec('ROLLBACK');
+          throw err;
+        }
+      });
+    },
+    
+    async withPollLock(accountId, fn) {
+      if (polling.has(accountId)) return null;
+      polling.add(accountId);
+      try {
+        return await fn();
+      } finally {
+        polling.delete(accountId);
+      }
+    },
+    
+    subscribe(onEvent) {
+      subscribers.add(onEvent);
+    },
+    
+    claimDueAccounts(nextRunAt) {
+      return inTurn(() => claimDue(db, 'accounts', 'TRUE', 'next_run_at', nextRunAt));
+    },
+    
+    claimDueSources(nextRunAt) {
+      return inTurn(() => claimDue(db, 'sources', 'enabled = 1', 'next_run_at', nextRunAt));
+    },
+    
+    claimDueDigests(nextDigestAt) {
+      return inTurn(() => claimDue(db, 'accounts', 'digest_enabled = 1 AND digest_next_at IS NOT NULL',
+        'digest_next_at', nextDigestAt));
+    },
+    
+    ...storage,
+    
+    // Subscribers hear about the event once it's stored
+    async createEvent(accountId, type, data) {
+      const event = await storage.createEvent(accountId, type, data);
+      for (const onEvent of subscribers) onEvent(event);
+      return event;
+    }
+  };
+}
+
+function claimDue(db, table, where, column, next) {
+  return db.transaction(() => {
+    const rows = db.prepare(
+      `SELECT * FROM ${table} WHERE (${column} IS NULL OR ${column} <= ${NOW}) AND ${where}
+       ORDER BY ${column} NULLS FIRST`
+    ).all().map(row => decode(table, row));
+    const now = new Date();
+    const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE id = ?`);
+    for (const row of rows) update.run(encodeValue('timestamp', next(row, now)), row.id);
+    return rows;
+  })();
+}
+
+function encodeValue(type, value) {
+  if (value === null || value === undefined) return null;
+  if (type === 'json' || type === 'array') return JSON.stringify(value);
+  if (type === 'boolean') return value ? 1 : 0;
+  if (type === 'timestamp') return new Date(value).toISOString();
+  return value;
+}
+
+function decodeValue(type, value) {
+  if (value === null) return null;
+  if (type === 'json' || type === 'array') return JSON.parse(value);
+  if (type === 'boolean') return value === 1;
+  if (type === 'timestamp') return new Date(value);
+  return value;
+}
+
+function encode(table, row) {
+  const values = {};
+  for (const [column, value] of Object.entries(row)) {
+    values[column] = encodeValue(COLUMN_TYPES[table][column], value);
+  }
+  return values;
+}
+
+function decode(table, row) {
+  if (!row) return null;
+  for (const column of Object.keys(row)) {
+    row[column] = decodeValue(COLUMN_TYPES[table][column], row[column]);
+  }
+  return row;
+}
+
+// websearch_to_tsquery's syntax in FTS5: every word or "phrase" must match, OR between
+// two of them lets either match, and a leading - excludes. Returns the expression tweets
+// must match and the one they must not, null when there is nothing to it.
+export function searchExpressions(q) {
+  const groups = [];
+  const excluded = [];
+  let or = false;
+  
+  for (const token of q.match(/-?"[^"]*"?|\S+/g) || []) {
+    if (/^or$/i.test(token)) {
+      or = groups.length > 0;
+      continue;
+    }
+    const negated = token.length > 1 && token.startsWith('-');
+    const text = (negated ? token.slice(1) : token).replace(/"/g, '');
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+    
+    const phrase = `"${text}"`;
+    if (negated) excluded.push(phrase);
+    else if (or) groups[groups.length - 1].push(phrase);
+    else groups.push([phrase]);
+    or = false;
+  }
+  
+  return {
+    match: groups.length > 0 ? groups.map(g => (g.length > 1 ? `(${g.join(' OR ')})` : g[0])).join(' AND ') : null,
+    exclude: excluded.length > 0 ? excluded.join(' OR ') : null
+  };
+}
+
+function queries(db) {
+  const all = (table, sql, ...params) => db.prepare(sql).all(...params).map(row => decode(table, row));
+  const get = (table, sql, ...params) => decode(table, db.prepare(sql).get(...params));
+  
+  function insert(table, row, conflict = '') {
+    const values = encode(table, row);
+    const columns = Object.keys(values);
+    const sql = columns.length
+      ? `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) ${conflict} RETURNING *`
+      : `INSERT INTO ${table} DEFAULT VALUES RETURNING *`;
+    return get(table, sql, ...Object.values(values));
+  }
+  
+  // where holds the columns that pick the row, usually account_id and id. Tables with an
+  // updated_at get it bumped. Returns the updated row, or null if none matched.
+  function update(table, where, updates) {
+    const touch = COLUMN_TYPES[table].updated_at ? { updated_at: new Date() } : {};
+    const values = encode(table, { ...updates, ...touch });
+    const conditions = Object.keys(where).map(c => `${c} = ?`).join(' AND ');
+    if (Object.keys(values).length === 0) return selectOne(table, where);
+    
+    return get(table,
+      `UPDATE ${table} SET ${Object.keys(values).map(c => `${c} = ?`).join(', ')} WHERE ${conditions} RETURNING *`,
+      ...Object.values(values), ...Object.values(where));
+  }
+  
+  function selectOne(table, where) {
+    const conditions = Object.keys(where).map(c => `${c} = ?`).join(' AND ');
+    return get(table, `SELECT * FROM ${table} WHERE ${conditions}`, ...Object.values(where));
+  }
+  
+  function listForAccount(table, accountId, order = 'id') {
+    return all(table, `SELECT * FROM ${table} WHERE account_id = ? ORDER BY ${order}`, accountId);
+  }
+  
+  function remove(table, where) {
+    const conditions = Object.keys(where).map(c => `${c} = ?`).join(' AND ');
+    return db.prepare(`DELETE FROM ${table} WHERE ${conditions}`).run(...Object.values(where)).changes > 0;
+  }
+  
+  return {
+    // Admin users and sessions
+    async countAdminUsers() {
+      return db.prepare('SELECT COUNT(*) AS count FROM admin_users').get().count;
+    },
+    
+    async createAdminUser(username, passwordHash) {
+      insert('admin_users', { username, password_hash: passwordHash }, 'ON CONFLICT DO NOTHING');
+    },
+    
+    async getAdminUser(username) {
+      return selectOne('admin_users', { username });
+    },
+    
+    async createSession(tokenHash, userId, expiresAt) {
+      db.prepare(`DELETE FROM sessions WHERE expires_at < ${NOW}`).run();
+      insert('sessions', { token_hash: tokenHash, user_id: userId, expires_at: expiresAt });
+    },
+    
+    async getSessionUser(tokenHash) {
+      return db.prepare(
+        `SELECT u.id, u.username, s.token_hash FROM sessions s
+         JOIN admin_users u ON u.id = s.user_id
+         WHERE s.token_hash = ? AND s.expires_at > ${NOW}`
+      ).get(tokenHash) || null;
+    },
+    
+    async deleteSession(tokenHash) {
+      remove('sessions', { token_hash: tokenHash });
+    },
+    
+    // Accounts
+    async listAccounts() {
+      return all('accounts', 'SELECT * FROM accounts ORDER BY id');
+    },
+    
+    async getAccount(accountId) {
+      return selectOne('accounts', { id: accountId });
+    },
+    
+    async createAccount(account) {
+      return insert('accounts', account);
+    },
+    
+    async updateAccount(accountId, updates) {
+      update('accounts', { id: accountId }, updates);
+    },
+    
+    async deleteAccount(accountId) {
+      return remove('accounts', { id: accountId });
+    },
+    
+    // next_run_at becomes `at`, unless the run is due earlier already. MIN() would pick a
+    // NULL next_run_at, LEAST() in Postgres skips it.
+    async advanceRun(accountId, sourceId, at) {
+      db.prepare(
+        `UPDATE ${sourceId ? 'sources' : 'accounts'} SET next_run_at = MIN(COALESCE(next_run_at, @at), @at) WHERE id = @id`
+      ).run({ at: encodeValue('timestamp', at), id: sourceId ?? accountId });
+    },
+    
+    // Filter rules, sinks, sources and templates
+    async listRules(accountId) {
+      return listForAccount('filter_rules', accountId, 'position, id');
+    },
+    
+    async createRule(accountId, rule) {
+      return insert('filter_rules', { account_id: accountId, ...rule });
+    },
+    
+    async updateRule(accountId, ruleId, updates) {
+      return update('filter_rules', { account_id: accountId, id: ruleId }, updates);
+    },
+    
+    async deleteRule(accountId, ruleId) {
+      return remove('filter_rules', { account_id: accountId, id: ruleId });
+    },
+    
+    async listSinks(accountId) {
+      return listForAccount('sinks', accountId);
+    },
+    
+    async getSink(accountId, sinkId) {
+      return selectOne('sinks', { account_id: accountId, id: sinkId });
+    },
+    
+    async createSink(accountId, sink) {
+      return insert('sinks', { account_id: accountId, ...sink });
+    },
+    
+    async updateSink(accountId, sinkId, updates) {
+      return update('sinks', { account_id: accountId, id: sinkId }, updates);
+    },
+    
+    async deleteSink(accountId, sinkId) {
+      return remove('sinks', { account_id: accountId, id: sinkId });
+    },
+    
+    async listSources(accountId) {
+      return listForAccount('sources', accountId);
+    },
+    
+    async getSource(accountId, sourceId) {
+      return selectOne('sources', { account_id: accountId, id: sourceId });
+    },
+    
+    async createSource(accountId, source) {
+      return insert('sources', { account_id: accountId, ...source });
+    },
+    
+    async updateSource(accountId, sourceId, updates) {
+      return update('sources', { account_id: accountId, id: sourceId }, updates);
+    },
+    
+    async deleteSource(accountId, sourceId) {
+      return remove('sources', { account_id: accountId, id: sourceId });
+    },
+    
+    async listTemplates(accountId) {
+      return listForAccount('message_templates', accountId);
+    },
+    
+    async getTemplate(accountId, templateId) {
+      return selectOne('message_templates', { account_id: accountId, id: templateId });
+    },
+    
+    async createTemplate(accountId, template) {
+      return insert('message_templates', { account_id: accountId, ...template });
+    },
+    
+    async updateTemplate(accountId, templateId, updates) {
+      return update('message_templates', { account_id: accountId, id: templateId }, updates);
+    },
+    
+    async deleteTemplate(accountId, templateId) {
+      return remove('message_templates', { account_id: accountId, id: templateId });
+    },
+    
+    // Config revisions
+    async createRevision(revision) {
+      return insert('config_revisions', revision);
+    },
+    
+    async listRevisions(accountId, limit) {
+      return all('config_revisions', 'SELECT * FROM config_revisions WHERE account_id = ? ORDER BY id DESC LIMIT ?',
+        accountId, limit);
+    },
+    
+    async getRevision(accountId, revisionId) {
+      return selectOne('config_revisions', { account_id: accountId, id: revisionId });
+    },
+    
+    // X rate limits
+    async saveRateLimit(accountId, endpoint, { limit, remaining, resetAt }) {
+      db.prepare(
+        `INSERT INTO rate_limits (account_id, endpoint, request_limit, remaining, reset_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (account_id, endpoint) DO UPDATE SET request_limit = excluded.request_limit,
+           remaining = excluded.remaining, reset_at = excluded.reset_at, updated_at = ${NOW}`
+      ).run(accountId, endpoint, limit, remaining, encodeValue('timestamp', resetAt));
+    },
+    
+    async rateLimitedUntil(accountId, endpoints) {
+      const row = db.prepare(
+        `SELECT MAX(reset_at) AS reset_at FROM rate_limits
+         WHERE account_id = @accountId AND (@endpoints IS NULL OR endpoint IN (SELECT value FROM json_each(@endpoints)))
+           AND remaining <= 0 AND reset_at > ${NOW}`
+      ).get({ accountId, endpoints: endpoints ? JSON.stringify(endpoints) : null });
+      return decodeValue('timestamp', row.reset_at);
+    },
+    
+    async listRateLimits(accountId) {
+      return all('rate_limits',
+        `SELECT endpoint, request_limit AS "limit",
+           CASE WHEN reset_at > ${NOW} THEN remaining ELSE COALESCE(request_limit, remaining) END AS remaining,
+           reset_at, updated_at
+         FROM rate_limits WHERE account_id = ? ORDER BY endpoint`,
+        accountId);
+    },
+    
+    async listAllRateLimits() {
+      return db.prepare(
+        `SELECT a.name AS account, r.endpoint,
+           CASE WHEN r.reset_at > ${NOW} THEN r.remaining ELSE COALESCE(r.request_limit, r.remaining) END AS remaining
+         FROM rate_limits r JOIN accounts a ON a.id = r.account_id`
+      ).all();
+    },
+    
+    // OAuth attempts, dropped once older than ttlMinutes
+    async createOAuthState(pending, ttlMinutes) {
+      db.prepare(`DELETE FROM oauth_states WHERE created_at < ${NOW_PLUS}`).run(`${-ttlMinutes} minutes`);
+      insert('oauth_states', pending);
+    },
+    
+    async takeOAuthState(state, ttlMinutes) {
+      return get('oauth_states', `DELETE FROM oauth_states WHERE state = ? AND created_at > ${NOW_PLUS} RETURNING *`,
+        state, `${-ttlMinutes} minutes`);
+    },
+    
+    // Seen tweets
+    async seenTweetIds(accountId, sourceId, tweetIds) {
+      return db.prepare(
+        `SELECT tweet_id FROM seen_tweets WHERE account_id = ? AND source_id = ?
+           AND tweet_id IN (SELECT value FROM json_each(?))`
+      ).all(accountId, sourceId ?? HOME_SOURCE_ID, JSON.stringify(tweetIds)).map(r => r.tweet_id);
+    },
+    
+    async markSeen(accountId, sourceId, tweetIds) {
+      db.prepare(
+        'INSERT OR IGNORE INTO seen_tweets (account_id, source_id, tweet_id) SELECT ?, ?, value FROM json_each(?)'
+      ).run(accountId, sourceId ?? HOME_SOURCE_ID, JSON.stringify(tweetIds));
+    },
+    
+    async countSeen(accountId) {
+      return db.prepare('SELECT COUNT(*) AS count FROM seen_tweets WHERE account_id = ?').get(accountId).count;
+    },
+    
+    async forgetSource(accountId, sourceId) {
+      db.prepare('DELETE FROM seen_tweets WHERE account_id = ? AND source_id = ?').run(accountId, sourceId);
+    },
+    
+    async pruneSeen(accountId, days) {
+      db.prepare(`DELETE FROM seen_tweets WHERE account_id = ? AND created_at < ${NOW_PLUS}`)
+        .run(accountId, `${-days} days`);
+    },
+    
+    // Poll log
+    async logPoll(poll) {
+      return insert('poll_log', poll).id;
+    },
+    
+    async updatePoll(pollId, updates) {
+      update('poll_log', { id: pollId }, updates);
+    },
+    
+    async listPolls(accountId, limit) {
+      return all('poll_log',
+        `SELECT ${POLL_SUMMARY_COLUMNS.join(', ')} FROM poll_log WHERE account_id = ?
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        accountId, limit);
+    },
+    
+    async getPoll(accountId, pollId) {
+      return selectOne('poll_log', { account_id: accountId, id: pollId });
+    },
+    
+    async recountDelivered(pollId) {
+      db.prepare(
+        `UPDATE poll_log SET tweets_delivered = (
+           SELECT COUNT(DISTINCT ids.value) FROM deliveries, json_each(deliveries.tweet_ids) AS ids
+           WHERE poll_id = @pollId AND status = 'delivered'
+         ) WHERE id = @pollId`
+      ).run({ pollId });
+    },
+    
+    // Poll jobs
+    async createJob(job) {
+      const created = insert('poll_jobs', job, 'ON CONFLICT DO NOTHING');
+      if (created) return { job: created, created: true };
+      
+      const active = get('poll_jobs',
+        `SELECT * FROM poll_jobs WHERE account_id = ? AND COALESCE(source_id, 0) = ?
+           AND status IN ('queued', 'running')`,
+        job.account_id, job.source_id ?? 0);
+      return { job: active, created: false };
+    },
+    
+    async listJobs(accountId, limit) {
+      return all('poll_jobs', 'SELECT * FROM poll_jobs WHERE account_id = ? ORDER BY id DESC LIMIT ?', accountId, limit);
+    },
+    
+    async getJob(accountId, jobId) {
+      return selectOne('poll_jobs', { account_id: accountId, id: jobId });
+    },
+    
+    async cancelJob(jobId) {
+      return get('poll_jobs',
+        `UPDATE poll_jobs SET
+           status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+           finished_at = CASE WHEN status = 'queued' THEN ${NOW} ELSE finished_at END,
+           cancel_requested = 1, updated_at = ${NOW}
+         WHERE id = ? AND status IN ('queued', 'running') RETURNING *`,
+        jobId);
+    },
+    
+    async claimJob() {
+      return get('poll_jobs',
+        `UPDATE poll_jobs SET status = 'running', started_at = ${NOW}, updated_at = ${NOW}
+         WHERE id = (
+           SELECT id FROM poll_jobs j WHERE status = 'queued'
+             AND NOT EXISTS (SELECT 1 FROM poll_jobs r WHERE r.account_id = j.account_id AND r.status = 'running')
+           ORDER BY id LIMIT 1
+         )
+         RETURNING *`);
+    },
+    
+    async setJobStage(jobId, stage, progress) {
+      const row = db.prepare(
+        `UPDATE poll_jobs SET stage = ?, progress = json_patch(progress, ?), updated_at = ${NOW}
+         WHERE id = ? RETURNING cancel_requested`
+      ).get(stage, JSON.stringify(progress), jobId);
+      return row?.cancel_requested === 1;
+    },
+    
+    async requeueJob(jobId) {
+      db.prepare("UPDATE poll_jobs SET status = 'queued', started_at = NULL WHERE id = ?").run(jobId);
+    },
+    
+    async finishJob(jobId, status, result, error) {
+      db.prepare(
+        `UPDATE poll_jobs SET status = ?, result = ?, error = ?, finished_at = ${NOW}, updated_at = ${NOW}
+         WHERE id = ?`
+      ).run(status, JSON.stringify(result), error, jobId);
+    },
+    
+    async expireJobs(staleMinutes, retentionDays) {
+      db.prepare(
+        `UPDATE poll_jobs SET status = 'failed', error = 'Interrupted, the instance running it stopped',
+           finished_at = ${NOW}, updated_at = ${NOW}
+         WHERE status = 'running' AND updated_at < ${NOW_PLUS}`
+      ).run(`${-staleMinutes} minutes`);
+      db.prepare(`DELETE FROM poll_jobs WHERE finished_at < ${NOW_PLUS}`).run(`${-retentionDays} days`);
+    },
+    
+    // Tweet archive
+    async archiveTweets(accountId, pollId, tweets) {
+      for (const tweet of tweets) {
+        insert('tweets', { account_id: accountId, poll_id: pollId, ...tweet }, 'ON CONFLICT DO NOTHING');
+      }
+    },
+    
+    async pruneTweets(accountId, days) {
+      db.prepare(`DELETE FROM tweets WHERE account_id = ? AND archived_at < ${NOW_PLUS}`).run(accountId, `${-days} days`);
+    },
+    
+    async countTweets(accountId) {
+      return db.prepare('SELECT COUNT(*) AS count FROM tweets WHERE account_id = ?').get(accountId).count;
+    },
+    
+    async searchTweets(accountId, { q, author, from, to, limit, offset }) {
+      const where = ['account_id = ?'];
+      const params = [accountId];
+      const { match, exclude } = q ? searchExpressions(q) : {};
+      
+      if (match) {
+        where.push('id IN (SELECT rowid FROM tweets_search WHERE tweets_search MATCH ?)');
+        params.push(match);
+      }
+      if (exclude) {
+        where.push('id NOT IN (SELECT rowid FROM tweets_search WHERE tweets_search MATCH ?)');
+        params.push(exclude);
+      }
+      if (author) {
+        where.push('LOWER(author_username) = LOWER(?)');
+        params.push(author);
+      }
+      if (from) {
+        where.push('COALESCE(tweeted_at, archived_at) >= ?');
+        params.push(encodeValue('timestamp', from));
+      }
+      if (to) {
+        where.push('COALESCE(tweeted_at, archived_at) < ?');
+        params.push(encodeValue('timestamp', to));
+      }
+      
+      const rows = all('tweets',
+        `SELECT *, COUNT(*) OVER () AS total FROM tweets WHERE ${where.join(' AND ')}
+         ORDER BY COALESCE(tweeted_at, archived_at) DESC, tweet_id DESC LIMIT ? OFFSET ?`,
+        ...params, limit, offset);
+      const total = rows.length > 0 ? rows[0].total : 0;
+      return { rows: rows.map(({ total, id, ...row }) => row), total };
+    },
+    
+    async lastBatchPollId(accountId) {
+      return db.prepare('SELECT MAX(poll_id) AS poll_id FROM tweets WHERE account_id = ? AND NOT filtered')
+        .get(accountId).poll_id;
+    },
+    
+    async listPollTweets(accountId, pollId) {
+      return all('tweets',
+        'SELECT * FROM tweets WHERE account_id = ? AND poll_id = ? ORDER BY tweeted_at DESC, tweet_id DESC',
+        accountId, pollId).map(({ id, ...row }) => row);
+    },
+    
+    async listKeptTweets(accountId, pollId) {
+      return all('tweets',
+        `SELECT * FROM tweets WHERE account_id = ? AND poll_id = ? AND NOT filtered
+         ORDER BY score DESC NULLS LAST, tweeted_at DESC, tweet_id DESC`,
+        accountId, pollId).map(({ id, ...row }) => row);
+    },
+    
+    async authorAffinity(accountId, days) {
+      const rows = db.prepare(
+        `SELECT t.author_id, COUNT(DISTINCT t.tweet_id) AS delivered
+         FROM deliveries d, json_each(d.tweet_ids) AS ids
+         JOIN tweets t ON t.account_id = d.account_id AND t.tweet_id = ids.value
+         WHERE d.account_id = ? AND d.status = 'delivered' AND d.delivered_at > ${NOW_PLUS}
+         GROUP BY t.author_id`
+      ).all(accountId, `${-days} days`);
+      return Object.fromEntries(rows.map(r => [r.author_id, r.delivered]));
+    },
+    
+    // Deliveries
+    async createDelivery(delivery) {
+      return insert('deliveries', delivery).id;
+    },
+    
+    async claimDeliveries(deliveryId = null) {
+      return all('deliveries',
+        `UPDATE deliveries SET next_attempt_at = ${NOW_PLUS}
+         WHERE id IN (
+           SELECT id FROM deliveries WHERE status = 'pending'
+             AND ${deliveryId === null ? `next_attempt_at <= ${NOW}` : 'id = ?'}
+           ORDER BY next_attempt_at LIMIT 20
+         )
+         RETURNING *`,
+        '+5 minutes', ...(deliveryId === null ? [] : [deliveryId]));
+    },
+    
+    async markDelivered(deliveryId, attempts, status) {
+      db.prepare(
+        `UPDATE deliveries SET status = 'delivered', attempts = ?, last_status = ?, last_error = NULL,
+           delivered_at = ${NOW}, updated_at = ${NOW}
+         WHERE id = ?`
+      ).run(attempts, status, deliveryId);
+    },
+    
+    async markFailed(deliveryId, { status, attempts, lastStatus, error, retryInSeconds }) {
+      db.prepare(
+        `UPDATE deliveries SET status = ?, attempts = ?, last_status = ?, last_error = ?,
+           next_attempt_at = ${NOW_PLUS}, updated_at = ${NOW}
+         WHERE id = ?`
+      ).run(status, attempts, lastStatus, error, `+${retryInSeconds} seconds`, deliveryId);
+    },
+    
+    async listDeliveries(accountId, status, limit) {
+      return all('deliveries',
+        `SELECT d.id, d.poll_id, d.sink_id, s.name AS sink_name, s.type AS sink_type, d.status, d.attempts,
+           d.next_attempt_at, d.last_status, d.last_error, d.delivered_at, d.created_at,
+           json_array_length(d.tweet_ids) AS tweet_count
+         FROM deliveries d LEFT JOIN sinks s ON s.id = d.sink_id
+         WHERE d.account_id = @accountId AND (@status IS NULL OR d.status = @status)
+         ORDER BY d.created_at DESC, d.id DESC LIMIT @limit`,
+        { accountId, status: status || null, limit });
+    },
+    
+    async getDelivery(accountId, deliveryId) {
+      return selectOne('deliveries', { account_id: accountId, id: deliveryId });
+    },
+    
+    async resetDelivery(accountId, deliveryId) {
+      return db.prepare(
+        `UPDATE deliveries SET status = 'pending', attempts = 0, next_attempt_at = ${NOW}, updated_at = ${NOW}
+         WHERE account_id = ? AND id = ?`
+      ).run(accountId, deliveryId).changes > 0;
+    },
+    
+    async listPollDeliveries(pollId) {
+      return all('deliveries',
+        `SELECT d.id, d.sink_id, s.name AS sink_name, s.type AS sink_type, d.status, d.attempts,
+           d.last_status, d.last_error, d.delivered_at, d.tweet_ids
+         FROM deliveries d LEFT JOIN sinks s ON s.id = d.sink_id
+         WHERE d.poll_id = ? ORDER BY d.id`,
+        pollId);
+    },
+    
+    async countDeliveries(accountId) {
+      return db.prepare(
+        `SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+           COUNT(*) FILTER (WHERE status = 'dead') AS dead
+         FROM deliveries WHERE account_id = ?`
+      ).get(accountId);
+    },
+    
+    // Digest queue
+    async queueForDigest(accountId, pollId, source, tweets) {
+      for (const tweet of tweets) {
+        insert('digest_queue', { account_id: accountId, poll_id: pollId, source, ...tweet }, 'ON CONFLICT DO NOTHING');
+      }
+    },
+    
+    async listDigestQueue(accountId) {
+      return all('digest_queue', 'SELECT * FROM digest_queue WHERE account_id = ? ORDER BY queued_at, tweet_id', accountId);
+    },
+    
+    async takeDigestQueue(accountId) {
+      return all('digest_queue', 'DELETE FROM digest_queue WHERE account_id = ? RETURNING *', accountId);
+    },
+    
+    // Events
+    async createEvent(accountId, type, data) {
+      return insert('events', { account_id: accountId, type, data });
+    },
+    
+    async listEvents(accountId, { after, limit }) {
+      return all('events',
+        `SELECT * FROM (
+           SELECT * FROM events WHERE (account_id = @accountId OR account_id IS NULL) AND (@after IS NULL OR id > @after)
+           ORDER BY id ${after === null ? 'DESC' : 'ASC'} LIMIT @limit
+         ) ORDER BY id`,
+        { accountId, after, limit });
+    },
+    
+    async pruneEvents(days) {
+      db.prepare(`DELETE FROM events WHERE created_at < ${NOW_PLUS}`).run(`${-days} days`);
+    }
+  };
+}
@@ -0,0 +1,115 @@
+// ============================================
+// Stored columns
+// ============================================
+// Columns whose values aren't plain text or numbers, by table. Postgres has a type for each
+// (JSONB, TEXT[], BOOLEAN, TIMESTAMPTZ); SQLite doesn't, so its backend encodes them, and
+// both hand the same JavaScript values back: objects, arrays, booleans and Dates.
+export const COLUMN_TYPES = {
+  accounts: {
+    token_expires_at: 'timestamp',
+    webhook_secret_previous_expires_at: 'timestamp',
+    webhook_include_message: 'boolean',
+    next_run_at: 'timestamp',
+    scoring: 'json',
+    grouping: 'json',
+    digest_enabled: 'boolean',
+    digest_times: 'array',
+    digest_next_at: 'timestamp',
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  seen_tweets: {
+    created_at: 'timestamp'
+  },
+  poll_log: {
+    filter_stats: 'json',
+    pages_truncated: 'boolean',
+    fetched_tweet_ids: 'array',
+    new_tweet_ids: 'array',
+    filtered_tweet_ids: 'array',
+    timings: 'json',
+    created_at: 'timestamp'
+  },
+  tweets: {
+    public_metrics: 'json',
+    filtered: 'boolean',
+    tweeted_at: 'timestamp',
+    archived_at: 'timestamp'
+  },
+  message_templates: {
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  digest_queue: {
+    source: 'json',
+    tweet: 'json',
+    author: 'json',
+    queued_at: 'timestamp'
+  },
+  deliveries: {
+    payload: 'json',
+    tweet_ids: 'array',
+    next_attempt_at: 'timestamp',
+    delivered_at: 'timestamp',
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  sinks: {
+    enabled: 'boolean',
+    config: 'json',
+    filter: 'json',
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  sources: {
+    enabled: 'boolean',
+    next_run_at: 'timestamp',
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  filter_rules: {
+    enabled: 'boolean',
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  config_revisions: {
+    changes: 'json',
+    snapshot: 'json',
+    created_at: 'timestamp'
+  },
+  poll_jobs: {
+    progress: 'json',
+    result: 'json',
+    cancel_requested: 'boolean',
+    started_at: 'timestamp',
+    finished_at: 'timestamp',
+    created_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  events: {
+    data: 'json',
+    created_at: 'timestamp'
+  },
+  rate_limits: {
+    reset_at: 'timestamp',
+    updated_at: 'timestamp'
+  },
+  oauth_states: {
+    created_at: 'timestamp'
+  },
+  admin_users: {
+    created_at: 'timestamp'
+  },
+  sessions: {
+    expires_at: 'timestamp',
+    created_at: 'timestamp'
+  }
+};
+
+// Poll lists leave out the tweet IDs, those are only in the drill-down
+export const POLL_SUMMARY_COLUMNS = ['id', 'account_id', 'source_id', 'tweets_found', 'tweets_new', 'tweets_filtered',
+  'tweets_delivered', 'filter_stats', 'pages_fetched', 'pages_truncated', 'status', 'error', 'duration_ms',
+  'created_at'];
+
+// The home timeline has no source row, its seen tweets are kept under source 0
+export const HOME_SOURCE_ID = 0;
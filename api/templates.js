@@ -0,0 +1,198 @@
+// ============================================
+// Message templates
+// ============================================
+// A small logic-less syntax for the batch message, so templates can be edited from the
+// dashboard without running any code:
+//   {{path.to.field}}                          insert a value (lists are joined with ", ")
+//   {{#each list}} ... {{/each}}               repeat for every item, fields resolve on the
+//                                              item first, then outwards; @index, @number,
+//                                              @first and @last describe the iteration
+//   {{#if field}} ... {{else}} ... {{/if}}     empty lists, "", 0, null and false are false
+//   {{#unless field}} ... {{/unless}}
+//   {{! comment }}
+export const MAX_TEMPLATE_LENGTH = 10000;
+
+// Every level of {{#each}} multiplies the output, so templates may only nest them this
+// deep, and rendering stops at MAX_MESSAGE_LENGTH characters whatever the data
+export const MAX_EACH_DEPTH = 3;
+export const MAX_MESSAGE_LENGTH = 50000;
+
+const BLOCKS = ['each', 'if', 'unless'];
+const PATH_PATTERN = /^(\.|@(index|number|first|last)|[A-Za-z_]\w*(\.[A-Za-z_]\w*)*)$/;
+const FORBIDDEN = ['__proto__', 'prototype', 'constructor'];
+
+class TemplateError extends Error {}
+
+function lineAt(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+function checkPath(path, line) {
+  if (!PATH_PATTERN.test(path) || path.split('.').some(p => FORBIDDEN.includes(p))) {
+    throw new TemplateError(`Line ${line}: invalid field "${path}"`);
+  }
+  return path;
+}
+
+export function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+  let last = 0;
+  let match;
+  
+  while ((match = tagPattern.exec(source))) {
+    const node = stack[stack.length - 1];
+    const target = node.inElse ? node.else : node.body;
+    const tag = match[1];
+    const line = lineAt(source, match.index);
+    
+    if (match.index > last) target.push({ type: 'text', value: source.slice(last, match.index) });
+    last = tagPattern.lastIndex;
+    
+    if (tag.startsWith('!')) continue;
+    
+    if (tag.startsWith('#')) {
+      const [name, path, ...rest] = tag.slice(1).split(/\s+/);
+      if (!BLOCKS.includes(name)) throw new TemplateError(`Line ${line}: unknown block {{#${name}}}`);
+      if (!path || rest.length > 0) throw new TemplateError(`Line ${line}: {{#${name}}} takes one field`);
+      if (name === 'each' && stack.filter(b => b.type === 'each').length >= MAX_EACH_DEPTH) {
+        throw new TemplateError(`Line ${line}: {{#each}} can be nested at most ${MAX_EACH_DEPTH} deep`);
+      }
+      const block = { type: name, path: checkPath(path, line), body: [], else: [], line };
+      target.push(block);
+      stack.push(block);
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      if (stack.length === 1) throw new TemplateError(`Line ${line}: {{/${name}}} without an opening block`);
+      if (node.type !== name) {
+        throw new TemplateError(`Line ${line}: {{/${name}}} closes {{#${node.type}}} from line ${node.line}`);
+      }
+      stack.pop();
+    } else if (tag === 'else') {
+      if (node.type !== 'if' && node.type !== 'unless') {
+        throw new TemplateError(`Line ${line}: {{else}} outside of {{#if}} or {{#unless}}`);
+      }
+      if (node.inElse) throw new TemplateError(`Line ${line}: second {{else}} in the same block`);
+      node.inElse = true;
+    } else {
+      target.push({ type: 'var', path: checkPath(tag, line), line });
+    }
+  }
+  
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Line ${open.line}: {{#${open.type} ${open.path}}} is never closed`);
+  }
+  const tail = source.slice(last);
+  if (/\{\{|\}\}/.test(tail)) throw new TemplateError(`Line ${lineAt(source, last)}: unmatched braces`);
+  if (tail) root.body.push({ type: 'text', value: tail });
+  return root.body;
+}
+
+// scopes go from the innermost { data, meta } outwards. In strict mode a field that
+// doesn't exist anywhere is an error, a field that exists but is null is not.
+function lookup(path, scopes, strict, line) {
+  if (path === '.') return scopes[0].data;
+  if (path.startsWith('@')) {
+    const scope = scopes.find(s => s.meta);
+    if (!scope && strict) throw new TemplateError(`Line ${line}: {{${path}}} outside of {{#each}}`);
+    return scope?.meta[path.slice(1)];
+  }
+  
+  const [first, ...rest] = path.split('.');
+  const scope = scopes.find(s => s.data !== null && typeof s.data === 'object' && Object.hasOwn(s.data, first));
+  if (!scope) {
+    if (strict) throw new TemplateError(`Line ${line}: unknown field "${path}"`);
+    return undefined;
+  }
+  
+  let value = scope.data[first];
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      if (strict) throw new TemplateError(`Line ${line}: unknown field "${path}"`);
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+// budget.left counts down the characters still allowed; past it the output is cut and
+// budget.truncated set
+function renderNodes(nodes, scopes, strict, budget) {
+  let out = '';
+  const write = text => {
+    if (text.length > budget.left) budget.truncated = true;
+    out += text.slice(0, budget.left);
+    budget.left = Math.max(budget.left - text.length, 0);
+  };
+  
+  for (const node of nodes) {
+    if (budget.truncated) break;
+    if (node.type === 'text') {
+      write(node.value);
+      continue;
+    }
+    
+    const value = lookup(node.path, scopes, strict, node.line);
+    switch (node.type) {
+      case 'var':
+        if (value === null || value === undefined) break;
+        if (Array.isArray(value)) {
+          write(value.filter(v => typeof v !== 'object' || v === null).join(', '));
+        } else if (typeof value === 'object') {
+          if (strict) throw new TemplateError(`Line ${node.line}: "${node.path}" has fields, pick one of them`);
+        } else {
+          write(String(value));
+        }
+        break;
+      case 'each':
+        if (value !== null && value !== undefined && !Array.isArray(value)) {
+          if (strict) throw new TemplateError(`Line ${node.line}: {{#each ${node.path}}} needs a list`);
+          break;
+        }
+        for (const [i, item] of (value || []).entries()) {
+          if (budget.truncated) break;
+          const meta = { index: i, number: i + 1, first: i === 0, last: i === value.length - 1 };
+          out += renderNodes(node.body, [{ data: item, meta }, ...scopes], strict, budget);
+        }
+        break;
+      case 'if':
+      case 'unless':
+        // Validation goes through both branches, whatever the sample data says
+        if (strict) renderNodes(node.else, scopes, strict, budget);
+        out += renderNodes(truthy(value) === (node.type === 'if') || strict ? node.body : node.else, scopes, strict,
+          budget);
+        break;
+    }
+  }
+  return out;
+}
+
+// A message that runs past MAX_MESSAGE_LENGTH is cut there and ends in "…"
+export function renderTemplate(source, context) {
+  const budget = { left: MAX_MESSAGE_LENGTH, truncated: false };
+  const out = renderNodes(parseTemplate(source), [{ data: context }], false, budget);
+  return budget.truncated ? `${out}…` : out;
+}
+
+// Renders against a sample context in strict mode, so unknown fields are caught before
+// the template is used. Returns an error message or null.
+export function validateTemplate(source, sampleContext) {
+  if (typeof source !== 'string' || !source.trim()) return 'body is required';
+  if (source.length > MAX_TEMPLATE_LENGTH) return `body must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+  try {
+    const budget = { left: MAX_MESSAGE_LENGTH, truncated: false };
+    renderNodes(parseTemplate(source), [{ data: sampleContext }], true, budget);
+    return budget.truncated ? `renders to more than ${MAX_MESSAGE_LENGTH} characters with the sample batch` : null;
+  } catch (err) {
+    if (err instanceof TemplateError) return err.message;
+    throw err;
+  }
+}
@@ -0,0 +1,53 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi } from './server.js';
+
+describe('config revisions', () => {
+  let api;
+  
+  before(async () => {
+    api = await startApi();
+  });
+  
+  after(async () => {
+    await api.stop();
+  });
+  
+  test('records no change for a rollback that restores nothing', async () => {
+    const renamed = await api.request('PUT', '/api/config', { name: 'First' });
+    const rollback = await api.request('POST', `/api/config/history/${renamed.body.revision.id}/rollback`);
+    assert.equal(rollback.status, 200, JSON.stringify(rollback.body));
+    assert.equal(rollback.body.revision, null);
+    
+    const [latest] = (await api.request('GET', '/api/config/history?limit=1')).body;
+    assert.equal(latest.id, renamed.body.revision.id);
+    assert.deepEqual(Object.keys(latest.changes), ['name']);
+  });
+  
+  test('rolls back to settings without scoring or grouping', async () => {
+    const renamed = await api.request('PUT', '/api/config', { name: 'Renamed' });
+    assert.equal(renamed.status, 200);
+    
+    const changed = await api.request('PUT', '/api/config', {
+      scoring: { enabled: true },
+      grouping: { enabled: true, threads: false }
+    });
+    assert.equal(changed.status, 200);
+    
+    const rollback = await api.request('POST', `/api/config/history/${renamed.body.revision.id}/rollback`);
+    assert.equal(rollback.status, 200, JSON.stringify(rollback.body));
+    assert.equal(rollback.body.revision.rollbackOf, renamed.body.revision.id);
+    
+    const config = await api.request('GET', '/api/config');
+    assert.equal(config.body.name, 'Renamed');
+    assert.equal(config.body.scoring.enabled, false);
+    assert.equal(config.body.grouping.enabled, false);
+    assert.equal(config.body.grouping.threads, true);
+  });
+  
+  test('rejects a rollback to a revision of another account', async () => {
+    const other = await api.request('POST', '/api/accounts', { name: 'Other' });
+    const rollback = await api.request('POST', `/api/accounts/${other.body.id}/config/history/1/rollback`);
+    assert.equal(rollback.status, 404);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi, startStub, sendJson } from './server.js';
+
+// X's users/me: "bad" tokens are turned down, "limited" ones hit a spent rate limit
+function usersMe(req, body, res) {
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  const reset = String(Math.floor(Date.now() / 1000) + 900);
+  if (token === 'bad') return sendJson(res, { title: 'Unauthorized' }, 401);
+  if (token === 'limited') {
+    return sendJson(res, { title: 'Too Many Requests' }, 429, { 'x-rate-limit-remaining': '0', 'x-rate-limit-reset': reset });
+  }
+  sendJson(res, { data: { id: '42', username: 'me' } }, 200, { 'x-rate-limit-remaining': '70', 'x-rate-limit-reset': reset });
+}
+
+describe('readiness', () => {
+  let x;
+  let api;
+  const useToken = token => api.request('PUT', '/api/config', {
+    x_client_id: 'client',
+    x_client_secret: 'secret',
+    access_token: token,
+    refresh_token: 'refresh'
+  });
+  const checksOf = async () => (await api.request('GET', '/health/ready')).body.checks.tokens[0];
+  
+  before(async () => {
+    x = await startStub(usersMe);
+    api = await startApi({ X_API_URL: x.url });
+  });
+  
+  after(async () => {
+    await api.stop();
+    await x.close();
+  });
+  
+  test('only names failing checks without a session', async () => {
+    const res = await api.get('/health/ready');
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body).sort(), ['failing', 'status', 'timestamp']);
+    assert.deepEqual(res.body.failing, []);
+    assert.equal((await api.request('GET', '/health/ready')).body.checks.database.status, 'ok');
+  });
+  
+  test('checks a token against X once per interval', async () => {
+    await useToken('good');
+    assert.equal((await checksOf()).status, 'ok');
+    assert.equal((await checksOf()).status, 'ok');
+    assert.equal(x.requests.filter(r => r.url === '/2/users/me').length, 1);
+  });
+  
+  test('is not ready when X turns the token down', async () => {
+    await useToken('bad');
+    const token = await checksOf();
+    assert.equal(token.status, 'rejected');
+    assert.match(token.error, /401/);
+    
+    const res = await api.get('/health/ready');
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body.failing, ['tokens']);
+    assert.equal(res.body.checks, undefined);
+  });
+  
+  test('stays ready when the users/me budget is spent', async () => {
+    await useToken('limited');
+    assert.equal((await checksOf()).status, 'unverified');
+    
+    const calls = x.requests.length;
+    await useToken('good-again');
+    assert.equal((await checksOf()).status, 'unverified');
+    assert.equal(x.requests.length, calls, 'no call to X while the budget is spent');
+    assert.equal((await api.get('/health/ready')).status, 200);
+  });
+});
+
+describe('metrics', () => {
+  let api;
+  
+  before(async () => {
+    api = await startApi({ METRICS_TOKEN: 'scrape-token' });
+  });
+  
+  after(async () => {
+    await api.stop();
+  });
+  
+  test('are only served with METRICS_TOKEN or a session', async () => {
+    assert.equal((await api.get('/metrics')).status, 401);
+    assert.equal((await api.get('/metrics', { authorization: 'Bearer wrong-token' })).status, 401);
+    
+    const scrape = await api.get('/metrics', { authorization: 'Bearer scrape-token' });
+    assert.equal(scrape.status, 200);
+    assert.match(scrape.body, /# TYPE timeline_watcher_polls_total counter/);
+    assert.equal((await api.request('GET', '/metrics')).status, 200);
+  });
+  
+  test('need a session when METRICS_TOKEN is not set', async () => {
+    const open = await startApi();
+    try {
+      assert.equal((await open.get('/metrics')).status, 401);
+      assert.equal((await open.request('GET', '/metrics')).status, 200);
+    } finally {
+      await open.stop();
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi } from './server.js';
+
+const LIST_ROUTES = ['/api/events/recent', '/api/config/history', '/api/jobs', '/api/polls', '/api/deliveries'];
+
+describe('list limits', () => {
+  let api;
+  const list = async path => {
+    const res = await api.request('GET', path);
+    assert.equal(res.status, 200, `${path}: ${JSON.stringify(res.body)}`);
+    return res.body;
+  };
+  
+  before(async () => {
+    api = await startApi();
+    for (const name of ['One', 'Two', 'Three']) {
+      await api.request('PUT', '/api/config', { name });
+    }
+  });
+  
+  after(async () => {
+    await api.stop();
+  });
+  
+  test('keeps ?limit= at least 1', async () => {
+    assert.equal((await list('/api/events/recent?limit=-1')).length, 1);
+    assert.equal((await list('/api/events/recent?limit=0')).length, 1);
+    assert.equal((await list('/api/config/history?limit=-5')).length, 1);
+  });
+  
+  test('falls back to the default for a limit that is not a number', async () => {
+    const all = await list('/api/events/recent');
+    assert.ok(all.length >= 3);
+    assert.deepEqual(await list('/api/events/recent?limit=many'), all);
+  });
+  
+  test('answers any ?limit= on every list route', async () => {
+    for (const path of LIST_ROUTES) {
+      for (const limit of ['-1', '0', '1000000000', 'many']) {
+        assert.ok(Array.isArray(await list(`${path}?limit=${limit}`)), `${path}?limit=${limit}`);
+      }
+    }
+  });
+  
+  test('keeps the archive page within 1..200 and its offset at 0 or more', async () => {
+    assert.equal((await list('/api/tweets?limit=-1')).limit, 1);
+    assert.equal((await list('/api/tweets?limit=1000000')).limit, 200);
+    assert.equal((await list('/api/tweets?limit=many')).limit, 50);
+    assert.equal((await list('/api/tweets?offset=-5')).offset, 0);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi, startStub, sendJson } from './server.js';
+
+const REDIRECT_URI = 'https://api.example.com/api/oauth/callback';
+
+// X's token endpoint: hands out tokens for the code "good", fails with an HTML page for "down"
+function tokenEndpoint(req, body, res) {
+  const params = new URLSearchParams(body);
+  if (params.get('code') === 'down') {
+    res.writeHead(502, { 'Content-Type': 'text/html' });
+    return res.end('<html><body>Bad Gateway</body></html>');
+  }
+  if (params.get('code') !== 'good') return sendJson(res, { error: 'invalid_request', error_description: 'Bad code' }, 400);
+  sendJson(res, { access_token: 'access', refresh_token: 'refresh', expires_in: 7200 });
+}
+
+describe('OAuth', () => {
+  let x;
+  let api;
+  const start = async () => {
+    const res = await api.request('POST', '/api/oauth/start');
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return new URL(res.body.url);
+  };
+  
+  before(async () => {
+    x = await startStub(tokenEndpoint);
+    api = await startApi({ X_API_URL: x.url, OAUTH_REDIRECT_URI: REDIRECT_URI });
+    await api.request('PUT', '/api/config', { x_client_id: 'client', x_client_secret: 'secret' });
+  });
+  
+  after(async () => {
+    await api.stop();
+    await x.close();
+  });
+  
+  test('sends X to the configured redirect URI, whatever the request says', async () => {
+    const authorize = await start();
+    assert.equal(authorize.searchParams.get('redirect_uri'), REDIRECT_URI);
+    assert.equal(authorize.searchParams.get('client_id'), 'client');
+    assert.equal(authorize.searchParams.get('code_challenge_method'), 'S256');
+  });
+  
+  test('exchanges the code for tokens once', async () => {
+    const state = (await start()).searchParams.get('state');
+    const callback = await api.get(`/api/oauth/callback?state=${state}&code=good`);
+    assert.deepEqual(callback.body, { success: true });
+    
+    const [exchange] = x.requests.filter(r => r.url === '/2/oauth2/token').slice(-1);
+    const params = new URLSearchParams(exchange.body);
+    assert.equal(params.get('grant_type'), 'authorization_code');
+    assert.equal(params.get('redirect_uri'), REDIRECT_URI);
+    assert.ok(params.get('code_verifier'));
+    assert.equal(exchange.headers.authorization, `Basic ${Buffer.from('client:secret').toString('base64')}`);
+    assert.equal((await api.request('GET', '/api/config')).body.hasTokens, true);
+    
+    const replay = await api.get(`/api/oauth/callback?state=${state}&code=good`);
+    assert.equal(replay.status, 400);
+    assert.match(replay.body.error, /Invalid or expired OAuth state/);
+  });
+  
+  test('reports a code X turns down', async () => {
+    const state = (await start()).searchParams.get('state');
+    const callback = await api.get(`/api/oauth/callback?state=${state}&code=bad`);
+    assert.equal(callback.status, 400);
+    assert.equal(callback.body.error, 'Authorization failed: Bad code');
+  });
+  
+  test('reports a token endpoint that answers with an error page', async () => {
+    const state = (await start()).searchParams.get('state');
+    const callback = await api.get(`/api/oauth/callback?state=${state}&code=down`);
+    assert.equal(callback.status, 400);
+    assert.equal(callback.body.error, 'Authorization failed: Token endpoint responded with 502');
+  });
+  
+  test('refuses to start without OAUTH_REDIRECT_URI', async () => {
+    const bare = await startApi({ X_API_URL: x.url, OAUTH_REDIRECT_URI: '' });
+    try {
+      await bare.request('PUT', '/api/config', { x_client_id: 'client', x_client_secret: 'secret' });
+      const res = await bare.request('POST', '/api/oauth/start');
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /OAUTH_REDIRECT_URI/);
+    } finally {
+      await bare.stop();
+    }
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi } from './server.js';
+
+describe('filter rules', () => {
+  let api;
+  let rule;
+  
+  before(async () => {
+    api = await startApi();
+    rule = (await api.request('POST', '/api/rules', { action: 'exclude', type: 'keyword', value: 'spam' })).body;
+  });
+  
+  after(async () => {
+    await api.stop();
+  });
+  
+  test('switches a rule off and moves it', async () => {
+    const res = await api.request('PUT', `/api/rules/${rule.id}`, { enabled: false, position: 3 });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.enabled, false);
+    assert.equal(res.body.position, 3);
+  });
+  
+  test('rejects enabled that is not a boolean', async () => {
+    for (const enabled of ['nope', 'false', 1, null]) {
+      const res = await api.request('PUT', `/api/rules/${rule.id}`, { enabled });
+      assert.equal(res.status, 400, JSON.stringify(enabled));
+      assert.equal(res.body.error, 'enabled must be true or false');
+    }
+    const created = await api.request('POST', '/api/rules', { action: 'exclude', type: 'reply', enabled: 'yes' });
+    assert.equal(created.status, 400);
+  });
+  
+  test('rejects a position that is not a whole number, 0 or more', async () => {
+    for (const position of [-1, 1.5, '2', null]) {
+      const res = await api.request('PUT', `/api/rules/${rule.id}`, { position });
+      assert.equal(res.status, 400, JSON.stringify(position));
+      assert.equal(res.body.error, 'position must be a whole number, 0 or more');
+    }
+    assert.equal((await api.request('GET', '/api/rules')).body[0].enabled, false);
+  });
+});
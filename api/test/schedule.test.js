@@ -0,0 +1,35 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi } from './server.js';
+
+describe('schedule preview', () => {
+  let api;
+  const preview = count => api.request('POST', '/api/schedule/preview', { schedule_interval_minutes: 5, count });
+  
+  before(async () => {
+    api = await startApi();
+  });
+  
+  after(async () => {
+    await api.stop();
+  });
+  
+  test('lists 5 runs unless asked for more', async () => {
+    assert.equal((await preview()).body.runs.length, 5);
+    assert.equal((await preview('8')).body.runs.length, 8);
+  });
+  
+  test('keeps count between 1 and 20', async () => {
+    assert.equal((await preview(1000000)).body.runs.length, 20);
+    assert.equal((await preview(0)).body.runs.length, 1);
+    assert.equal((await preview(-3)).body.runs.length, 1);
+  });
+  
+  test('rejects a count that is not a number', async () => {
+    for (const count of ['many', '', null, {}]) {
+      const res = await preview(count);
+      assert.equal(res.status, 400, JSON.stringify(count));
+      assert.equal(res.body.error, 'count must be a number');
+    }
+  });
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApi } from './server.js';
+
+test('refuses to start without ENCRYPTION_KEY', async () => {
+  const api = await startApi({ ENCRYPTION_KEY: '' });
+  try {
+    const [code] = await api.exited;
+    assert.equal(code, 1);
+    assert.match(api.output(), /ENCRYPTION_KEY is not set/);
+  } finally {
+    await api.stop();
+  }
+});
+
+test('stores secrets in plaintext only when asked to', async () => {
+  const api = await startApi({ ENCRYPTION_KEY: '', ALLOW_PLAINTEXT_SECRETS: '1', LOG_LEVEL: 'warn' });
+  try {
+    assert.ok(api.request, api.output());
+    assert.match(api.output(), /ALLOW_PLAINTEXT_SECRETS=1, secrets are stored in plaintext/);
+    assert.equal((await api.request('PUT', '/api/config', { x_client_secret: 'secret' })).status, 200);
+  } finally {
+    await api.stop();
+  }
+});
@@ -0,0 +1,205 @@
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Helpers for the API tests, which run index.js as its own process on a fresh SQLite file
+const API_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const START_TIMEOUT_MS = 10000;
+
+export const ADMIN = { username: 'admin', password: 'test-password' };
+
+async function freePort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  return port;
+}
+
+// Starts the API with env on top of the test defaults. request(method, path, body) calls it
+// logged in as ADMIN; get(path) calls it without a session.
+export async function startApi(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-watcher-api-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: API_DIR,
+    env: {
+      ...process.env,
+      STORAGE_DRIVER: 'sqlite',
+      SQLITE_PATH: path.join(dir, 'api.db'),
+      FILE_SINK_DIR: dir,
+      PORT: String(port),
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      ENCRYPTION_KEY: 'test-encryption-key',
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => (output += chunk));
+  child.stderr.on('data', chunk => (output += chunk));
+  const exited = once(child, 'exit');
+  
+  const url = `http://127.0.0.1:${port}`;
+  const call = async (method, urlPath, body, headers = {}) => {
+    const res = await fetch(url + urlPath, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {}
+    return { status: res.status, headers: res.headers, body: parsed };
+  };
+  
+  const api = {
+    url,
+    dir,
+    output: () => output,
+    exited,
+    get: (urlPath, headers) => call('GET', urlPath, undefined, headers),
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await exited;
+      }
+    }
+  };
+  
+  const startedAt = Date.now();
+  for (;;) {
+    if (child.exitCode !== null) return api;
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {}
+    if (Date.now() - startedAt > START_TIMEOUT_MS) {
+      await api.stop();
+      throw new Error(`API did not start:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  
+  const login = await call('POST', '/api/auth/login', ADMIN);
+  const auth = { authorization: `Bearer ${login.body.token}` };
+  api.request = (method, urlPath, body) => call(method, urlPath, body, auth);
+  return api;
+}
+
+// A local HTTP server standing in for X and the sinks. handler(req, body, res) answers;
+// every request is kept in requests as { method, url, headers, body }.
+export async function startStub(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, body, res);
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+export function sendJson(res, data, status = 200, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// A local SMTP server standing in for the email sink's relay. It takes any login and keeps
+// every message in messages as { auth: [user, password], from, to, data }.
+export async function startSmtp() {
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    
+    const reply = line => socket.write(`${line}\r\n`);
+    const session = { auth: null, from: null, to: [] };
+    let data = null;
+    let buffer = '';
+    reply('220 localhost ESMTP');
+    
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        
+        if (data) {
+          if (line !== '.') {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+            continue;
+          }
+          messages.push({ ...session, data: data.join('\r\n') });
+          Object.assign(session, { from: null, to: [] });
+          data = null;
+          reply('250 Queued');
+          continue;
+        }
+        
+        const [verb, ...args] = line.split(' ');
+        const address = () => /<(.*)>/.exec(line)[1];
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-localhost');
+            reply('250 AUTH PLAIN');
+            break;
+          case 'AUTH':
+            session.auth = Buffer.from(args[1], 'base64').toString().split('\0').slice(1);
+            reply('235 Authenticated');
+            break;
+          case 'MAIL':
+            session.from = address();
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            session.to.push(address());
+            reply('250 OK');
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('250 OK');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,98 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendToSink, signWebhook } from '../sinks.js';
+import { startStub, startSmtp, sendJson } from './server.js';
+
+const SECRET = 'whsec_' + Buffer.from('sink-test-secret').toString('base64');
+const tweets = [
+  { id: '1', text: 'first tweet', url: 'https://x.com/alice/status/1', author: { username: 'alice' } },
+  { id: '2', text: 'second <tweet>', url: 'https://x.com/bob/status/2', author: { username: 'bob' } }
+];
+const batch = { version: 2, event: 'batch', source: { type: 'list', name: 'News' }, tweets };
+const digest = { version: 2, event: 'digest', tweets };
+
+// Subjects with "·" go out Q-encoded: =?UTF-8?Q?Feed_=C2=B7_News?=
+function subjectOf(message) {
+  const [, encoded] = /^Subject: =\?UTF-8\?Q\?(.*)\?=$/m.exec(message.data);
+  return decodeURIComponent(encoded.replace(/_/g, ' ').replace(/=/g, '%'));
+}
+
+describe('sinks', () => {
+  let http;
+  let smtp;
+  let fileDir;
+  const send = (sink, payload = batch) => sendToSink(sink, payload, { id: 'msg_1', secrets: [SECRET], fileDir });
+  const lastRequest = () => http.requests[http.requests.length - 1];
+  
+  before(async () => {
+    // /down answers 503, everything else 204
+    http = await startStub((req, body, res) => req.url === '/down' ? sendJson(res, {}, 503) : res.writeHead(204).end());
+    smtp = await startSmtp();
+    fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-watcher-sinks-'));
+  });
+  
+  after(async () => {
+    await http.close();
+    await smtp.close();
+    fs.rmSync(fileDir, { recursive: true, force: true });
+  });
+  
+  test('webhook posts the payload, signed', async () => {
+    assert.equal(await send({ type: 'webhook', config: { url: `${http.url}/hook` } }), 204);
+    
+    const { headers, body } = lastRequest();
+    assert.deepEqual(JSON.parse(body), batch);
+    assert.equal(headers['webhook-id'], 'msg_1');
+    assert.equal(headers['webhook-signature'], signWebhook([SECRET], 'msg_1', headers['webhook-timestamp'], body));
+  });
+  
+  test('slack posts one escaped line per tweet', async () => {
+    await send({ type: 'slack', config: { url: `${http.url}/slack` } });
+    
+    const { text } = JSON.parse(lastRequest().body);
+    assert.match(text, /^\*📱 News Update \(2 tweets\)\*/);
+    assert.ok(text.includes('• <https://x.com/bob/status/2|@bob>: second &lt;tweet&gt;'));
+  });
+  
+  test('discord posts one embed per tweet', async () => {
+    await send({ type: 'discord', config: { url: `${http.url}/discord` } });
+    
+    const message = JSON.parse(lastRequest().body);
+    assert.equal(message.content, '📱 News Update (2 tweets)');
+    assert.deepEqual(message.embeds.map(e => [e.author.name, e.description, e.url]), tweets.map(t => [`@${t.author.username}`, t.text, t.url]));
+  });
+  
+  test('HTTP sinks fail with the status they got', async () => {
+    await assert.rejects(send({ type: 'slack', config: { url: `${http.url}/down` } }), { status: 503 });
+  });
+  
+  test('email sends one message per batch and per digest', async () => {
+    const sink = {
+      type: 'email',
+      config: { host: '127.0.0.1', port: smtp.port, username: 'mailer', from: 'watcher@example.com', to: 'a@example.com, b@example.com', subject: 'Feed' },
+      secret: 'smtp-password'
+    };
+    assert.equal(await send(sink), null);
+    await send(sink, digest);
+    
+    const [first, second] = smtp.messages.slice(-2);
+    assert.deepEqual(first.auth, ['mailer', 'smtp-password']);
+    assert.equal(first.from, 'watcher@example.com');
+    assert.deepEqual(first.to, ['a@example.com', 'b@example.com']);
+    assert.equal(subjectOf(first), 'Feed · News (2 tweets)');
+    assert.match(first.data, /@alice: first tweet/);
+    assert.equal(subjectOf(second), 'Feed · digest (2 tweets)');
+  });
+  
+  test('file appends one JSON line per batch', async () => {
+    const sink = { type: 'file', config: { path: 'feeds/news.jsonl' } };
+    await send(sink);
+    await send(sink, digest);
+    
+    const lines = fs.readFileSync(path.join(fileDir, 'feeds/news.jsonl'), 'utf8').trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), [batch, digest]);
+  });
+});
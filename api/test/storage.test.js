@@ -0,0 +1,368 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStorage } from '../storage/index.js';
+
+// The same suite runs on every backend: SQLite always, Postgres when TEST_DATABASE_URL
+// points at a scratch database (its tables are dropped before the run).
+const backends = {
+  sqlite: async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-watcher-'));
+    return openStorage('sqlite', { file: path.join(dir, 'test.db') });
+  }
+};
+if (process.env.TEST_DATABASE_URL) {
+  backends.postgres = async () => {
+    const storage = await openStorage('postgres', { url: process.env.TEST_DATABASE_URL });
+    await storage.rollbackMigrations({ steps: Infinity });
+    return storage;
+  };
+}
+
+const tweet = (id, text, fields = {}) => ({
+  tweet_id: id,
+  author_id: '7',
+  author_username: 'alice',
+  author_name: 'Alice',
+  text,
+  lang: 'en',
+  conversation_id: id,
+  public_metrics: { like_count: 1 },
+  filtered: false,
+  score: null,
+  tweeted_at: new Date(Date.UTC(2026, 0, 1, 0, 0, Number(id))),
+  ...fields
+});
+
+for (const [driver, open] of Object.entries(backends)) {
+  describe(`${driver} storage`, () => {
+    let storage;
+    let account;
+    
+    before(async () => {
+      storage = await open();
+      await storage.init();
+      // Twice, to check it's a no-op on an up-to-date schema
+      await storage.init();
+      account = await storage.createAccount({ name: `Test ${driver}` });
+    });
+    
+    after(async () => {
+      await storage.close();
+    });
+    
+    test('starts with the default account', async () => {
+      const [first] = await storage.listAccounts();
+      assert.equal(first.name, 'Default');
+      assert.deepEqual(first.digest_times, ['08:00', '18:00']);
+      assert.equal(first.digest_enabled, false);
+      assert.equal(first.webhook_include_message, true);
+      assert.ok(first.created_at instanceof Date);
+    });
+    
+    test('round-trips JSON, arrays, booleans and timestamps', async () => {
+      await storage.updateAccount(account.id, {
+        scoring: { enabled: true, keywords: ['a'] },
+        digest_times: ['09:00'],
+        digest_enabled: true,
+        next_run_at: new Date('2026-01-01T00:00:00Z')
+      });
+      const got = await storage.getAccount(account.id);
+      assert.deepEqual(got.scoring, { enabled: true, keywords: ['a'] });
+      assert.deepEqual(got.digest_times, ['09:00']);
+      assert.equal(got.digest_enabled, true);
+      assert.equal(got.next_run_at.toISOString(), '2026-01-01T00:00:00.000Z');
+      assert.equal(got.grouping, null);
+      assert.equal(await storage.getAccount(999999), null);
+      await storage.updateAccount(account.id, { digest_enabled: false, next_run_at: null });
+    });
+    
+    test('scopes rows to their account', async () => {
+      const [other] = await storage.listAccounts();
+      const sink = await storage.createSink(account.id, { name: 's', type: 'file', config: { path: 'a.jsonl' } });
+      assert.equal(sink.enabled, true);
+      assert.deepEqual(sink.config, { path: 'a.jsonl' });
+      assert.equal(await storage.getSink(other.id, sink.id), null);
+      assert.equal(await storage.updateSink(other.id, sink.id, { name: 'x' }), null);
+      assert.equal(await storage.deleteSink(other.id, sink.id), false);
+      assert.equal((await storage.updateSink(account.id, sink.id, { enabled: false })).enabled, false);
+      assert.deepEqual((await storage.listSinks(account.id)).map(s => s.id), [sink.id]);
+      assert.equal(await storage.deleteSink(account.id, sink.id), true);
+      assert.deepEqual(await storage.listSinks(account.id), []);
+    });
+    
+    test('unlinks a deleted template from its account', async () => {
+      const template = await storage.createTemplate(account.id, { name: 't', body: '{{count}}' });
+      await storage.updateAccount(account.id, { message_template_id: template.id });
+      assert.equal(await storage.deleteTemplate(account.id, template.id), true);
+      assert.equal((await storage.getAccount(account.id)).message_template_id, null);
+    });
+    
+    test('tracks seen tweets per source', async () => {
+      const source = await storage.createSource(account.id, { type: 'user', value: 'bob' });
+      assert.deepEqual(await storage.seenTweetIds(account.id, null, ['1', '2']), []);
+      await storage.markSeen(account.id, null, ['1', '2']);
+      await storage.markSeen(account.id, null, ['2', '3']);
+      await storage.markSeen(account.id, source.id, ['1']);
+      assert.deepEqual((await storage.seenTweetIds(account.id, null, ['1', '2', '4'])).sort(), ['1', '2']);
+      assert.deepEqual(await storage.seenTweetIds(account.id, source.id, ['1', '2']), ['1']);
+      assert.equal(await storage.countSeen(account.id), 4);
+      await storage.forgetSource(account.id, source.id);
+      assert.equal(await storage.countSeen(account.id), 3);
+      await storage.pruneSeen(account.id, 7);
+      assert.equal(await storage.countSeen(account.id), 3);
+      await storage.pruneSeen(account.id, -1);
+      assert.equal(await storage.countSeen(account.id), 0);
+      await storage.deleteSource(account.id, source.id);
+    });
+    
+    test('rolls a failed transaction back', async () => {
+      const polls = (await storage.listPolls(account.id, 100)).length;
+      await assert.rejects(storage.transaction(async tx => {
+        await tx.markSeen(account.id, null, ['9']);
+        await tx.logPoll({ account_id: account.id, status: 'success' });
+        throw new Error('nope');
+      }), /nope/);
+      assert.equal(await storage.countSeen(account.id), 0);
+      assert.equal((await storage.listPolls(account.id, 100)).length, polls);
+      
+      const pollId = await storage.transaction(async tx => {
+        await tx.markSeen(account.id, null, ['9']);
+        await tx.updateAccount(account.id, { since_id: '9' });
+        return tx.logPoll({ account_id: account.id, status: 'success' });
+      });
+      assert.equal((await storage.getPoll(account.id, pollId)).status, 'success');
+      assert.equal((await storage.getAccount(account.id)).since_id, '9');
+      assert.equal(await storage.countSeen(account.id), 1);
+      await storage.pruneSeen(account.id, -1);
+    });
+    
+    test('keeps calls made during a transaction out of it', async () => {
+      let release;
+      const waiting = new Promise(resolve => {
+        release = resolve;
+      });
+      const failing = storage.transaction(async tx => {
+        await tx.markSeen(account.id, null, ['10']);
+        await waiting;
+        throw new Error('rolled back');
+      });
+      // Made while the transaction is open, and must survive its rollback
+      const outside = storage.markSeen(account.id, null, ['11']);
+      release();
+      await assert.rejects(failing, /rolled back/);
+      await outside;
+      assert.deepEqual(await storage.seenTweetIds(account.id, null, ['10', '11']), ['11']);
+      await storage.pruneSeen(account.id, -1);
+    });
+    
+    test('logs polls with summaries and drill-downs', async () => {
+      const pollId = await storage.logPoll({
+        account_id: account.id,
+        tweets_found: 3,
+        tweets_new: 2,
+        filter_stats: { rule: 1 },
+        pages_truncated: true,
+        status: 'success',
+        fetched_tweet_ids: ['1', '2', '3'],
+        new_tweet_ids: ['1', '2']
+      });
+      await storage.updatePoll(pollId, { timings: [{ step: 'fetch', ms: 9 }], duration_ms: 12 });
+      const [summary] = await storage.listPolls(account.id, 1);
+      assert.equal(summary.id, pollId);
+      assert.equal(summary.fetched_tweet_ids, undefined);
+      assert.equal(summary.pages_truncated, true);
+      assert.deepEqual(summary.filter_stats, { rule: 1 });
+      const poll = await storage.getPoll(account.id, pollId);
+      assert.deepEqual(poll.new_tweet_ids, ['1', '2']);
+      assert.deepEqual(poll.filtered_tweet_ids, []);
+      assert.deepEqual(poll.timings, [{ step: 'fetch', ms: 9 }]);
+      assert.equal(await storage.getPoll(account.id + 1, pollId), null);
+    });
+    
+    test('searches the archive', async () => {
+      const pollId = await storage.logPoll({ account_id: account.id, status: 'success' });
+      await storage.archiveTweets(account.id, pollId, [
+        tweet('1', 'Bitcoin hits a new high'),
+        tweet('2', 'Ethereum upgrade ships today', { author_username: 'bob', author_id: '8' }),
+        tweet('3', 'Bitcoin and ethereum both fall', { filtered: true })
+      ]);
+      // Archiving is idempotent
+      await storage.archiveTweets(account.id, pollId, [tweet('1', 'Bitcoin hits a new high')]);
+      assert.equal(await storage.countTweets(account.id), 3);
+      
+      const ids = async query => (await storage.searchTweets(account.id, { limit: 50, offset: 0, ...query }))
+        .rows.map(t => t.tweet_id);
+      assert.deepEqual(await ids({}), ['3', '2', '1']);
+      assert.deepEqual(await ids({ q: 'bitcoin' }), ['3', '1']);
+      assert.deepEqual(await ids({ q: 'bitcoin -ethereum' }), ['1']);
+      assert.deepEqual(await ids({ q: '"new high"' }), ['1']);
+      assert.deepEqual(await ids({ q: 'upgrade or high' }), ['2', '1']);
+      assert.deepEqual(await ids({ author: 'BOB' }), ['2']);
+      assert.deepEqual(await ids({ from: new Date(Date.UTC(2026, 0, 1, 0, 0, 2)) }), ['3', '2']);
+      
+      const page = await storage.searchTweets(account.id, { limit: 1, offset: 1 });
+      assert.equal(page.total, 3);
+      assert.deepEqual(page.rows.map(t => t.tweet_id), ['2']);
+      assert.deepEqual(page.rows[0].public_metrics, { like_count: 1 });
+      
+      assert.equal(await storage.lastBatchPollId(account.id), pollId);
+      assert.deepEqual((await storage.listKeptTweets(account.id, pollId)).map(t => t.tweet_id), ['2', '1']);
+      await storage.pruneTweets(account.id, -1);
+      assert.equal(await storage.countTweets(account.id), 0);
+    });
+    
+    test('retries and completes deliveries', async () => {
+      const pollId = await storage.logPoll({ account_id: account.id, status: 'success' });
+      const sink = await storage.createSink(account.id, { name: 'hook', type: 'webhook', config: { url: 'http://x' } });
+      const deliveryId = await storage.createDelivery({
+        account_id: account.id,
+        poll_id: pollId,
+        sink_id: sink.id,
+        payload: { tweets: [] },
+        tweet_ids: ['1', '2']
+      });
+      
+      const [claimed] = await storage.claimDeliveries(deliveryId);
+      assert.equal(claimed.id, deliveryId);
+      assert.deepEqual(claimed.payload, { tweets: [] });
+      // Claimed deliveries aren't due again until the claim runs out
+      assert.deepEqual(await storage.claimDeliveries(null), []);
+      
+      await storage.markFailed(deliveryId, { status: 'pending', attempts: 1, lastStatus: 500, error: 'boom', retryInSeconds: 60 });
+      assert.deepEqual(await storage.countDeliveries(account.id), { pending: 1, dead: 0 });
+      assert.equal((await storage.getDelivery(account.id, deliveryId)).last_error, 'boom');
+      
+      await storage.markDelivered(deliveryId, 2, 200);
+      await storage.recountDelivered(pollId);
+      assert.equal((await storage.getPoll(account.id, pollId)).tweets_delivered, 2);
+      const [listed] = await storage.listDeliveries(account.id, 'delivered', 10);
+      assert.equal(listed.sink_name, 'hook');
+      assert.equal(Number(listed.tweet_count), 2);
+      assert.deepEqual((await storage.listPollDeliveries(pollId))[0].tweet_ids, ['1', '2']);
+      
+      assert.equal(await storage.resetDelivery(account.id + 1, deliveryId), false);
+      assert.equal(await storage.resetDelivery(account.id, deliveryId), true);
+      assert.equal((await storage.getDelivery(account.id, deliveryId)).status, 'pending');
+      await storage.deleteSink(account.id, sink.id);
+    });
+    
+    test('empties the digest queue once', async () => {
+      const rows = [{ tweet_id: '1', tweet: { id: '1', text: 'a' }, author: null }];
+      await storage.queueForDigest(account.id, null, { type: 'home' }, rows);
+      await storage.queueForDigest(account.id, null, { type: 'home' }, rows);
+      assert.equal((await storage.listDigestQueue(account.id)).length, 1);
+      const [taken] = await storage.transaction(tx => tx.takeDigestQueue(account.id));
+      assert.deepEqual(taken.tweet, { id: '1', text: 'a' });
+      assert.deepEqual(await storage.takeDigestQueue(account.id), []);
+    });
+    
+    test('keeps one active job per account and source', async () => {
+      const first = await storage.createJob({ account_id: account.id, trigger: 'manual', correlation_id: 'poll_a' });
+      const second = await storage.createJob({ account_id: account.id, trigger: 'schedule', correlation_id: 'poll_b' });
+      assert.equal(first.created, true);
+      assert.equal(second.created, false);
+      assert.equal(second.job.id, first.job.id);
+      
+      const claimed = await storage.claimJob();
+      assert.equal(claimed.id, first.job.id);
+      assert.equal(claimed.status, 'running');
+      assert.equal(await storage.setJobStage(claimed.id, 'fetch', { found: 3 }), false);
+      assert.equal(await storage.setJobStage(claimed.id, 'filter', { new: 1 }), false);
+      assert.deepEqual((await storage.getJob(account.id, claimed.id)).progress, { found: 3, new: 1 });
+      
+      assert.equal((await storage.cancelJob(claimed.id)).cancel_requested, true);
+      assert.equal(await storage.setJobStage(claimed.id, 'deliver', {}), true);
+      await storage.finishJob(claimed.id, 'cancelled', { success: false }, null);
+      assert.equal(await storage.cancelJob(claimed.id), null);
+      assert.equal((await storage.createJob({ account_id: account.id, trigger: 'manual', correlation_id: 'poll_a' })).created, true);
+      await storage.cancelJob((await storage.listJobs(account.id, 1))[0].id);
+    });
+    
+    test('claims due runs once', async () => {
+      await storage.updateAccount(account.id, { next_run_at: new Date(Date.now() - 1000) });
+      const later = new Date(Date.now() + 3600 * 1000);
+      const claimed = await storage.claimDueAccounts(() => later);
+      assert.ok(claimed.some(a => a.id === account.id));
+      assert.ok(!(await storage.claimDueAccounts(() => later)).some(a => a.id === account.id));
+      
+      const sooner = new Date(Date.now() + 60 * 1000);
+      await storage.advanceRun(account.id, null, sooner);
+      await storage.advanceRun(account.id, null, later);
+      assert.equal((await storage.getAccount(account.id)).next_run_at.getTime(), sooner.getTime());
+    });
+    
+    test('lets one poll at a time hold the lock', async () => {
+      let inner;
+      const outer = await storage.withPollLock(account.id, async () => {
+        inner = await storage.withPollLock(account.id, async () => 'second');
+        return 'first';
+      });
+      assert.equal(outer, 'first');
+      assert.equal(inner, null);
+      assert.equal(await storage.withPollLock(account.id, async () => 'again'), 'again');
+    });
+    
+    test('tracks spent rate limits', async () => {
+      const resetAt = new Date(Date.now() + 60 * 1000);
+      await storage.saveRateLimit(account.id, 'home', { limit: 180, remaining: 0, resetAt });
+      await storage.saveRateLimit(account.id, 'search', { limit: 450, remaining: 10, resetAt });
+      assert.equal((await storage.rateLimitedUntil(account.id, null)).getTime(), resetAt.getTime());
+      assert.equal(await storage.rateLimitedUntil(account.id, ['search']), null);
+      const limits = await storage.listRateLimits(account.id);
+      assert.deepEqual(limits.map(l => [l.endpoint, l.limit, l.remaining]), [['home', 180, 0], ['search', 450, 10]]);
+    });
+    
+    test('hands out an OAuth state once', async () => {
+      await storage.createOAuthState({ state: `s-${driver}`, account_id: account.id, code_verifier: 'v', redirect_uri: 'http://x/cb' }, 10);
+      assert.equal((await storage.takeOAuthState(`s-${driver}`, 10)).code_verifier, 'v');
+      assert.equal(await storage.takeOAuthState(`s-${driver}`, 10), null);
+    });
+    
+    test('expires sessions', async () => {
+      await storage.createAdminUser('admin', 'hash');
+      await storage.createAdminUser('admin', 'other');
+      assert.equal(await storage.countAdminUsers(), 1);
+      const user = await storage.getAdminUser('admin');
+      await storage.createSession('live', user.id, new Date(Date.now() + 60 * 1000));
+      await storage.createSession('stale', user.id, new Date(Date.now() - 1000));
+      assert.equal((await storage.getSessionUser('live')).username, 'admin');
+      assert.equal(await storage.getSessionUser('stale'), null);
+      await storage.deleteSession('live');
+      assert.equal(await storage.getSessionUser('live'), null);
+    });
+    
+    test('stores events and tells subscribers', async () => {
+      const heard = [];
+      await storage.subscribe(event => heard.push(event));
+      const first = await storage.createEvent(account.id, 'poll.started', { jobId: 1 });
+      await storage.createEvent(null, 'error', { error: 'x' });
+      
+      const events = await storage.listEvents(account.id, { after: null, limit: 10 });
+      assert.deepEqual(events.slice(-2).map(e => e.type), ['poll.started', 'error']);
+      assert.deepEqual(events.at(-2).data, { jobId: 1 });
+      const after = await storage.listEvents(account.id, { after: first.id, limit: 10 });
+      assert.deepEqual(after.map(e => e.type), ['error']);
+      
+      // Postgres hears its own NOTIFY a moment later
+      for (let i = 0; i < 50 && heard.length < 2; i++) await new Promise(resolve => setTimeout(resolve, 20));
+      assert.deepEqual(heard.slice(-2).map(e => e.type), ['poll.started', 'error']);
+    });
+    
+    test('deletes an account with everything in it', async () => {
+      const extra = await storage.createAccount({ name: `Extra ${driver}` });
+      await storage.markSeen(extra.id, null, ['1']);
+      const pollId = await storage.logPoll({ account_id: extra.id, status: 'success' });
+      assert.equal(await storage.deleteAccount(extra.id), true);
+      assert.equal(await storage.deleteAccount(extra.id), false);
+      assert.equal(await storage.getPoll(extra.id, pollId), null);
+      assert.equal(await storage.countSeen(extra.id), 0);
+    });
+  });
+}
+
+test('rejects unknown drivers', async () => {
+  await assert.rejects(openStorage('mysql', {}), /Unknown storage driver/);
+});
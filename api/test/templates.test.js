@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, validateTemplate, MAX_EACH_DEPTH, MAX_MESSAGE_LENGTH } from '../templates.js';
+
+const tweets = Array.from({ length: 100 }, (_, i) => ({ text: `tweet ${i}` }));
+const nested = depth => '{{#each tweets}}'.repeat(depth) + '{{text}}' + '{{/each}}'.repeat(depth);
+
+test('renders fields, lists and blocks', () => {
+  const source = '{{title}}: {{#each tweets}}{{@number}}. {{text}}{{#unless @last}}, {{/unless}}{{/each}}';
+  assert.equal(renderTemplate(source, { title: 'New', tweets: tweets.slice(0, 2) }), 'New: 1. tweet 0, 2. tweet 1');
+});
+
+test('rejects {{#each}} nested too deep', () => {
+  assert.equal(validateTemplate(nested(MAX_EACH_DEPTH), { tweets: tweets.slice(0, 1) }), null);
+  assert.equal(validateTemplate(nested(MAX_EACH_DEPTH + 1), { tweets: tweets.slice(0, 1) }),
+    `Line 1: {{#each}} can be nested at most ${MAX_EACH_DEPTH} deep`);
+  assert.throws(() => renderTemplate(nested(MAX_EACH_DEPTH + 1), { tweets }), /nested at most/);
+});
+
+test('cuts the message at the maximum length', () => {
+  const message = renderTemplate(nested(MAX_EACH_DEPTH), { tweets });
+  assert.equal(message.length, MAX_MESSAGE_LENGTH + 1);
+  assert.ok(message.endsWith('…'));
+  assert.match(validateTemplate(nested(MAX_EACH_DEPTH), { tweets }), /renders to more than/);
+});
@@ -3,47 +3,310 @@
 import { useState, useEffect } from 'react';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || '';
+const TOKEN_KEY = 'timeline-watcher-token';
+const ACCOUNT_KEY = 'timeline-watcher-account';
+
+const RULE_TYPES = {
+  author: 'Author',
+  keyword: 'Keyword',
+  regex: 'Regex',
+  language: 'Language',
+  min_metric: 'Min. metric',
+  reply: 'Is reply',
+  retweet: 'Is retweet',
+  quote: 'Is quote'
+};
+const RULE_METRICS = ['like_count', 'retweet_count', 'reply_count', 'quote_count', 'impression_count'];
+const EMPTY_RULE = { action: 'exclude', type: 'keyword', metric: 'like_count', value: '' };
+const DELIVERY_COLORS = { pending: '#fa0', delivered: '#0c8', dead: '#f66' };
+const TWEET_OUTCOME_COLORS = { delivered: '#0c8', filtered: '#888', undelivered: '#fa0' };
+const POLL_COLORS = { success: '#0c8', rate_limited: '#fa0', error: '#f66', cancelled: '#888' };
+const JOB_STAGES = { token: 'Token', fetch: 'Fetch', filter: 'Filter', store: 'Store', deliver: 'Deliver' };
+const JOB_POLL_MS = 1000;
+const ACTIVITY_LIMIT = 50;
+const EVENTS_RETRY_MIN_MS = 1000;
+const EVENTS_RETRY_MAX_MS = 30000;
+const EVENTS_REFRESH_MS = 500;
+const SINK_TYPES = {
+  webhook: 'Webhook',
+  slack: 'Slack',
+  discord: 'Discord',
+  email: 'Email',
+  file: 'JSONL file'
+};
+const EMPTY_SCHEDULE = { mode: 'interval', intervalMinutes: 360, cron: '', timezone: 'UTC', quietHoursStart: '', quietHoursEnd: '' };
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+const EMPTY_SINK = { type: 'slack', name: '', enabled: true, config: {}, secret: '', filter: [] };
+const SOURCE_TYPES = {
+  list: 'List',
+  user: 'User',
+  mentions: 'Mentions',
+  search: 'Search'
+};
+const EMPTY_SOURCE = { type: 'list', name: '', value: '', enabled: true, schedule: EMPTY_SCHEDULE };
+const EMPTY_ARCHIVE_SEARCH = { q: '', author: '', from: '', to: '' };
+const ARCHIVE_PAGE_SIZE = 20;
+const SCORING_SIGNALS = {
+  velocity: 'Engagement velocity',
+  affinity: 'Author affinity',
+  recency: 'Recency'
+};
+const SIMILARITY_LEVELS = {
+  '': 'Off (threads and links only)',
+  '0.9': 'Strict, nearly identical text',
+  '0.75': 'Normal',
+  '0.6': 'Loose',
+  '0.45': 'Aggressive'
+};
+const EMPTY_GROUPING = { enabled: false, threads: true, links: true, similarity: 0.75 };
+const DIGEST_GROUPS = { author: 'Author', topic: 'Topic (hashtag or source)' };
+const EMPTY_DIGEST = { enabled: false, times: '08:00, 18:00', groupBy: 'author', maxTweets: 50 };
+const EMPTY_SCORING = { enabled: false, weights: { velocity: 1, affinity: 1, recency: 1 }, keywords: '', topN: '' };
 
 export default function Dashboard() {
+  const [token, setToken] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [loginForm, setLoginForm] = useState({ username: '', password: '' });
+  const [loggingIn, setLoggingIn] = useState(false);
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState(null);
   const [config, setConfig] = useState({
+    name: '',
     hasCredentials: false,
     hasTokens: false,
     webhookUrl: '',
-    pollIntervalHours: 6,
+    webhookPayloadVersion: 1,
+    webhookIncludeMessage: true,
     maxTweetsPerPoll: 50,
+    archiveRetentionDays: 30,
     openclawMode: 'next-heartbeat'
   });
   const [status, setStatus] = useState(null);
   const [polls, setPolls] = useState([]);
+  const [openPoll, setOpenPoll] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [polling, setPolling] = useState(false);
+  const [pollJob, setPollJob] = useState(null);
   const [message, setMessage] = useState(null);
   
+  // Errors from the last save of the settings, by field, and their history
+  const [configErrors, setConfigErrors] = useState({});
+  const [configHistory, setConfigHistory] = useState([]);
+  
+  // Live activity from /events
+  const [events, setEvents] = useState([]);
+  const [live, setLive] = useState(false);
+  
+  // Schedule editor
+  const [scheduleForm, setScheduleForm] = useState(EMPTY_SCHEDULE);
+  const [schedulePreview, setSchedulePreview] = useState(null);
+  const [scoringForm, setScoringForm] = useState(EMPTY_SCORING);
+  const [groupingForm, setGroupingForm] = useState(EMPTY_GROUPING);
+  const [digestForm, setDigestForm] = useState(EMPTY_DIGEST);
+  const [digest, setDigest] = useState(null);
+  const [sendingDigest, setSendingDigest] = useState(false);
+
+  // Message templates
+  const [templates, setTemplates] = useState([]);
+  const [templateForm, setTemplateForm] = useState(null);
+  const [templatePreview, setTemplatePreview] = useState(null);
+  
   // Credentials form
   const [credentials, setCredentials] = useState({
     x_client_id: '',
-    x_client_secret: '',
-    access_token: '',
-    refresh_token: ''
+    x_client_secret: ''
   });
   const [showCredentials, setShowCredentials] = useState(false);
+  const [connecting, setConnecting] = useState(false);
+  
+  // Webhook signing secret
+  const [signing, setSigning] = useState(null);
+  const [showSecret, setShowSecret] = useState(false);
+  const [graceHours, setGraceHours] = useState(24);
+  
+  // Filter rules
+  const [rules, setRules] = useState([]);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  
+  // Sinks
+  const [sinks, setSinks] = useState([]);
+  const [sinkForm, setSinkForm] = useState(null);
+  const [sinkRuleForm, setSinkRuleForm] = useState(EMPTY_RULE);
+  
+  // Sources
+  const [sources, setSources] = useState([]);
+  const [sourceForm, setSourceForm] = useState(null);
+  
+  // Webhook deliveries
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryFilter, setDeliveryFilter] = useState('');
+  const [openDelivery, setOpenDelivery] = useState(null);
+  
+  // Archive
+  const [archive, setArchive] = useState(null);
+  const [archiveSearch, setArchiveSearch] = useState(EMPTY_ARCHIVE_SEARCH);
 
   useEffect(() => {
-    fetchAll();
-    const interval = setInterval(fetchStatus, 30000);
-    return () => clearInterval(interval);
+    // Returning from the X authorization screen
+    const params = new URLSearchParams(window.location.search);
+    const oauth = params.get('oauth');
+    if (oauth) {
+      setMessage(oauth === 'success'
+        ? { type: 'success', text: 'X account connected!' }
+        : { type: 'error', text: params.get('message') || 'Failed to connect X account' });
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    
+    setToken(localStorage.getItem(TOKEN_KEY));
+    setAuthChecked(true);
   }, []);
 
+  useEffect(() => {
+    if (token) fetchAccounts();
+  }, [token]);
+
+  useEffect(() => {
+    if (!token || !accountId) return;
+    fetchAll();
+    return subscribeEvents();
+  }, [token, accountId]);
+
+  useEffect(() => {
+    if (!token || !accountId || loading) return;
+    const timer = setTimeout(previewSchedule, 400);
+    return () => clearTimeout(timer);
+  }, [scheduleForm, loading]);
+
+  useEffect(() => {
+    if (!templateForm) return setTemplatePreview(null);
+    const timer = setTimeout(previewTemplate, 400);
+    return () => clearTimeout(timer);
+  }, [templateForm?.body]);
+
+  // fetch() against the API with the session token; drops the session on 401
+  async function api(path, options = {}) {
+    const res = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    });
+    if (res.status === 401) {
+      localStorage.removeItem(TOKEN_KEY);
+      setToken(null);
+    }
+    return res;
+  }
+
+  // Same, scoped to the selected account
+  function accountApi(path, options) {
+    return api(`/api/accounts/${accountId}${path}`, options);
+  }
+
+  async function login(e) {
+    e.preventDefault();
+    setLoggingIn(true);
+    setMessage(null);
+    try {
+      const res = await fetch(`${API_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(loginForm)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Login failed');
+      
+      localStorage.setItem(TOKEN_KEY, data.token);
+      setLoginForm({ username: '', password: '' });
+      setLoading(true);
+      setToken(data.token);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setLoggingIn(false);
+    }
+  }
+
+  async function logout() {
+    try {
+      await api('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Failed to log out:', err);
+    }
+    localStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+  }
+
+  async function fetchAccounts(selectId) {
+    try {
+      const res = await api('/api/accounts');
+      if (!res.ok) return;
+      const list = await res.json();
+      setAccounts(list);
+      
+      const wanted = selectId || parseInt(localStorage.getItem(ACCOUNT_KEY));
+      selectAccount(list.some(a => a.id === wanted) ? wanted : list[0]?.id);
+    } catch (err) {
+      console.error('Failed to fetch accounts:', err);
+    }
+  }
+
+  function selectAccount(id) {
+    if (!id) return;
+    localStorage.setItem(ACCOUNT_KEY, String(id));
+    setAccountId(id);
+    setSinkForm(null);
+    setSourceForm(null);
+  }
+
+  async function addAccount() {
+    const name = window.prompt('Name for the new account');
+    if (!name) return;
+    setMessage(null);
+    try {
+      const res = await api('/api/accounts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create account');
+      await fetchAccounts(data.id);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
+  async function deleteAccount() {
+    if (!window.confirm(`Delete account "${config.name}"? Its history is deleted too.`)) return;
+    setMessage(null);
+    try {
+      const res = await api(`/api/accounts/${accountId}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to delete account');
+      localStorage.removeItem(ACCOUNT_KEY);
+      await fetchAccounts();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
   async function fetchAll() {
-    await Promise.all([fetchConfig(), fetchStatus(), fetchPolls()]);
+    await Promise.all([fetchConfig(), fetchStatus(), fetchPolls(), fetchRules(), fetchSinks(), fetchSources(), fetchDeliveries(), fetchSigning(), fetchArchive(), fetchDigest(), fetchTemplates(), fetchEvents(), fetchConfigHistory(),
+      resumePollJob()]);
     setLoading(false);
   }
 
   async function fetchConfig() {
     try {
-      const res = await fetch(`${API_URL}/api/config`);
-      if (res.ok) setConfig(await res.json());
+      const res = await accountApi('/config');
+      if (res.ok) {
+        const data = await res.json();
+        setConfig(data);
+        setScheduleForm(toScheduleForm(data.schedule));
+        setScoringForm(toScoringForm(data.scoring));
+        setGroupingForm(data.grouping || EMPTY_GROUPING);
+        setDigestForm(data.digest ? { ...data.digest, times: data.digest.times.join(', ') } : EMPTY_DIGEST);
+      }
     } catch (err) {
       console.error('Failed to fetch config:', err);
     }
@@ -51,269 +314,1810 @@ export default function Dashboard() {
 
   async function fetchStatus() {
     try {
-      const res = await fetch(`${API_URL}/api/status`);
+      const res = await accountApi('/status');
       if (res.ok) setStatus(await res.json());
     } catch (err) {
       console.error('Failed to fetch status:', err);
     }
   }
 
+  async function fetchEvents() {
+    try {
+      const res = await accountApi(`/events/recent?limit=${ACTIVITY_LIMIT}`);
+      if (res.ok) setEvents((await res.json()).reverse());
+    } catch (err) {
+      console.error('Failed to fetch activity:', err);
+    }
+  }
+
+  // Reads /events with fetch() since EventSource can't send the session token. Drops
+  // are retried with a growing delay, resuming after the last event seen. Returns the
+  // function that closes the stream.
+  function subscribeEvents() {
+    const controller = new AbortController();
+    const timers = new Map();
+    let lastId = null;
+    
+    // A poll and its deliveries come as a burst, each list is fetched once after it
+    function refresh(...fetchers) {
+      for (const fetcher of fetchers) {
+        clearTimeout(timers.get(fetcher));
+        timers.set(fetcher, setTimeout(fetcher, EVENTS_REFRESH_MS));
+      }
+    }
+    
+    function handleEvent(event) {
+      const { type, data } = event;
+      setEvents(list => list.some(e => e.id === event.id) ? list : [event, ...list].slice(0, ACTIVITY_LIMIT));
+      
+      if (type.startsWith('poll.') || type.startsWith('delivery.') || type === 'digest.sent') {
+        refresh(fetchStatus, fetchPolls, fetchDeliveries, fetchDigest);
+      }
+      if (type === 'poll.finished' && data.sourceId) refresh(fetchSources);
+      if (type.startsWith('token.')) refresh(fetchStatus);
+      if (type === 'config.changed') {
+        // Settings aren't reloaded, that would throw away whatever is being edited
+        const lists = { rules: fetchRules, sinks: fetchSinks, sources: fetchSources, templates: fetchTemplates,
+          webhook: fetchSigning, settings: fetchConfigHistory };
+        if (lists[data.section]) refresh(lists[data.section]);
+      }
+      
+      // Polls started here report through followPollJob()
+      if (type === 'poll.finished' && data.status === 'failed' && data.trigger !== 'manual') {
+        setMessage({ type: 'error', text: `Scheduled poll failed: ${data.error}` });
+      }
+      if (type === 'delivery.failed' && data.dead) {
+        setMessage({ type: 'error', text: `Delivery #${data.deliveryId} moved to dead letters: ${data.error}` });
+      }
+      if (type === 'token.refresh_failed') {
+        setMessage({ type: 'error', text: `X token refresh failed: ${data.error}. Reconnect the account.` });
+      }
+      if (type === 'error') {
+        setMessage({ type: 'error', text: `${data.context} error: ${data.error}` });
+      }
+    }
+    
+    async function read(res) {
+      const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+        const chunks = buffer.split('\n\n');
+        buffer = chunks.pop();
+        for (const chunk of chunks) {
+          const data = chunk.split('\n').filter(l => l.startsWith('data: ')).map(l => l.slice(6)).join('\n');
+          if (!data) continue;
+          const event = JSON.parse(data);
+          lastId = event.id;
+          handleEvent(event);
+        }
+      }
+    }
+    
+    async function connect() {
+      let delay = EVENTS_RETRY_MIN_MS;
+      while (!controller.signal.aborted) {
+        try {
+          const res = await accountApi('/events', {
+            headers: lastId ? { 'Last-Event-ID': String(lastId) } : {},
+            signal: controller.signal
+          });
+          if (!res.ok) throw new Error(`Event stream failed with HTTP ${res.status}`);
+          setLive(true);
+          delay = EVENTS_RETRY_MIN_MS;
+          await read(res);
+        } catch (err) {
+          if (controller.signal.aborted) return;
+          console.error('Event stream dropped:', err);
+        }
+        setLive(false);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, EVENTS_RETRY_MAX_MS);
+      }
+    }
+    
+    connect();
+    return () => {
+      controller.abort();
+      timers.forEach(timer => clearTimeout(timer));
+      setLive(false);
+    };
+  }
+
   async function fetchPolls() {
     try {
-      const res = await fetch(`${API_URL}/api/polls?limit=10`);
+      const res = await accountApi('/polls?limit=10');
       if (res.ok) setPolls(await res.json());
     } catch (err) {
       console.error('Failed to fetch polls:', err);
     }
   }
 
-  async function saveConfig() {
-    setSaving(true);
+  async function togglePoll(id) {
+    if (openPoll?.id === id) return setOpenPoll(null);
+    try {
+      const res = await accountApi(`/polls/${id}`);
+      if (res.ok) setOpenPoll(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch poll:', err);
+    }
+  }
+
+  // Where each new tweet of a poll ended up
+  function tweetOutcome(poll, id) {
+    if (poll.delivered_tweet_ids.includes(id)) return 'delivered';
+    if (poll.filtered_tweet_ids.includes(id)) return 'filtered';
+    return 'undelivered';
+  }
+
+  async function fetchSigning() {
+    try {
+      const res = await accountApi('/webhook/secret');
+      if (res.ok) setSigning(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch webhook secret:', err);
+    }
+  }
+
+  async function rotateSecret() {
+    const hours = parseFloat(graceHours);
+    const grace = hours > 0 ? ` The current secret keeps working for ${hours}h.` : ' The current secret stops working immediately.';
+    if (!window.confirm(`Rotate the webhook signing secret?${grace}`)) return;
     setMessage(null);
     try {
-      const body = {
-        webhook_url: config.webhookUrl,
-        poll_interval_hours: parseInt(config.pollIntervalHours),
-        max_tweets_per_poll: parseInt(config.maxTweetsPerPoll),
-        openclaw_mode: config.openclawMode
-      };
-      
-      const res = await fetch(`${API_URL}/api/config`, {
-        method: 'PUT',
+      const res = await accountApi('/webhook/rotate-secret', {
+        method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        body: JSON.stringify({ grace_hours: hours || 0 })
       });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to rotate secret');
+      setSigning(data);
+      setShowSecret(true);
+      setMessage({ type: 'success', text: 'Secret rotated! Update your webhook server.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
+  async function fetchDeliveries(filter = deliveryFilter) {
+    try {
+      const res = await accountApi(`/deliveries?limit=20${filter ? `&status=${filter}` : ''}`);
+      if (res.ok) setDeliveries(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch deliveries:', err);
+    }
+  }
+
+  function filterDeliveries(filter) {
+    setDeliveryFilter(filter);
+    fetchDeliveries(filter);
+  }
+
+  async function toggleDelivery(id) {
+    if (openDelivery?.id === id) return setOpenDelivery(null);
+    try {
+      const res = await accountApi(`/deliveries/${id}`);
+      if (res.ok) setOpenDelivery(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch delivery:', err);
+    }
+  }
+
+  async function redeliver(id) {
+    setMessage(null);
+    try {
+      const res = await accountApi(`/deliveries/${id}/redeliver`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Redelivery failed');
       
-      if (res.ok) {
-        setMessage({ type: 'success', text: 'Config saved!' });
-        fetchConfig();
+      if (data.status === 'delivered') {
+        setMessage({ type: 'success', text: `Delivery #${id} sent!` });
       } else {
-        throw new Error('Failed to save');
+        setMessage({ type: 'error', text: `Delivery #${id} failed: ${data.last_error}` });
       }
+      fetchDeliveries();
+      fetchStatus();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
+  async function fetchDigest() {
+    try {
+      const res = await accountApi('/digest');
+      if (res.ok) setDigest(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch digest:', err);
+    }
+  }
+
+  async function sendDigest() {
+    setSendingDigest(true);
+    setMessage(null);
+    try {
+      const res = await accountApi('/digest/send', { method: 'POST' });
+      const data = await res.json();
+      if (!data.success) throw new Error(data.error || 'Failed to send digest');
+      
+      setMessage({
+        type: 'success',
+        text: data.tweets > 0 ? `Digest sent with ${data.tweets} tweets.` : 'Nothing to send, the digest is empty.'
+      });
+      fetchDigest();
+      fetchDeliveries();
     } catch (err) {
       setMessage({ type: 'error', text: err.message });
     } finally {
-      setSaving(false);
+      setSendingDigest(false);
     }
   }
 
-  async function saveCredentials() {
-    setSaving(true);
+  async function fetchTemplates() {
+    try {
+      const res = await accountApi('/templates');
+      if (res.ok) setTemplates(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch templates:', err);
+    }
+  }
+
+  async function newTemplate() {
+    try {
+      const res = await accountApi('/templates/default');
+      const { body } = await res.json();
+      setTemplateForm({ name: '', body });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
+  async function previewTemplate() {
+    try {
+      const res = await accountApi('/templates/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: templateForm.body })
+      });
+      setTemplatePreview(await res.json());
+    } catch (err) {
+      console.error('Failed to preview template:', err);
+    }
+  }
+
+  async function saveTemplate() {
     setMessage(null);
+    const { id, name, body } = templateForm;
     try {
-      const res = await fetch(`${API_URL}/api/config`, {
-        method: 'PUT',
+      const res = await accountApi(id ? `/templates/${id}` : '/templates', {
+        method: id ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(credentials)
+        body: JSON.stringify({ name, body })
       });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save template');
       
-      if (res.ok) {
-        setMessage({ type: 'success', text: 'Credentials saved!' });
-        setShowCredentials(false);
-        setCredentials({ x_client_id: '', x_client_secret: '', access_token: '', refresh_token: '' });
-        fetchConfig();
-      } else {
-        throw new Error('Failed to save');
-      }
+      setTemplateForm(null);
+      setMessage({ type: 'success', text: 'Template saved!' });
+      fetchTemplates();
     } catch (err) {
       setMessage({ type: 'error', text: err.message });
-    } finally {
-      setSaving(false);
     }
   }
 
-  async function triggerPoll() {
-    setPolling(true);
+  async function deleteTemplate(id) {
+    if (!confirm('Delete this template? Whatever uses it goes back to the built-in message.')) return;
+    const res = await accountApi(`/templates/${id}`, { method: 'DELETE' });
+    if (res.ok) {
+      fetchTemplates();
+      fetchConfig();
+    }
+  }
+
+  async function fetchArchive(offset = 0, search = archiveSearch) {
+    const params = new URLSearchParams({ limit: ARCHIVE_PAGE_SIZE, offset });
+    for (const [key, value] of Object.entries(search)) {
+      if (value) params.set(key, value);
+    }
+    try {
+      const res = await accountApi(`/tweets?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Search failed');
+      setArchive(data);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
+  function searchArchive(e) {
+    e.preventDefault();
+    fetchArchive(0);
+  }
+
+  function clearArchiveSearch() {
+    setArchiveSearch(EMPTY_ARCHIVE_SEARCH);
+    fetchArchive(0, EMPTY_ARCHIVE_SEARCH);
+  }
+
+  async function fetchRules() {
+    try {
+      const res = await accountApi('/rules');
+      if (res.ok) setRules(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch rules:', err);
+    }
+  }
+
+  async function saveRule(path, method, body) {
     setMessage(null);
     try {
-      const res = await fetch(`${API_URL}/api/poll`, { method: 'POST' });
+      const res = await accountApi(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
       const data = await res.json();
-      
-      if (data.success) {
-        setMessage({ type: 'success', text: `Poll complete! Found ${data.found} tweets, ${data.new} new.` });
-      } else {
-        setMessage({ type: 'error', text: data.error || 'Poll failed' });
-      }
-      
-      fetchStatus();
-      fetchPolls();
+      if (!res.ok) throw new Error(data.error || 'Failed to save rule');
+      fetchRules();
+      return true;
     } catch (err) {
       setMessage({ type: 'error', text: err.message });
-    } finally {
-      setPolling(false);
+      return false;
     }
   }
 
-  function formatTime(iso) {
-    if (!iso) return '—';
-    return new Date(iso).toLocaleString();
+  async function addRule() {
+    const rule = { ...ruleForm, position: rules.length };
+    if (rule.type !== 'min_metric') delete rule.metric;
+    if (await saveRule('/rules', 'POST', rule)) setRuleForm(EMPTY_RULE);
   }
 
-  if (loading) {
-    return <div style={styles.page}><div style={styles.loading}>Loading...</div></div>;
+  function describeRule(rule) {
+    if (rule.type === 'min_metric') return `${rule.metric} ≥ ${rule.value}`;
+    if (['reply', 'retweet', 'quote'].includes(rule.type)) return RULE_TYPES[rule.type];
+    return `${RULE_TYPES[rule.type]}: ${rule.value}`;
   }
 
-  return (
-    <div style={styles.page}>
-      <nav style={styles.nav}>
-        <span style={styles.navTitle}>📱 Timeline Watcher</span>
-      </nav>
+  async function fetchSinks() {
+    try {
+      const res = await accountApi('/sinks');
+      if (res.ok) setSinks(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch sinks:', err);
+    }
+  }
 
-      <main style={styles.main}>
-        {message && (
-          <div style={{...styles.toast, ...(message.type === 'error' ? styles.toastError : styles.toastSuccess)}}>
-            {message.text}
-            <button style={styles.toastClose} onClick={() => setMessage(null)}>×</button>
+  async function sinkRequest(path, method, body) {
+    setMessage(null);
+    try {
+      const res = await accountApi(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Sink request failed');
+      fetchSinks();
+      return data;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      return null;
+    }
+  }
+
+  async function saveSink() {
+    const { id, secret, ...sink } = sinkForm;
+    if (sink.config.port) sink.config = { ...sink.config, port: parseInt(sink.config.port) };
+    if (sink.config.payload_version) sink.config = { ...sink.config, payload_version: parseInt(sink.config.payload_version) };
+    // An empty password field keeps the stored one
+    if (secret) sink.secret = secret;
+    
+    const saved = await sinkRequest(id ? `/sinks/${id}` : '/sinks', id ? 'PUT' : 'POST', sink);
+    if (saved) {
+      setSinkForm(null);
+      setMessage({ type: 'success', text: 'Sink saved!' });
+    }
+  }
+
+  function editSink(sink) {
+    setSinkForm({ id: sink.id, type: sink.type, name: sink.name || '', enabled: sink.enabled, config: sink.config, secret: '', filter: sink.filter });
+    setSinkRuleForm(EMPTY_RULE);
+  }
+
+  function setSinkConfig(field, value) {
+    setSinkForm({ ...sinkForm, config: { ...sinkForm.config, [field]: value } });
+  }
+
+  function addSinkRule() {
+    const rule = { ...sinkRuleForm };
+    if (rule.type !== 'min_metric') delete rule.metric;
+    setSinkForm({ ...sinkForm, filter: [...sinkForm.filter, rule] });
+    setSinkRuleForm(EMPTY_RULE);
+  }
+
+  async function testSink(sinkId) {
+    const res = await accountApi(`/sinks/${sinkId}/test`, { method: 'POST' });
+    const data = await res.json();
+    setMessage(data.success
+      ? { type: 'success', text: `Test message sent${data.status ? ` (HTTP ${data.status})` : ''}` }
+      : { type: 'error', text: data.error || 'Test failed' });
+  }
+
+  function describeSink(sink) {
+    const { config } = sink;
+    if (sink.type === 'email') return config.to;
+    if (sink.type === 'file') return config.path;
+    return config.url;
+  }
+
+  async function fetchSources() {
+    try {
+      const res = await accountApi('/sources');
+      if (res.ok) setSources(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch sources:', err);
+    }
+  }
+
+  async function sourceRequest(path, method, body) {
+    setMessage(null);
+    try {
+      const res = await accountApi(path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Source request failed');
+      fetchSources();
+      return data;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      return null;
+    }
+  }
+
+  async function saveSource() {
+    const { id, schedule, ...source } = sourceForm;
+    const body = { ...source, ...scheduleBody(schedule) };
+    if (body.type === 'mentions') body.value = null;
+    
+    const saved = await sourceRequest(id ? `/sources/${id}` : '/sources', id ? 'PUT' : 'POST', body);
+    if (saved) {
+      setSourceForm(null);
+      setMessage({ type: 'success', text: 'Source saved!' });
+    }
+  }
+
+  function editSource(source) {
+    setSourceForm({
+      id: source.id,
+      type: source.type,
+      name: source.name || '',
+      value: source.value || '',
+      enabled: source.enabled,
+      schedule: toScheduleForm(source.schedule)
+    });
+  }
+
+  async function previewSchedule() {
+    try {
+      const res = await accountApi('/schedule/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scheduleBody(scheduleForm))
+      });
+      setSchedulePreview(await res.json());
+    } catch (err) {
+      console.error('Failed to preview schedule:', err);
+    }
+  }
+
+  // Run times in the schedule's own timezone
+  function formatRun(iso) {
+    try {
+      return new Date(iso).toLocaleString(undefined, { timeZone: scheduleForm.timezone, timeZoneName: 'short' });
+    } catch {
+      return formatTime(iso);
+    }
+  }
+
+  async function saveConfig() {
+    setSaving(true);
+    setMessage(null);
+    setConfigErrors({});
+    try {
+      const body = {
+        name: config.name,
+        webhook_url: config.webhookUrl,
+        ...scheduleBody(scheduleForm),
+        max_tweets_per_poll: parseInt(config.maxTweetsPerPoll),
+        archive_retention_days: parseInt(config.archiveRetentionDays),
+        openclaw_mode: config.openclawMode,
+        webhook_payload_version: parseInt(config.webhookPayloadVersion),
+        webhook_include_message: config.webhookIncludeMessage,
+        message_template_id: config.messageTemplateId ? parseInt(config.messageTemplateId) : null
+      };
+      
+      const res = await accountApi('/config', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      
+      if (res.ok) {
+        setMessage({ type: 'success', text: 'Config saved!' });
+        fetchConfig();
+        fetchStatus();
+        fetchAccounts(accountId);
+      } else {
+        throw await configError(res);
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  // Scoring and grouping are saved on their own, without the rest of the settings
+  async function saveConfigPart(body, text) {
+    setSaving(true);
+    setMessage(null);
+    setConfigErrors({});
+    try {
+      const res = await accountApi('/config', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      
+      if (res.ok) {
+        setMessage({ type: 'success', text });
+        fetchConfig();
+        fetchDigest();
+      } else {
+        throw await configError(res);
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  // A rejected save puts each error next to its input; the toast only points at them
+  async function configError(res) {
+    const data = await res.json();
+    if (!data.fields) return new Error(data.error || 'Failed to save');
+    setConfigErrors(data.fields);
+    return new Error('Some settings are not valid, see the errors below.');
+  }
+
+  async function fetchConfigHistory() {
+    try {
+      const res = await accountApi('/config/history?limit=10');
+      if (res.ok) setConfigHistory(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch settings history:', err);
+    }
+  }
+
+  async function rollbackConfig(revision) {
+    if (!window.confirm(`Restore the settings as they were after change #${revision.id}? Credentials are not touched.`)) return;
+    setMessage(null);
+    setConfigErrors({});
+    try {
+      const res = await accountApi(`/config/history/${revision.id}/rollback`, { method: 'POST' });
+      if (!res.ok) throw await configError(res);
+      const data = await res.json();
+      setMessage({ type: 'success', text: data.revision ? 'Settings restored!' : 'The settings were already like that.' });
+      fetchConfig();
+      fetchStatus();
+      fetchDigest();
+      fetchConfigHistory();
+      fetchAccounts(accountId);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }
+
+  async function saveCredentials() {
+    setSaving(true);
+    setMessage(null);
+    setConfigErrors({});
+    try {
+      const res = await accountApi('/config', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
+      });
+      
+      if (res.ok) {
+        setMessage({ type: 'success', text: 'Credentials saved!' });
+        setShowCredentials(false);
+        setCredentials({ x_client_id: '', x_client_secret: '' });
+        fetchConfig();
+      } else {
+        throw await configError(res);
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function connectAccount() {
+    setConnecting(true);
+    setMessage(null);
+    try {
+      const res = await accountApi('/oauth/start', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to start authorization');
+      window.location.href = data.url;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      setConnecting(false);
+    }
+  }
+
+  // Polls run as jobs on the API; follow the one that was started (or was already
+  // running) until it finishes
+  async function triggerPoll(sourceId = null) {
+    setPolling(true);
+    setMessage(null);
+    try {
+      const res = await accountApi(sourceId ? `/sources/${sourceId}/poll` : '/poll', { method: 'POST' });
+      const data = await res.json();
+      if (res.status === 409 && data.job) {
+        setMessage({ type: 'success', text: 'A poll is already running, following it.' });
+        return await followPollJob(data.job);
+      }
+      if (!res.ok) throw new Error(data.error || 'Failed to start poll');
+      await followPollJob(data);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      setPolling(false);
+    }
+  }
+
+  // A poll started before the page was loaded, e.g. from another tab
+  async function resumePollJob() {
+    try {
+      const res = await accountApi('/jobs?limit=5');
+      if (!res.ok) return;
+      const active = (await res.json()).find(j => j.status === 'queued' || j.status === 'running');
+      if (active) {
+        setPolling(true);
+        followPollJob(active);
+      }
+    } catch (err) {
+      console.error('Failed to fetch poll jobs:', err);
+    }
+  }
+
+  async function followPollJob(job) {
+    try {
+      setPollJob(job);
+      while (job.status === 'queued' || job.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+        const res = await accountApi(`/jobs/${job.id}`);
+        if (!res.ok) throw new Error('Lost track of the poll');
+        job = await res.json();
+        setPollJob(job);
+      }
+      
+      const data = job.result || { error: job.error };
+      if (job.status === 'cancelled') {
+        setMessage({ type: 'success', text: 'Poll cancelled, nothing was stored or sent.' });
+      } else if (data.success) {
+        const failed = data.deliveries - data.delivered;
+        const retrying = failed > 0 ? ` ${failed} deliver${failed === 1 ? 'y' : 'ies'} failed, will be retried.` : '';
+        const truncated = data.truncated ? ` Stopped after ${data.pages} pages, older tweets were skipped.` : '';
+        const queued = data.queued ? ` ${data.queued} queued for the next digest.` : '';
+        setMessage({ type: 'success', text: `Poll complete! Found ${data.found} tweets, ${data.new} new, ${data.filtered || 0} filtered out.${truncated}${queued}${retrying}` });
+      } else {
+        setMessage({ type: 'error', text: data.error || 'Poll failed' });
+      }
+      
+      fetchStatus();
+      fetchPolls();
+      fetchDeliveries();
+      fetchDigest();
+      if (job.sourceId) fetchSources();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setPolling(false);
+      setPollJob(null);
+    }
+  }
+
+  async function cancelPoll() {
+    const res = await accountApi(`/jobs/${pollJob.id}/cancel`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) return setMessage({ type: 'error', text: data.error || 'Failed to cancel poll' });
+    setPollJob(data);
+  }
+
+  function formatTime(iso) {
+    if (!iso) return '—';
+    return new Date(iso).toLocaleString();
+  }
+
+  const timelineQuota = status?.rateLimits?.find(r => r.endpoint === 'timeline');
+
+  if (!authChecked) {
+    return <div style={styles.page}><div style={styles.loading}>Loading...</div></div>;
+  }
+
+  if (!token) {
+    return (
+      <div style={styles.page}>
+        <nav style={styles.nav}>
+          <span style={styles.navTitle}>📱 Timeline Watcher</span>
+        </nav>
+        <main style={styles.main}>
+          {message && (
+            <div style={{...styles.toast, ...styles.toastError}}>
+              {message.text}
+              <button style={styles.toastClose} onClick={() => setMessage(null)}>×</button>
+            </div>
+          )}
+          <form style={styles.section} onSubmit={login}>
+            <div style={styles.sectionHeader}>
+              <h2 style={styles.sectionTitle}>Sign in</h2>
+            </div>
+            <div style={styles.sectionBody}>
+              <label style={styles.label}>Username</label>
+              <input
+                style={styles.input}
+                type="text"
+                autoComplete="username"
+                value={loginForm.username}
+                onChange={e => setLoginForm({...loginForm, username: e.target.value})}
+              />
+              
+              <label style={styles.label}>Password</label>
+              <input
+                style={styles.input}
+                type="password"
+                autoComplete="current-password"
+                value={loginForm.password}
+                onChange={e => setLoginForm({...loginForm, password: e.target.value})}
+              />
+              
+              <button style={styles.btnPrimary} type="submit" disabled={loggingIn}>
+                {loggingIn ? 'Signing in...' : 'Sign in'}
+              </button>
+            </div>
+          </form>
+        </main>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div style={styles.page}><div style={styles.loading}>Loading...</div></div>;
+  }
+
+  return (
+    <div style={styles.page}>
+      <nav style={styles.nav}>
+        <span style={styles.navTitle}>📱 Timeline Watcher</span>
+        <div style={styles.navActions}>
+          <select
+            style={styles.accountSelect}
+            value={accountId || ''}
+            onChange={e => selectAccount(parseInt(e.target.value))}
+          >
+            {accounts.map(a => (
+              <option key={a.id} value={a.id}>{a.name}</option>
+            ))}
+          </select>
+          <button style={styles.btnSmall} onClick={addAccount}>+ Account</button>
+          <button style={styles.btnSmall} onClick={logout}>Log out</button>
+        </div>
+      </nav>
+
+      <main style={styles.main}>
+        {message && (
+          <div style={{...styles.toast, ...(message.type === 'error' ? styles.toastError : styles.toastSuccess)}}>
+            {message.text}
+            <button style={styles.toastClose} onClick={() => setMessage(null)}>×</button>
+          </div>
+        )}
+
+        {/* Status */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Status</h2>
+            <span style={{...styles.badge, ...(status?.configured ? styles.badgeGreen : styles.badgeRed)}}>
+              {status?.configured ? '● Configured' : '○ Not configured'}
+            </span>
+          </div>
+          <div style={styles.sectionBody}>
+            <div style={styles.grid}>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Last Poll</span>
+                <span style={styles.statValue}>
+                  {status?.lastPoll ? formatTime(status.lastPoll.created_at) : '—'}
+                </span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Tweets Tracked</span>
+                <span style={styles.statValue}>{status?.seenTweets || 0}</span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Next Poll</span>
+                <span style={styles.statValue}>{formatTime(status?.schedule?.nextRunAt)}</span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Last Result</span>
+                <span style={styles.statValue}>
+                  {status?.lastPoll ? `${status.lastPoll.tweets_new} new` : '—'}
+                </span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Pending Deliveries</span>
+                <span style={styles.statValue}>{status?.pendingDeliveries || 0}</span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Dead Letters</span>
+                <span style={{...styles.statValue, color: status?.deadDeliveries ? '#f66' : undefined}}>
+                  {status?.deadDeliveries || 0}
+                </span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>X API Quota</span>
+                <span
+                  style={styles.statValue}
+                  title={status?.rateLimits?.map(r => `${r.endpoint}: ${r.remaining}/${r.limit ?? '?'}, resets ${formatTime(r.reset_at)}`).join('\n')}
+                >
+                  {timelineQuota ? `${timelineQuota.remaining}/${timelineQuota.limit ?? '?'} timeline calls` : '—'}
+                </span>
+              </div>
+              <div style={styles.stat}>
+                <span style={styles.statLabel}>Next Allowed Call</span>
+                <span style={{...styles.statValue, color: status?.nextAllowedCallAt ? '#fa0' : undefined}}>
+                  {status?.nextAllowedCallAt ? formatTime(status.nextAllowedCallAt) : 'Now'}
+                </span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Credentials */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>X API Credentials</h2>
+            <button style={styles.btnSmall} onClick={() => setShowCredentials(!showCredentials)}>
+              {showCredentials ? 'Hide' : config.hasCredentials ? 'Update' : 'Setup'}
+            </button>
+          </div>
+          {showCredentials && (
+            <div style={styles.sectionBody}>
+              <label style={styles.label}>Client ID</label>
+              <input
+                style={styles.input}
+                type="text"
+                value={credentials.x_client_id}
+                onChange={e => setCredentials({...credentials, x_client_id: e.target.value})}
+                placeholder="From X Developer Portal"
+              />
+              <FieldError error={configErrors.x_client_id} />
+              
+              <label style={styles.label}>Client Secret</label>
+              <input
+                style={styles.input}
+                type="password"
+                value={credentials.x_client_secret}
+                onChange={e => setCredentials({...credentials, x_client_secret: e.target.value})}
+                placeholder="From X Developer Portal"
+              />
+              <FieldError error={configErrors.x_client_secret} />
+              
+              <button style={styles.btnPrimary} onClick={saveCredentials} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Credentials'}
+              </button>
+            </div>
+          )}
+          {!showCredentials && (
+            <div style={styles.sectionBody}>
+              <div style={styles.statusRow}>
+                <span>API Keys: {config.hasCredentials ? '✅ Set' : '❌ Missing'}</span>
+                <span>OAuth Tokens: {config.hasTokens ? '✅ Set' : '❌ Missing'}</span>
+              </div>
+              <button
+                style={styles.btnPrimary}
+                onClick={connectAccount}
+                disabled={connecting || !config.hasCredentials}
+              >
+                {connecting ? 'Redirecting...' : config.hasTokens ? 'Reconnect X account' : 'Connect X account'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Settings */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Settings</h2>
+          </div>
+          <div style={styles.sectionBody}>
+            <label style={styles.label}>Account Name</label>
+            <input
+              style={styles.input}
+              type="text"
+              value={config.name || ''}
+              onChange={e => setConfig({...config, name: e.target.value})}
+            />
+            <FieldError error={configErrors.name} />
+            
+            <label style={styles.label}>Webhook URL (your OpenClaw server)</label>
+            <input
+              style={styles.input}
+              type="url"
+              value={config.webhookUrl || ''}
+              onChange={e => setConfig({...config, webhookUrl: e.target.value})}
+              placeholder="http://your-ec2:3001/webhook"
+            />
+            <FieldError error={configErrors.webhook_url} />
+            
+            <ScheduleFields schedule={scheduleForm} onChange={setScheduleForm} errors={configErrors} />
+            <FieldError error={configErrors.schedule} />
+            
+            {schedulePreview && (
+              <div style={styles.schedulePreview}>
+                {schedulePreview.error ? (
+                  <span style={styles.pollError}>{schedulePreview.error}</span>
+                ) : (
+                  <>
+                    <span style={styles.statLabel}>Next runs</span>
+                    {schedulePreview.runs.map(run => <div key={run}>{formatRun(run)}</div>)}
+                  </>
+                )}
+              </div>
+            )}
+            
+            <label style={styles.label}>Tweets per Page</label>
+            <input
+              style={styles.input}
+              type="number"
+              min="10"
+              max="100"
+              value={config.maxTweetsPerPoll}
+              onChange={e => setConfig({...config, maxTweetsPerPoll: e.target.value})}
+            />
+            <FieldError error={configErrors.max_tweets_per_poll} />
+            <p style={{...styles.hint, marginTop: 8}}>
+              Each poll pages back to the newest tweet of the previous one
+              {config.sinceId ? ` (${config.sinceId})` : ''}.
+            </p>
+            
+            <label style={styles.label}>Keep Archived Tweets (days)</label>
+            <input
+              style={styles.input}
+              type="number"
+              min="1"
+              value={config.archiveRetentionDays}
+              onChange={e => setConfig({...config, archiveRetentionDays: e.target.value})}
+            />
+            <FieldError error={configErrors.archive_retention_days} />
+            
+            <label style={styles.label}>OpenClaw Mode</label>
+            <select
+              style={styles.select}
+              value={config.openclawMode}
+              onChange={e => setConfig({...config, openclawMode: e.target.value})}
+            >
+              <option value="next-heartbeat">Next Heartbeat (batched)</option>
+              <option value="now">Now (immediate)</option>
+            </select>
+            <FieldError error={configErrors.openclaw_mode} />
+            
+            <label style={styles.label}>Webhook Payload</label>
+            <select
+              style={styles.select}
+              value={config.webhookPayloadVersion}
+              onChange={e => setConfig({...config, webhookPayloadVersion: e.target.value})}
+            >
+              <option value="1">v1 (formatted message only)</option>
+              <option value="2">v2 (structured tweets + poll metadata)</option>
+            </select>
+            <FieldError error={configErrors.webhook_payload_version} />
+            {parseInt(config.webhookPayloadVersion) === 2 && (
+              <label style={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  checked={config.webhookIncludeMessage}
+                  onChange={e => setConfig({...config, webhookIncludeMessage: e.target.checked})}
+                />
+                Include the formatted message
+              </label>
+            )}
+            
+            <label style={styles.label}>Message Template</label>
+            <TemplateSelect
+              templates={templates}
+              value={config.messageTemplateId}
+              onChange={value => setConfig({...config, messageTemplateId: value})}
+            />
+            <FieldError error={configErrors.message_template_id} />
+            
+            <div style={styles.buttonRow}>
+              <button style={styles.btnPrimary} onClick={saveConfig} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Settings'}
+              </button>
+              {accounts.length > 1 && (
+                <button style={styles.btnDanger} onClick={deleteAccount}>Delete Account</button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Relevance Scoring */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Relevance Scoring</h2>
+          </div>
+          <div style={styles.sectionBody}>
+            <label style={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={scoringForm.enabled}
+                onChange={e => setScoringForm({...scoringForm, enabled: e.target.checked})}
+              />
+              Rank new tweets by score, best first
+            </label>
+            
+            {scoringForm.enabled && (
+              <>
+                {Object.entries(SCORING_SIGNALS).map(([signal, label]) => (
+                  <div key={signal}>
+                    <label style={styles.label}>{label} weight</label>
+                    <input
+                      style={styles.input}
+                      type="number"
+                      step="0.1"
+                      value={scoringForm.weights[signal]}
+                      onChange={e => setScoringForm({
+                        ...scoringForm,
+                        weights: {...scoringForm.weights, [signal]: e.target.value}
+                      })}
+                    />
+                  </div>
+                ))}
+                
+                <label style={styles.label}>Keyword Weights</label>
+                <textarea
+                  style={{...styles.input, minHeight: 80, fontFamily: 'monospace'}}
+                  value={scoringForm.keywords}
+                  onChange={e => setScoringForm({...scoringForm, keywords: e.target.value})}
+                  placeholder={'bitcoin: 2\nairdrop: -3'}
+                />
+                <p style={{...styles.hint, marginTop: 8}}>
+                  One "keyword: weight" per line. A tweet containing the keyword gets its weight added to the score.
+                </p>
+                
+                <label style={styles.label}>Keep Top N per Poll</label>
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="1"
+                  value={scoringForm.topN}
+                  onChange={e => setScoringForm({...scoringForm, topN: e.target.value})}
+                  placeholder="All"
+                />
+                <p style={{...styles.hint, marginTop: 8}}>
+                  Velocity is engagement per hour since the tweet was posted, affinity grows with how many of the
+                  author's tweets were delivered in the last 30 days, recency halves every 6 hours.
+                </p>
+              </>
+            )}
+            
+            <FieldError error={configErrors.scoring} />
+            <div style={styles.buttonRow}>
+              <button
+                style={styles.btnPrimary}
+                onClick={() => saveConfigPart({ scoring: scoringBody(scoringForm) }, 'Scoring saved!')}
+                disabled={saving}
+              >
+                {saving ? 'Saving...' : 'Save Scoring'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Duplicates & Threads */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Duplicates & Threads</h2>
+          </div>
+          <div style={styles.sectionBody}>
+            <label style={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={groupingForm.enabled}
+                onChange={e => setGroupingForm({...groupingForm, enabled: e.target.checked})}
+              />
+              Collapse related tweets into one entry of the batch
+            </label>
+            
+            {groupingForm.enabled && (
+              <>
+                <label style={styles.checkbox}>
+                  <input
+                    type="checkbox"
+                    checked={groupingForm.threads}
+                    onChange={e => setGroupingForm({...groupingForm, threads: e.target.checked})}
+                  />
+                  Tweets from the same thread
+                </label>
+                <label style={styles.checkbox}>
+                  <input
+                    type="checkbox"
+                    checked={groupingForm.links}
+                    onChange={e => setGroupingForm({...groupingForm, links: e.target.checked})}
+                  />
+                  Tweets sharing a link
+                </label>
+                
+                <label style={styles.label}>Similar Text</label>
+                <select
+                  style={styles.select}
+                  value={groupingForm.similarity === null ? '' : String(groupingForm.similarity)}
+                  onChange={e => setGroupingForm({
+                    ...groupingForm,
+                    similarity: e.target.value ? parseFloat(e.target.value) : null
+                  })}
+                >
+                  {!(String(groupingForm.similarity ?? '') in SIMILARITY_LEVELS) && (
+                    <option value={groupingForm.similarity}>Custom ({groupingForm.similarity})</option>
+                  )}
+                  {Object.entries(SIMILARITY_LEVELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <p style={{...styles.hint, marginTop: 8}}>
+                  Grouped tweets reach the webhook as one entry with a count and the list of authors.
+                </p>
+              </>
+            )}
+            
+            <FieldError error={configErrors.grouping} />
+            <div style={styles.buttonRow}>
+              <button
+                style={styles.btnPrimary}
+                onClick={() => saveConfigPart({ grouping: groupingForm }, 'Grouping saved!')}
+                disabled={saving}
+              >
+                {saving ? 'Saving...' : 'Save Grouping'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Digest */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Digest</h2>
+            {digest?.pending > 0 && <span style={styles.pollCount}>{digest.pending} tweets pending</span>}
+          </div>
+          <div style={styles.sectionBody}>
+            <label style={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={digestForm.enabled}
+                onChange={e => setDigestForm({...digestForm, enabled: e.target.checked})}
+              />
+              Queue tweets and send them as a digest at set times
+            </label>
+            
+            {digestForm.enabled && (
+              <>
+                <label style={styles.label}>Send At ({config.schedule?.timezone || 'UTC'})</label>
+                <input
+                  style={styles.input}
+                  type="text"
+                  value={digestForm.times}
+                  onChange={e => setDigestForm({...digestForm, times: e.target.value})}
+                  placeholder="08:00, 18:00"
+                />
+                <FieldError error={configErrors.digest_times} />
+                
+                <label style={styles.label}>Group By</label>
+                <select
+                  style={styles.select}
+                  value={digestForm.groupBy}
+                  onChange={e => setDigestForm({...digestForm, groupBy: e.target.value})}
+                >
+                  {Object.entries(DIGEST_GROUPS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                
+                <label style={styles.label}>Max Tweets per Digest</label>
+                <input
+                  style={styles.input}
+                  type="number"
+                  min="1"
+                  max="500"
+                  value={digestForm.maxTweets}
+                  onChange={e => setDigestForm({...digestForm, maxTweets: e.target.value})}
+                />
+                <FieldError error={configErrors.digest_max_tweets} />
+                <p style={{...styles.hint, marginTop: 8}}>
+                  The best scored (or newest) tweets make the cut, the rest are dropped from the queue.
+                  {digest?.nextAt && ` Next digest: ${formatTime(digest.nextAt)}.`}
+                </p>
+              </>
+            )}
+            
+            <FieldError error={configErrors.digest} />
+            <div style={styles.buttonRow}>
+              <button
+                style={styles.btnPrimary}
+                onClick={() => saveConfigPart({
+                  digest_enabled: digestForm.enabled,
+                  digest_times: digestForm.times.split(',').map(t => t.trim()).filter(Boolean),
+                  digest_group_by: digestForm.groupBy,
+                  digest_max_tweets: parseInt(digestForm.maxTweets)
+                }, 'Digest saved!')}
+                disabled={saving}
+              >
+                {saving ? 'Saving...' : 'Save Digest'}
+              </button>
+              {digest?.pending > 0 && (
+                <button style={styles.btnSecondary} onClick={sendDigest} disabled={sendingDigest}>
+                  {sendingDigest ? 'Sending...' : 'Send Digest Now'}
+                </button>
+              )}
+            </div>
+            
+            {digest?.payload && (
+              <div style={{...styles.pollList, marginTop: 20}}>
+                {digest.payload.digest.omitted > 0 && (
+                  <p style={styles.hint}>{digest.payload.digest.omitted} tweets over the limit will be left out</p>
+                )}
+                {digest.payload.sections.map(section => (
+                  <div key={section.title}>
+                    <div style={styles.archiveMeta}>
+                      <strong>{section.title}</strong>
+                      <span>{section.tweet_ids.length}</span>
+                    </div>
+                    {section.tweet_ids.map(id => {
+                      const tweet = digest.payload.tweets.find(t => t.id === id);
+                      return (
+                        <a key={id} href={tweet.url} target="_blank" rel="noreferrer" style={styles.archiveItem}>
+                          <div style={styles.archiveMeta}>
+                            <span>{tweet.author.username ? `@${tweet.author.username}` : tweet.author.id}</span>
+                            {tweet.source && <span>{tweet.source.name}</span>}
+                            {tweet.group && <span>{tweet.group.count} grouped</span>}
+                            {tweet.score !== undefined && <span>score {tweet.score}</span>}
+                          </div>
+                          <div>{tweet.text}</div>
+                        </a>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Settings History */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Settings History</h2>
+          </div>
+          <div style={styles.sectionBody}>
+            {configHistory.length === 0 ? (
+              <p style={styles.hint}>No changes saved yet</p>
+            ) : (
+              <div style={styles.pollList}>
+                {configHistory.map((revision, i) => (
+                  <div key={revision.id} style={{...styles.pollItem, alignItems: 'flex-start'}}>
+                    <span style={styles.pollTime}>{formatTime(revision.createdAt)}</span>
+                    <div style={{flex: 1}}>
+                      <div style={styles.pollCount}>
+                        #{revision.id}{revision.username && ` by ${revision.username}`}
+                        {revision.rollbackOf && `, back to #${revision.rollbackOf}`}
+                      </div>
+                      {Object.entries(revision.changes).map(([field, change]) => (
+                        <div key={field}>
+                          {field}: {formatSetting(change.from)} → {formatSetting(change.to)}
+                        </div>
+                      ))}
+                    </div>
+                    {i > 0 && (
+                      <button style={styles.btnSmall} onClick={() => rollbackConfig(revision)}>Roll back</button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
-        )}
+        </div>
 
-        {/* Status */}
+        {/* Message Templates */}
         <div style={styles.section}>
           <div style={styles.sectionHeader}>
-            <h2 style={styles.sectionTitle}>Status</h2>
-            <span style={{...styles.badge, ...(status?.configured ? styles.badgeGreen : styles.badgeRed)}}>
-              {status?.configured ? '● Configured' : '○ Not configured'}
-            </span>
+            <h2 style={styles.sectionTitle}>Message Templates</h2>
+            {!templateForm && <button style={styles.btnSmall} onClick={newTemplate}>+ Template</button>}
           </div>
           <div style={styles.sectionBody}>
-            <div style={styles.grid}>
-              <div style={styles.stat}>
-                <span style={styles.statLabel}>Last Poll</span>
-                <span style={styles.statValue}>
-                  {status?.lastPoll ? formatTime(status.lastPoll.created_at) : '—'}
-                </span>
-              </div>
-              <div style={styles.stat}>
-                <span style={styles.statLabel}>Tweets Tracked</span>
-                <span style={styles.statValue}>{status?.seenTweets || 0}</span>
-              </div>
-              <div style={styles.stat}>
-                <span style={styles.statLabel}>Poll Interval</span>
-                <span style={styles.statValue}>{status?.pollIntervalHours || 6}h</span>
+            {templates.length === 0 && !templateForm && (
+              <p style={styles.hint}>No templates, every message uses the built-in format.</p>
+            )}
+            {templates.length > 0 && (
+              <div style={styles.pollList}>
+                {templates.map(t => (
+                  <div key={t.id} style={styles.pollItem}>
+                    <span style={styles.pollCount}>{t.name}</span>
+                    {config.messageTemplateId === t.id && <span style={styles.pollWarning}>webhook</span>}
+                    <button
+                      style={{...styles.btnSmall, marginLeft: 'auto'}}
+                      onClick={() => setTemplateForm({ id: t.id, name: t.name, body: t.body })}
+                    >
+                      Edit
+                    </button>
+                    <button style={styles.btnSmall} onClick={() => deleteTemplate(t.id)}>Delete</button>
+                  </div>
+                ))}
               </div>
-              <div style={styles.stat}>
-                <span style={styles.statLabel}>Last Result</span>
-                <span style={styles.statValue}>
-                  {status?.lastPoll ? `${status.lastPoll.tweets_new} new` : '—'}
-                </span>
+            )}
+            
+            {templateForm && (
+              <div style={{marginTop: templates.length > 0 ? 20 : 0}}>
+                <label style={styles.label}>Name</label>
+                <input
+                  style={styles.input}
+                  type="text"
+                  value={templateForm.name}
+                  onChange={e => setTemplateForm({...templateForm, name: e.target.value})}
+                  placeholder="English prompt"
+                />
+                
+                <label style={styles.label}>Template</label>
+                <textarea
+                  style={{...styles.input, minHeight: 200, fontFamily: 'monospace'}}
+                  value={templateForm.body}
+                  onChange={e => setTemplateForm({...templateForm, body: e.target.value})}
+                />
+                <p style={{...styles.hint, marginTop: 8}}>
+                  {'{{title}}, {{count}}, {{account.name}}, {{source.name}}, {{poll.tweets_new}}, '}
+                  {'{{#each tweets}} with {{text}}, {{url}}, {{author.username}}, {{metrics.likes}}, {{score}}, '}
+                  {'{{hot}}, {{group_note}} {{/each}}, {{#if field}} ... {{else}} ... {{/if}}.'}
+                </p>
+                
+                <label style={styles.label}>
+                  Preview {templatePreview?.sample ? '(sample batch)' : templatePreview?.pollId ? `(poll #${templatePreview.pollId})` : ''}
+                </label>
+                {templatePreview?.error ? (
+                  <p style={styles.pollError}>{templatePreview.error}</p>
+                ) : (
+                  <pre style={styles.templatePreview}>{templatePreview?.message}</pre>
+                )}
+                
+                <div style={styles.buttonRow}>
+                  <button style={styles.btnPrimary} onClick={saveTemplate}>
+                    {templateForm.id ? 'Save Template' : 'Add Template'}
+                  </button>
+                  <button style={styles.btnDanger} onClick={() => setTemplateForm(null)}>Cancel</button>
+                </div>
               </div>
-            </div>
+            )}
           </div>
         </div>
 
-        {/* Credentials */}
+        {/* Sources */}
         <div style={styles.section}>
           <div style={styles.sectionHeader}>
-            <h2 style={styles.sectionTitle}>X API Credentials</h2>
-            <button style={styles.btnSmall} onClick={() => setShowCredentials(!showCredentials)}>
-              {showCredentials ? 'Hide' : config.hasCredentials ? 'Update' : 'Setup'}
-            </button>
+            <h2 style={styles.sectionTitle}>Sources</h2>
+            {!sourceForm && (
+              <button style={styles.btnSmall} onClick={() => setSourceForm(EMPTY_SOURCE)}>+ Source</button>
+            )}
           </div>
-          {showCredentials && (
-            <div style={styles.sectionBody}>
-              <label style={styles.label}>Client ID</label>
-              <input
-                style={styles.input}
-                type="text"
-                value={credentials.x_client_id}
-                onChange={e => setCredentials({...credentials, x_client_id: e.target.value})}
-                placeholder="From X Developer Portal"
-              />
-              
-              <label style={styles.label}>Client Secret</label>
-              <input
-                style={styles.input}
-                type="password"
-                value={credentials.x_client_secret}
-                onChange={e => setCredentials({...credentials, x_client_secret: e.target.value})}
-                placeholder="From X Developer Portal"
-              />
-              
-              <label style={styles.label}>Access Token</label>
-              <input
-                style={styles.input}
-                type="password"
-                value={credentials.access_token}
-                onChange={e => setCredentials({...credentials, access_token: e.target.value})}
-                placeholder="From OAuth flow"
-              />
-              
-              <label style={styles.label}>Refresh Token</label>
-              <input
-                style={styles.input}
-                type="password"
-                value={credentials.refresh_token}
-                onChange={e => setCredentials({...credentials, refresh_token: e.target.value})}
-                placeholder="From OAuth flow"
-              />
-              
-              <button style={styles.btnPrimary} onClick={saveCredentials} disabled={saving}>
-                {saving ? 'Saving...' : 'Save Credentials'}
-              </button>
-            </div>
-          )}
-          {!showCredentials && (
-            <div style={styles.sectionBody}>
-              <div style={styles.statusRow}>
-                <span>API Keys: {config.hasCredentials ? '✅ Set' : '❌ Missing'}</span>
-                <span>OAuth Tokens: {config.hasTokens ? '✅ Set' : '❌ Missing'}</span>
+          <div style={styles.sectionBody}>
+            <p style={styles.hint}>
+              The home timeline follows the schedule above. Lists, users, mentions and searches
+              poll on their own schedule and go through the same filter rules and sinks.
+            </p>
+            {sources.length > 0 && (
+              <div style={styles.pollList}>
+                {sources.map(source => (
+                  <div key={source.id} style={{...styles.pollItem, opacity: source.enabled ? 1 : 0.5}}>
+                    <span style={{...styles.pollStatus, minWidth: 70}}>{SOURCE_TYPES[source.type]}</span>
+                    <span style={styles.pollCount} title={`Next poll: ${formatTime(source.schedule.nextRunAt)}`}>
+                      {source.label}
+                    </span>
+                    <span style={styles.ruleActions}>
+                      <button
+                        style={styles.btnSmall}
+                        onClick={() => triggerPoll(source.id)}
+                        disabled={polling || !status?.configured}
+                      >
+                        Poll
+                      </button>
+                      <button style={styles.btnSmall} onClick={() => editSource(source)}>Edit</button>
+                      <button
+                        style={styles.btnSmall}
+                        onClick={() => sourceRequest(`/sources/${source.id}`, 'PUT', { enabled: !source.enabled })}
+                      >
+                        {source.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button style={styles.btnSmall} onClick={() => sourceRequest(`/sources/${source.id}`, 'DELETE')}>
+                        Delete
+                      </button>
+                    </span>
+                  </div>
+                ))}
               </div>
-            </div>
-          )}
+            )}
+            
+            {sourceForm && (
+              <div style={styles.sinkForm}>
+                <label style={styles.label}>Type</label>
+                <select
+                  style={styles.select}
+                  value={sourceForm.type}
+                  onChange={e => setSourceForm({...sourceForm, type: e.target.value, value: ''})}
+                >
+                  {Object.entries(SOURCE_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                
+                {sourceForm.type !== 'mentions' && (
+                  <>
+                    <label style={styles.label}>
+                      {{ list: 'List ID', user: 'Username', search: 'Search query' }[sourceForm.type]}
+                    </label>
+                    <input
+                      style={styles.input}
+                      type="text"
+                      value={sourceForm.value}
+                      onChange={e => setSourceForm({...sourceForm, value: e.target.value})}
+                      placeholder={{
+                        list: '1234567890',
+                        user: '@jack',
+                        search: 'bitcoin -is:retweet lang:en'
+                      }[sourceForm.type]}
+                    />
+                  </>
+                )}
+                
+                <label style={styles.label}>Name (optional)</label>
+                <input
+                  style={styles.input}
+                  type="text"
+                  value={sourceForm.name}
+                  onChange={e => setSourceForm({...sourceForm, name: e.target.value})}
+                />
+                
+                <ScheduleFields
+                  schedule={sourceForm.schedule}
+                  onChange={schedule => setSourceForm({...sourceForm, schedule})}
+                />
+                
+                <div style={styles.buttonRow}>
+                  <button style={styles.btnPrimary} onClick={saveSource}>
+                    {sourceForm.id ? 'Save Source' : 'Add Source'}
+                  </button>
+                  <button style={styles.btnDanger} onClick={() => setSourceForm(null)}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
         </div>
 
-        {/* Settings */}
+        {/* Webhook Signing */}
         <div style={styles.section}>
           <div style={styles.sectionHeader}>
-            <h2 style={styles.sectionTitle}>Settings</h2>
+            <h2 style={styles.sectionTitle}>Webhook Signing</h2>
+            <button style={styles.btnSmall} onClick={() => setShowSecret(!showSecret)}>
+              {showSecret ? 'Hide' : 'Reveal'}
+            </button>
           </div>
           <div style={styles.sectionBody}>
-            <label style={styles.label}>Webhook URL (your OpenClaw server)</label>
+            <p style={styles.hint}>
+              Every webhook carries webhook-id, webhook-timestamp and webhook-signature headers.
+              Verify them on your server with this secret.
+            </p>
             <input
               style={styles.input}
-              type="url"
-              value={config.webhookUrl || ''}
-              onChange={e => setConfig({...config, webhookUrl: e.target.value})}
-              placeholder="http://your-ec2:3001/webhook"
+              type={showSecret ? 'text' : 'password'}
+              value={signing?.secret || ''}
+              readOnly
+              onFocus={e => e.target.select()}
             />
+            {signing?.previousSecretExpiresAt && (
+              <p style={{...styles.hint, marginTop: 8}}>
+                The previous secret is also accepted until {formatTime(signing.previousSecretExpiresAt)}.
+              </p>
+            )}
             
-            <label style={styles.label}>Poll Interval (hours)</label>
-            <select
-              style={styles.select}
-              value={config.pollIntervalHours}
-              onChange={e => setConfig({...config, pollIntervalHours: e.target.value})}
-            >
-              <option value="1">Every 1 hour</option>
-              <option value="2">Every 2 hours</option>
-              <option value="4">Every 4 hours</option>
-              <option value="6">Every 6 hours</option>
-              <option value="12">Every 12 hours</option>
-              <option value="24">Every 24 hours</option>
-            </select>
-            
-            <label style={styles.label}>Max Tweets per Poll</label>
+            <label style={styles.label}>Grace period for the current secret (hours)</label>
             <input
               style={styles.input}
               type="number"
-              min="10"
-              max="100"
-              value={config.maxTweetsPerPoll}
-              onChange={e => setConfig({...config, maxTweetsPerPoll: e.target.value})}
+              min="0"
+              max="720"
+              value={graceHours}
+              onChange={e => setGraceHours(e.target.value)}
             />
+            <button style={styles.btnPrimary} onClick={rotateSecret}>Rotate Secret</button>
+          </div>
+        </div>
+
+        {/* Filter Rules */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Filter Rules</h2>
+          </div>
+          <div style={styles.sectionBody}>
+            <p style={styles.hint}>
+              Exclude rules drop matching tweets. If there are include rules, a tweet must match at least one of them.
+            </p>
+            {rules.length > 0 && (
+              <div style={styles.pollList}>
+                {rules.map(rule => (
+                  <div key={rule.id} style={{...styles.pollItem, opacity: rule.enabled ? 1 : 0.5}}>
+                    <span style={{...styles.pollStatus, color: rule.action === 'include' ? '#0c8' : '#f66', minWidth: 60}}>
+                      {rule.action}
+                    </span>
+                    <span style={styles.pollCount}>{describeRule(rule)}</span>
+                    <span style={styles.ruleActions}>
+                      <button
+                        style={styles.btnSmall}
+                        onClick={() => saveRule(`/rules/${rule.id}`, 'PUT', { enabled: !rule.enabled })}
+                      >
+                        {rule.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button style={styles.btnSmall} onClick={() => saveRule(`/rules/${rule.id}`, 'DELETE')}>
+                        Delete
+                      </button>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
             
-            <label style={styles.label}>OpenClaw Mode</label>
-            <select
-              style={styles.select}
-              value={config.openclawMode}
-              onChange={e => setConfig({...config, openclawMode: e.target.value})}
-            >
-              <option value="next-heartbeat">Next Heartbeat (batched)</option>
-              <option value="now">Now (immediate)</option>
-            </select>
+            <RuleFields rule={ruleForm} onChange={setRuleForm} />
+            <button style={styles.btnPrimary} onClick={addRule}>Add Rule</button>
+          </div>
+        </div>
+
+        {/* Sinks */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Sinks</h2>
+            {!sinkForm && (
+              <button style={styles.btnSmall} onClick={() => { setSinkForm(EMPTY_SINK); setSinkRuleForm(EMPTY_RULE); }}>
+                + Sink
+              </button>
+            )}
+          </div>
+          <div style={styles.sectionBody}>
+            <p style={styles.hint}>
+              Extra destinations besides the webhook URL. Each sink gets the tweets that pass the
+              filter rules above and its own filter.
+            </p>
+            {sinks.length > 0 && (
+              <div style={styles.pollList}>
+                {sinks.map(sink => (
+                  <div key={sink.id} style={{...styles.pollItem, opacity: sink.enabled ? 1 : 0.5}}>
+                    <span style={{...styles.pollStatus, minWidth: 90}}>{SINK_TYPES[sink.type]}</span>
+                    <span style={styles.pollCount}>
+                      {sink.name || describeSink(sink)}
+                      {sink.filter.length > 0 && ` (${sink.filter.length} filter rule${sink.filter.length === 1 ? '' : 's'})`}
+                    </span>
+                    <span style={styles.ruleActions}>
+                      <button style={styles.btnSmall} onClick={() => testSink(sink.id)}>Test</button>
+                      <button style={styles.btnSmall} onClick={() => editSink(sink)}>Edit</button>
+                      <button
+                        style={styles.btnSmall}
+                        onClick={() => sinkRequest(`/sinks/${sink.id}`, 'PUT', { enabled: !sink.enabled })}
+                      >
+                        {sink.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button style={styles.btnSmall} onClick={() => sinkRequest(`/sinks/${sink.id}`, 'DELETE')}>
+                        Delete
+                      </button>
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
             
-            <button style={styles.btnPrimary} onClick={saveConfig} disabled={saving}>
-              {saving ? 'Saving...' : 'Save Settings'}
-            </button>
+            {sinkForm && (
+              <div style={styles.sinkForm}>
+                <label style={styles.label}>Type</label>
+                <select
+                  style={styles.select}
+                  value={sinkForm.type}
+                  onChange={e => setSinkForm({...sinkForm, type: e.target.value, config: {}})}
+                >
+                  {Object.entries(SINK_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                
+                <label style={styles.label}>Name</label>
+                <input
+                  style={styles.input}
+                  type="text"
+                  value={sinkForm.name}
+                  onChange={e => setSinkForm({...sinkForm, name: e.target.value})}
+                />
+                
+                {['webhook', 'slack', 'discord'].includes(sinkForm.type) && (
+                  <>
+                    <label style={styles.label}>
+                      {sinkForm.type === 'webhook' ? 'Webhook URL' : 'Incoming webhook URL'}
+                    </label>
+                    <input
+                      style={styles.input}
+                      type="url"
+                      value={sinkForm.config.url || ''}
+                      onChange={e => setSinkConfig('url', e.target.value)}
+                      placeholder={{
+                        webhook: 'https://example.com/webhook',
+                        slack: 'https://hooks.slack.com/services/...',
+                        discord: 'https://discord.com/api/webhooks/...'
+                      }[sinkForm.type]}
+                    />
+                  </>
+                )}
+                
+                {sinkForm.type === 'webhook' && (
+                  <>
+                    <label style={styles.label}>Payload</label>
+                    <select
+                      style={styles.select}
+                      value={sinkForm.config.payload_version || 2}
+                      onChange={e => setSinkConfig('payload_version', e.target.value)}
+                    >
+                      <option value="1">v1 (formatted message only)</option>
+                      <option value="2">v2 (structured tweets + poll metadata)</option>
+                    </select>
+                    <p style={{...styles.hint, marginTop: 8}}>Signed with the account's webhook secret.</p>
+                  </>
+                )}
+                
+                {sinkForm.type === 'email' && (
+                  <>
+                    <label style={styles.label}>SMTP host and port</label>
+                    <div style={styles.ruleForm}>
+                      <input
+                        style={styles.input}
+                        type="text"
+                        value={sinkForm.config.host || ''}
+                        onChange={e => setSinkConfig('host', e.target.value)}
+                        placeholder="smtp.example.com"
+                      />
+                      <input
+                        style={{...styles.input, width: 100}}
+                        type="number"
+                        value={sinkForm.config.port || ''}
+                        onChange={e => setSinkConfig('port', e.target.value)}
+                        placeholder="587"
+                      />
+                    </div>
+                    <label style={styles.checkbox}>
+                      <input
+                        type="checkbox"
+                        checked={!!sinkForm.config.secure}
+                        onChange={e => setSinkConfig('secure', e.target.checked)}
+                      />
+                      Use TLS from the start (port 465)
+                    </label>
+                    
+                    <label style={styles.label}>SMTP username and password</label>
+                    <div style={styles.ruleForm}>
+                      <input
+                        style={styles.input}
+                        type="text"
+                        value={sinkForm.config.username || ''}
+                        onChange={e => setSinkConfig('username', e.target.value)}
+                      />
+                      <input
+                        style={styles.input}
+                        type="password"
+                        value={sinkForm.secret}
+                        onChange={e => setSinkForm({...sinkForm, secret: e.target.value})}
+                        placeholder={sinkForm.id ? 'Unchanged' : ''}
+                      />
+                    </div>
+                    
+                    <label style={styles.label}>From</label>
+                    <input
+                      style={styles.input}
+                      type="text"
+                      value={sinkForm.config.from || ''}
+                      onChange={e => setSinkConfig('from', e.target.value)}
+                      placeholder="Timeline Watcher <watcher@example.com>"
+                    />
+                    
+                    <label style={styles.label}>To (comma-separated)</label>
+                    <input
+                      style={styles.input}
+                      type="text"
+                      value={sinkForm.config.to || ''}
+                      onChange={e => setSinkConfig('to', e.target.value)}
+                    />
+                    
+                    <label style={styles.label}>Subject</label>
+                    <input
+                      style={styles.input}
+                      type="text"
+                      value={sinkForm.config.subject || ''}
+                      onChange={e => setSinkConfig('subject', e.target.value)}
+                      placeholder="Timeline update"
+                    />
+                  </>
+                )}
+                
+                {sinkForm.type === 'file' && (
+                  <>
+                    <label style={styles.label}>File path (inside the API's FILE_SINK_DIR)</label>
+                    <input
+                      style={styles.input}
+                      type="text"
+                      value={sinkForm.config.path || ''}
+                      onChange={e => setSinkConfig('path', e.target.value)}
+                      placeholder="tweets.jsonl"
+                    />
+                  </>
+                )}
+                
+                {['webhook', 'email', 'file'].includes(sinkForm.type) && (
+                  <>
+                    <label style={styles.label}>Message Template</label>
+                    <TemplateSelect
+                      templates={templates}
+                      value={sinkForm.config.template_id}
+                      onChange={value => setSinkConfig('template_id', value ? parseInt(value) : null)}
+                    />
+                  </>
+                )}
+                
+                <label style={styles.label}>Filter</label>
+                {sinkForm.filter.length === 0 && <p style={styles.hint}>No filter, the sink gets every tweet.</p>}
+                {sinkForm.filter.length > 0 && (
+                  <div style={styles.pollList}>
+                    {sinkForm.filter.map((rule, i) => (
+                      <div key={i} style={styles.pollItem}>
+                        <span style={{...styles.pollStatus, color: rule.action === 'include' ? '#0c8' : '#f66', minWidth: 60}}>
+                          {rule.action}
+                        </span>
+                        <span style={styles.pollCount}>{describeRule(rule)}</span>
+                        <button
+                          style={{...styles.btnSmall, marginLeft: 'auto'}}
+                          onClick={() => setSinkForm({...sinkForm, filter: sinkForm.filter.filter((_, j) => j !== i)})}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <RuleFields rule={sinkRuleForm} onChange={setSinkRuleForm} />
+                <button style={{...styles.btnSmall, marginTop: 8}} onClick={addSinkRule}>Add to filter</button>
+                
+                <div style={styles.buttonRow}>
+                  <button style={styles.btnPrimary} onClick={saveSink}>
+                    {sinkForm.id ? 'Save Sink' : 'Add Sink'}
+                  </button>
+                  <button style={styles.btnDanger} onClick={() => setSinkForm(null)}>Cancel</button>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -324,9 +2128,76 @@ export default function Dashboard() {
           </div>
           <div style={styles.sectionBody}>
             <p style={styles.hint}>Trigger a poll manually to fetch your latest timeline.</p>
-            <button style={styles.btnPrimary} onClick={triggerPoll} disabled={polling || !status?.configured}>
-              {polling ? 'Polling...' : 'Poll Now'}
-            </button>
+            <div style={styles.buttonRow}>
+              <button style={styles.btnPrimary} onClick={() => triggerPoll()} disabled={polling || !status?.configured}>
+                {polling ? 'Polling...' : 'Poll Now'}
+              </button>
+              {pollJob && pollJob.stage !== 'deliver' && (
+                <button style={styles.btnDanger} onClick={cancelPoll} disabled={pollJob.cancelRequested}>
+                  {pollJob.cancelRequested ? 'Cancelling...' : 'Cancel'}
+                </button>
+              )}
+            </div>
+            {pollJob && <PollProgress job={pollJob} sources={sources} />}
+          </div>
+        </div>
+
+        {/* Deliveries */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Deliveries</h2>
+            <div style={styles.ruleActions}>
+              <select
+                style={styles.accountSelect}
+                value={deliveryFilter}
+                onChange={e => filterDeliveries(e.target.value)}
+              >
+                <option value="">All</option>
+                <option value="pending">Pending</option>
+                <option value="delivered">Delivered</option>
+                <option value="dead">Dead letters</option>
+              </select>
+              <button style={styles.btnSmall} onClick={() => fetchDeliveries()}>Refresh</button>
+            </div>
+          </div>
+          <div style={styles.sectionBody}>
+            {deliveries.length === 0 ? (
+              <p style={styles.hint}>No deliveries</p>
+            ) : (
+              <div style={styles.pollList}>
+                {deliveries.map(d => (
+                  <div key={d.id}>
+                    <div style={{...styles.pollItem, cursor: 'pointer'}} onClick={() => toggleDelivery(d.id)}>
+                      <span style={styles.pollTime}>{formatTime(d.created_at)}</span>
+                      <span style={{...styles.pollStatus, color: DELIVERY_COLORS[d.status]}}>{d.status}</span>
+                      <span style={styles.pollCount}>
+                        {d.sink_id ? d.sink_name || SINK_TYPES[d.sink_type] : 'Webhook'} · {d.tweet_count} tweets, {d.attempts} attempt{d.attempts === 1 ? '' : 's'}
+                        {d.status === 'pending' && d.attempts > 0 && `, retry ${formatTime(d.next_attempt_at)}`}
+                      </span>
+                      {d.status !== 'delivered' && (
+                        <button
+                          style={{...styles.btnSmall, marginLeft: 'auto'}}
+                          onClick={e => { e.stopPropagation(); redeliver(d.id); }}
+                        >
+                          Redeliver
+                        </button>
+                      )}
+                    </div>
+                    {openDelivery?.id === d.id && (
+                      <div style={styles.deliveryDetail}>
+                        {d.last_error && <p style={styles.pollError}>{d.last_status ? `HTTP ${d.last_status}: ` : ''}{d.last_error}</p>}
+                        <pre style={styles.pre}>
+                          {openDelivery.payload.message ?? JSON.stringify(openDelivery.payload, null, 2)}
+                        </pre>
+                        {d.status === 'delivered' && (
+                          <button style={styles.btnSmall} onClick={() => redeliver(d.id)}>Send again</button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         </div>
 
@@ -341,31 +2212,469 @@ export default function Dashboard() {
               <p style={styles.hint}>No polls yet</p>
             ) : (
               <div style={styles.pollList}>
-                {polls.map((p, i) => (
-                  <div key={i} style={styles.pollItem}>
-                    <span style={styles.pollTime}>{formatTime(p.created_at)}</span>
-                    <span style={{...styles.pollStatus, color: p.status === 'success' ? '#0c8' : '#f66'}}>
-                      {p.status}
-                    </span>
-                    <span style={styles.pollCount}>
-                      {p.tweets_found} found, {p.tweets_new} new
-                    </span>
-                    {p.error && <span style={styles.pollError}>{p.error}</span>}
+                {polls.map(p => (
+                  <div key={p.id}>
+                    <div style={{...styles.pollItem, cursor: 'pointer'}} onClick={() => togglePoll(p.id)}>
+                      <span style={styles.pollTime}>{formatTime(p.created_at)}</span>
+                      <span style={{...styles.pollStatus, color: POLL_COLORS[p.status] || '#f66'}}>
+                        {p.status}
+                      </span>
+                      <span
+                        style={styles.pollCount}
+                        title={p.filter_stats && Object.entries(p.filter_stats)
+                          .map(([rule, count]) => {
+                            const r = rules.find(r => String(r.id) === rule);
+                            const label = r ? describeRule(r)
+                              : rule === 'unmatched' ? 'No include rule matched'
+                              : rule === 'top_n' ? 'Below the top-N score'
+                              : `Rule #${rule}`;
+                            return `${label}: ${count}`;
+                          })
+                          .join('\n')}
+                      >
+                        {p.source_id && `${sources.find(src => src.id === p.source_id)?.label || 'Source'} · `}
+                        {p.tweets_found} found, {p.tweets_new} new
+                        {p.tweets_filtered > 0 && `, ${p.tweets_filtered} filtered`}
+                        {p.pages_fetched > 1 && `, ${p.pages_fetched} pages`}
+                      </span>
+                      {p.pages_truncated && (
+                        <span style={styles.pollWarning} title="The page cap was hit, older tweets were skipped">
+                          truncated
+                        </span>
+                      )}
+                      {p.error && <span style={styles.pollError}>{p.error}</span>}
+                    </div>
+                    {openPoll?.id === p.id && (
+                      <div style={styles.deliveryDetail}>
+                        {openPoll.timings && (
+                          <p style={styles.hint}>
+                            {openPoll.timings.map(t => `${t.step} ${t.ms}ms`).join(' · ')}
+                            {openPoll.duration_ms !== null && ` · total ${openPoll.duration_ms}ms`}
+                          </p>
+                        )}
+                        {openPoll.correlation_id && (
+                          <p style={styles.hint}>Logs: correlation_id {openPoll.correlation_id}</p>
+                        )}
+                        {openPoll.deliveries.map(d => (
+                          <p key={d.id} style={styles.hint}>
+                            {d.sink_id ? d.sink_name || SINK_TYPES[d.sink_type] : 'Webhook'}:{' '}
+                            <span style={{color: DELIVERY_COLORS[d.status]}}>{d.status}</span>
+                            {d.last_status && ` (HTTP ${d.last_status})`}, {d.tweet_ids.length} tweets
+                            {d.last_error && ` · ${d.last_error}`}
+                          </p>
+                        ))}
+                        {openPoll.fetched_tweet_ids.length > openPoll.new_tweet_ids.length && (
+                          <p style={styles.hint}>
+                            {openPoll.fetched_tweet_ids.length - openPoll.new_tweet_ids.length} fetched tweets were already seen
+                          </p>
+                        )}
+                        <div style={styles.pollList}>
+                          {openPoll.new_tweet_ids.map(id => {
+                            const tweet = openPoll.tweets.find(t => t.id === id);
+                            const outcome = tweetOutcome(openPoll, id);
+                            return (
+                              <a
+                                key={id}
+                                href={tweet?.url || `https://x.com/i/status/${id}`}
+                                target="_blank"
+                                rel="noreferrer"
+                                style={styles.archiveItem}
+                              >
+                                <div style={styles.archiveMeta}>
+                                  <span>{tweet?.author.username ? `@${tweet.author.username}` : id}</span>
+                                  <span style={{color: TWEET_OUTCOME_COLORS[outcome]}}>{outcome}</span>
+                                  {tweet?.score != null && <span>score {tweet.score}</span>}
+                                </div>
+                                {tweet ? tweet.text : <span style={styles.pollCount}>No longer in the archive</span>}
+                              </a>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
             )}
           </div>
         </div>
+
+        {/* Activity */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Activity</h2>
+            <span style={{...styles.badge, ...(live ? styles.badgeGreen : styles.badgeRed)}}>
+              {live ? '● Live' : '○ Reconnecting...'}
+            </span>
+          </div>
+          <div style={styles.sectionBody}>
+            {events.length === 0 ? (
+              <p style={styles.hint}>Nothing has happened yet</p>
+            ) : (
+              <div style={styles.pollList}>
+                {events.map(event => {
+                  const { text, color } = describeEvent(event);
+                  return (
+                    <div key={event.id} style={styles.pollItem}>
+                      <span style={styles.pollTime}>{formatTime(event.createdAt)}</span>
+                      <span style={{...styles.pollStatus, color}}>{event.type}</span>
+                      <span style={styles.pollCount}>{text}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Archive */}
+        <div style={styles.section}>
+          <div style={styles.sectionHeader}>
+            <h2 style={styles.sectionTitle}>Archive</h2>
+            {archive && <span style={styles.pollCount}>{archive.total} tweets</span>}
+          </div>
+          <div style={styles.sectionBody}>
+            <form onSubmit={searchArchive}>
+              <input
+                style={styles.input}
+                type="search"
+                value={archiveSearch.q}
+                onChange={e => setArchiveSearch({...archiveSearch, q: e.target.value})}
+                placeholder='bitcoin -airdrop, "exact phrase"'
+              />
+              <div style={styles.ruleForm}>
+                <input
+                  style={styles.input}
+                  type="text"
+                  value={archiveSearch.author}
+                  onChange={e => setArchiveSearch({...archiveSearch, author: e.target.value})}
+                  placeholder="@author"
+                />
+                <input
+                  style={styles.input}
+                  type="date"
+                  title="From"
+                  value={archiveSearch.from}
+                  onChange={e => setArchiveSearch({...archiveSearch, from: e.target.value})}
+                />
+                <input
+                  style={styles.input}
+                  type="date"
+                  title="Until (exclusive)"
+                  value={archiveSearch.to}
+                  onChange={e => setArchiveSearch({...archiveSearch, to: e.target.value})}
+                />
+              </div>
+              <div style={styles.buttonRow}>
+                <button style={styles.btnPrimary} type="submit">Search</button>
+                <button style={{...styles.btnSmall, marginTop: 20}} type="button" onClick={clearArchiveSearch}>Clear</button>
+              </div>
+            </form>
+            
+            {archive && (archive.tweets.length === 0 ? (
+              <p style={{...styles.hint, marginTop: 20}}>No archived tweets match</p>
+            ) : (
+              <div style={{...styles.pollList, marginTop: 20}}>
+                {archive.tweets.map(t => (
+                  <a key={t.id} href={t.url} target="_blank" rel="noreferrer" style={styles.archiveItem}>
+                    <div style={styles.archiveMeta}>
+                      <span>{t.author.username ? `@${t.author.username}` : t.author.id}</span>
+                      <span>{formatTime(t.created_at || t.archived_at)}</span>
+                      <span>♥ {t.public_metrics.like_count || 0} · ↻ {t.public_metrics.retweet_count || 0}</span>
+                      {t.score != null && <span>score {t.score}</span>}
+                      {t.filtered && <span style={styles.pollWarning}>filtered</span>}
+                    </div>
+                    <div>{t.text}</div>
+                  </a>
+                ))}
+              </div>
+            ))}
+            
+            {archive && archive.total > archive.limit && (
+              <div style={{...styles.buttonRow, alignItems: 'center', marginTop: 16}}>
+                <button
+                  style={styles.btnSmall}
+                  disabled={archive.offset === 0}
+                  onClick={() => fetchArchive(Math.max(0, archive.offset - archive.limit))}
+                >
+                  Newer
+                </button>
+                <span style={styles.pollCount}>
+                  {archive.offset + 1}–{archive.offset + archive.tweets.length} of {archive.total}
+                </span>
+                <button
+                  style={styles.btnSmall}
+                  disabled={archive.offset + archive.limit >= archive.total}
+                  onClick={() => fetchArchive(archive.offset + archive.limit)}
+                >
+                  Older
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+        <datalist id="timezones">
+          {TIMEZONES.map(tz => <option key={tz} value={tz} />)}
+        </datalist>
       </main>
     </div>
   );
 }
 
+// API schedule (describeSchedule) to editor state and back
+function toScheduleForm(schedule) {
+  return {
+    mode: schedule.cron ? 'cron' : 'interval',
+    intervalMinutes: schedule.intervalMinutes || 360,
+    cron: schedule.cron || '',
+    timezone: schedule.timezone || 'UTC',
+    quietHoursStart: schedule.quietHoursStart || '',
+    quietHoursEnd: schedule.quietHoursEnd || ''
+  };
+}
+
+function scheduleBody(schedule) {
+  const body = {
+    schedule_cron: schedule.mode === 'cron' ? schedule.cron : '',
+    schedule_timezone: schedule.timezone,
+    quiet_hours_start: schedule.quietHoursStart,
+    quiet_hours_end: schedule.quietHoursEnd
+  };
+  if (schedule.mode === 'interval') body.schedule_interval_minutes = parseInt(schedule.intervalMinutes);
+  return body;
+}
+
+// Interval or cron, timezone and quiet hours, shared by the account and its sources
+function toScoringForm(scoring) {
+  if (!scoring) return EMPTY_SCORING;
+  return {
+    enabled: scoring.enabled,
+    weights: scoring.weights,
+    keywords: scoring.keywords.map(k => `${k.keyword}: ${k.weight}`).join('\n'),
+    topN: scoring.top_n || ''
+  };
+}
+
+// Lines that don't parse as "keyword: weight" are sent as is, so the API can point them out
+function scoringBody(form) {
+  const weights = {};
+  for (const [signal, weight] of Object.entries(form.weights)) {
+    weights[signal] = parseFloat(weight);
+  }
+  const keywords = form.keywords.split('\n').filter(line => line.trim()).map(line => {
+    const i = line.lastIndexOf(':');
+    return i > 0
+      ? { keyword: line.slice(0, i).trim(), weight: parseFloat(line.slice(i + 1)) }
+      : { keyword: line.trim(), weight: null };
+  });
+  return { enabled: form.enabled, weights, keywords, top_n: form.topN ? parseInt(form.topN) : null };
+}
+
+// One line of the activity feed
+function describeEvent({ type, data }) {
+  const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+  switch (type) {
+    case 'poll.started':
+      return { text: `${data.sourceId ? `Source #${data.sourceId}` : 'Home timeline'}, ${data.trigger}`, color: '#888' };
+    case 'poll.finished':
+      if (data.status === 'succeeded') {
+        const sent = data.deliveries ? `, ${data.delivered}/${plural(data.deliveries, 'delivery', 'deliveries')} sent` : '';
+        return { text: `${data.found} found, ${data.new} new${sent}`, color: POLL_COLORS.success };
+      }
+      return { text: data.error || data.status, color: data.status === 'cancelled' ? POLL_COLORS.cancelled : POLL_COLORS.error };
+    case 'delivery.succeeded':
+      return { text: `#${data.deliveryId} to ${SINK_TYPES[data.sinkType] || data.sinkType}`, color: DELIVERY_COLORS.delivered };
+    case 'delivery.failed':
+      return {
+        text: `#${data.deliveryId} to ${SINK_TYPES[data.sinkType] || data.sinkType}, attempt ${data.attempts}` +
+          `${data.dead ? ', gave up' : ''}: ${data.error}`,
+        color: data.dead ? DELIVERY_COLORS.dead : DELIVERY_COLORS.pending
+      };
+    case 'token.refreshed':
+      return { text: 'X API token refreshed', color: '#0c8' };
+    case 'token.refresh_failed':
+      return { text: data.error, color: '#f66' };
+    case 'config.changed': {
+      const what = data.id ? `${data.section} #${data.id}` : data.section;
+      const fields = data.fields?.length ? ` (${data.fields.join(', ')})` : '';
+      return { text: `${what} ${data.action.replace('_', ' ')}${fields}`, color: '#888' };
+    }
+    case 'digest.sent':
+      return { text: `${plural(data.tweets, 'tweet')}, ${data.delivered}/${plural(data.deliveries, 'delivery', 'deliveries')} sent`, color: '#0c8' };
+    case 'error':
+      return { text: `${data.context}: ${data.error}`, color: '#f66' };
+    default:
+      return { text: '', color: '#888' };
+  }
+}
+
+function PollProgress({ job, sources }) {
+  const stages = Object.keys(JOB_STAGES);
+  const current = job.status === 'queued' ? -1 : stages.indexOf(job.stage);
+  const p = job.progress || {};
+  const source = job.sourceId ? sources.find(s => s.id === job.sourceId)?.name : null;
+  
+  return (
+    <div style={{marginTop: 16}}>
+      <div style={styles.jobStages}>
+        {stages.map((stage, i) => (
+          <span
+            key={stage}
+            style={{...styles.jobStage, ...(i < current && styles.jobStageDone), ...(i === current && styles.jobStageCurrent)}}
+          >
+            {JOB_STAGES[stage]}
+          </span>
+        ))}
+      </div>
+      <p style={{...styles.hint, marginTop: 8}}>
+        {job.status === 'queued' ? 'Queued, waiting for another poll to finish' : `${JOB_STAGES[job.stage] || 'Starting'}...`}
+        {source && ` · ${source}`}
+        {p.found !== undefined && ` · ${p.found} found in ${p.pages} page(s)`}
+        {p.new !== undefined && `, ${p.new} new, ${p.filtered} filtered out`}
+        {p.deliveries !== undefined && ` · ${p.delivered}/${p.deliveries} delivered`}
+      </p>
+    </div>
+  );
+}
+
+function TemplateSelect({ templates, value, onChange }) {
+  return (
+    <select style={styles.select} value={value || ''} onChange={e => onChange(e.target.value ? parseInt(e.target.value) : null)}>
+      <option value="">Built-in message</option>
+      {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+    </select>
+  );
+}
+
+function FieldError({ error }) {
+  return error ? <p style={styles.fieldError}>{error}</p> : null;
+}
+
+// Values in the settings history, objects like scoring as JSON
+function formatSetting(value) {
+  if (value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// errors are the ones of the account settings, sources don't pass any
+function ScheduleFields({ schedule, onChange, errors = {} }) {
+  return (
+    <>
+      <label style={styles.label}>Schedule</label>
+      <div style={styles.ruleForm}>
+        <select
+          style={{...styles.select, width: 'auto'}}
+          value={schedule.mode}
+          onChange={e => onChange({...schedule, mode: e.target.value})}
+        >
+          <option value="interval">Every N minutes</option>
+          <option value="cron">Cron expression</option>
+        </select>
+        {schedule.mode === 'interval' ? (
+          <input
+            style={styles.input}
+            type="number"
+            min="5"
+            value={schedule.intervalMinutes}
+            onChange={e => onChange({...schedule, intervalMinutes: e.target.value})}
+          />
+        ) : (
+          <input
+            style={styles.input}
+            type="text"
+            value={schedule.cron}
+            onChange={e => onChange({...schedule, cron: e.target.value})}
+            placeholder="0 8-22/2 * * *"
+          />
+        )}
+      </div>
+      <FieldError error={errors.schedule_interval_minutes || errors.schedule_cron} />
+      
+      <label style={styles.label}>Timezone</label>
+      <input
+        style={styles.input}
+        type="text"
+        list="timezones"
+        value={schedule.timezone}
+        onChange={e => onChange({...schedule, timezone: e.target.value})}
+      />
+      <FieldError error={errors.schedule_timezone} />
+      
+      <label style={styles.label}>Quiet Hours (no polls, optional)</label>
+      <div style={styles.ruleForm}>
+        <input
+          style={styles.input}
+          type="time"
+          value={schedule.quietHoursStart}
+          onChange={e => onChange({...schedule, quietHoursStart: e.target.value})}
+        />
+        <input
+          style={styles.input}
+          type="time"
+          value={schedule.quietHoursEnd}
+          onChange={e => onChange({...schedule, quietHoursEnd: e.target.value})}
+        />
+      </div>
+      <FieldError error={errors.quiet_hours_start || errors.quiet_hours_end} />
+    </>
+  );
+}
+
+// Action, type and value inputs shared by the account rules and sink filters
+function RuleFields({ rule, onChange }) {
+  return (
+    <div style={styles.ruleForm}>
+      <select
+        style={styles.select}
+        value={rule.action}
+        onChange={e => onChange({...rule, action: e.target.value})}
+      >
+        <option value="exclude">Exclude</option>
+        <option value="include">Include</option>
+      </select>
+      <select
+        style={styles.select}
+        value={rule.type}
+        onChange={e => onChange({...rule, type: e.target.value})}
+      >
+        {Object.entries(RULE_TYPES).map(([type, label]) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+      </select>
+      {rule.type === 'min_metric' && (
+        <select
+          style={styles.select}
+          value={rule.metric}
+          onChange={e => onChange({...rule, metric: e.target.value})}
+        >
+          {RULE_METRICS.map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+      )}
+      {!['reply', 'retweet', 'quote'].includes(rule.type) && (
+        <input
+          style={styles.input}
+          type={rule.type === 'min_metric' ? 'number' : 'text'}
+          value={rule.value}
+          onChange={e => onChange({...rule, value: e.target.value})}
+          placeholder={{
+            author: 'elonmusk, jack',
+            keyword: 'giveaway, airdrop',
+            regex: '\\bgm\\b',
+            language: 'en, es',
+            min_metric: '100'
+          }[rule.type]}
+        />
+      )}
+    </div>
+  );
+}
+
 const styles = {
   page: { minHeight: '100vh', background: '#000', color: '#fafafa', fontFamily: '-apple-system, BlinkMacSystemFont, sans-serif' },
   nav: { display: 'flex', alignItems: 'center', padding: '0 24px', height: 64, borderBottom: '1px solid #333' },
   navTitle: { fontSize: 16, fontWeight: 600 },
+  navActions: { display: 'flex', alignItems: 'center', gap: 8, marginLeft: 'auto' },
+  accountSelect: { padding: '6px 10px', fontSize: 12, background: '#111', border: '1px solid #333', borderRadius: 6, color: '#fafafa', outline: 'none', cursor: 'pointer' },
   main: { maxWidth: 640, margin: '0 auto', padding: '32px 24px' },
   loading: { minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#666' },
   
@@ -388,10 +2697,19 @@ const styles = {
   select: { width: '100%', padding: '10px 12px', fontSize: 14, background: '#111', border: '1px solid #333', borderRadius: 6, color: '#fafafa', outline: 'none', cursor: 'pointer' },
   
   btnPrimary: { marginTop: 20, padding: '12px 24px', fontSize: 14, fontWeight: 500, background: '#fff', color: '#000', border: 'none', borderRadius: 8, cursor: 'pointer' },
+  btnSecondary: { marginTop: 20, padding: '12px 24px', fontSize: 14, fontWeight: 500, background: 'transparent', color: '#fff', border: '1px solid #333', borderRadius: 8, cursor: 'pointer' },
+  btnDanger: { marginTop: 20, padding: '12px 24px', fontSize: 14, fontWeight: 500, background: 'transparent', color: '#f66', border: '1px solid rgba(255,0,0,0.3)', borderRadius: 8, cursor: 'pointer' },
   btnSmall: { padding: '6px 12px', fontSize: 12, background: 'transparent', color: '#888', border: '1px solid #333', borderRadius: 6, cursor: 'pointer' },
   
   hint: { fontSize: 13, color: '#888', margin: '0 0 12px' },
+  fieldError: { fontSize: 13, color: '#f66', margin: '6px 0 0' },
   statusRow: { display: 'flex', gap: 24, fontSize: 14 },
+  buttonRow: { display: 'flex', gap: 12 },
+  checkbox: { display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: '#888', marginTop: 12 },
+  ruleForm: { display: 'flex', gap: 8, marginTop: 16 },
+  ruleActions: { display: 'flex', gap: 8, marginLeft: 'auto' },
+  sinkForm: { marginTop: 8 },
+  schedulePreview: { marginTop: 12, padding: 12, background: '#111', borderRadius: 8, fontSize: 13, color: '#ccc' },
   
   toast: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px 16px', borderRadius: 8, marginBottom: 24, fontSize: 14 },
   toastSuccess: { background: 'rgba(0,200,100,0.1)', border: '1px solid rgba(0,200,100,0.3)', color: '#0c8' },
@@ -403,5 +2721,17 @@ const styles = {
   pollTime: { color: '#666', minWidth: 150 },
   pollStatus: { fontWeight: 500 },
   pollCount: { color: '#888' },
-  pollError: { color: '#f66', marginLeft: 'auto' }
+  pollError: { color: '#f66', marginLeft: 'auto' },
+  pollWarning: { color: '#fa0' },
+  jobStages: { display: 'flex', gap: 6, flexWrap: 'wrap' },
+  jobStage: { padding: '4px 10px', borderRadius: 12, fontSize: 12, background: '#1a1a1a', color: '#666' },
+  jobStageDone: { background: '#0c83', color: '#0c8' },
+  jobStageCurrent: { background: '#1d9bf0', color: '#fff' },
+  
+  archiveItem: { display: 'block', padding: 12, background: '#111', borderRadius: 8, fontSize: 13, color: '#ccc', textDecoration: 'none', whiteSpace: 'pre-wrap', wordBreak: 'break-word' },
+  templatePreview: { margin: 0, padding: 16, background: '#111', border: '1px solid #222', borderRadius: 8, fontSize: 13, whiteSpace: 'pre-wrap', maxHeight: 400, overflow: 'auto' },
+  archiveMeta: { display: 'flex', gap: 12, marginBottom: 6, fontSize: 12, color: '#666' },
+  
+  deliveryDetail: { padding: '12px 12px 4px', fontSize: 13 },
+  pre: { margin: '0 0 12px', padding: 12, background: '#111', borderRadius: 8, color: '#ccc', fontSize: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: 300, overflow: 'auto' }
 };